@@ -1,16 +1,207 @@
 // ==UserScript==
 // @name         Google Search Advanced Filters
 // @namespace    http://tampermonkey.net/
-// @version      1.0
+// @version      1.1
 // @description  Advanced Google Search Filters with language, time, and site filtering
 // @author       Advanced Search Tools
 // @match        https://www.google.com/*
-// @match        https://www.google.com.tr/*
-// @match        https://www.google.co.uk/*
+// @match        https://www.google.ad/*
+// @match        https://www.google.ae/*
+// @match        https://www.google.com.af/*
+// @match        https://www.google.com.ag/*
+// @match        https://www.google.al/*
+// @match        https://www.google.am/*
+// @match        https://www.google.co.ao/*
+// @match        https://www.google.com.ar/*
+// @match        https://www.google.as/*
+// @match        https://www.google.at/*
+// @match        https://www.google.com.au/*
+// @match        https://www.google.az/*
+// @match        https://www.google.ba/*
+// @match        https://www.google.com.bd/*
+// @match        https://www.google.be/*
+// @match        https://www.google.bf/*
+// @match        https://www.google.bg/*
+// @match        https://www.google.com.bh/*
+// @match        https://www.google.bi/*
+// @match        https://www.google.bj/*
+// @match        https://www.google.com.bn/*
+// @match        https://www.google.com.bo/*
+// @match        https://www.google.com.br/*
+// @match        https://www.google.bs/*
+// @match        https://www.google.bt/*
+// @match        https://www.google.co.bw/*
+// @match        https://www.google.by/*
+// @match        https://www.google.com.bz/*
 // @match        https://www.google.ca/*
+// @match        https://www.google.cat/*
+// @match        https://www.google.cd/*
+// @match        https://www.google.cf/*
+// @match        https://www.google.cg/*
+// @match        https://www.google.ch/*
+// @match        https://www.google.ci/*
+// @match        https://www.google.co.ck/*
+// @match        https://www.google.cl/*
+// @match        https://www.google.cm/*
+// @match        https://www.google.cn/*
+// @match        https://www.google.com.co/*
+// @match        https://www.google.co.cr/*
+// @match        https://www.google.com.cu/*
+// @match        https://www.google.cv/*
+// @match        https://www.google.com.cy/*
+// @match        https://www.google.cz/*
 // @match        https://www.google.de/*
+// @match        https://www.google.dj/*
+// @match        https://www.google.dk/*
+// @match        https://www.google.dm/*
+// @match        https://www.google.com.do/*
+// @match        https://www.google.dz/*
+// @match        https://www.google.com.ec/*
+// @match        https://www.google.ee/*
+// @match        https://www.google.com.eg/*
+// @match        https://www.google.es/*
+// @match        https://www.google.com.et/*
+// @match        https://www.google.fi/*
+// @match        https://www.google.com.fj/*
+// @match        https://www.google.fm/*
 // @match        https://www.google.fr/*
-// @grant        none
+// @match        https://www.google.ga/*
+// @match        https://www.google.ge/*
+// @match        https://www.google.gg/*
+// @match        https://www.google.com.gh/*
+// @match        https://www.google.com.gi/*
+// @match        https://www.google.gl/*
+// @match        https://www.google.gm/*
+// @match        https://www.google.gr/*
+// @match        https://www.google.com.gt/*
+// @match        https://www.google.gy/*
+// @match        https://www.google.com.hk/*
+// @match        https://www.google.hn/*
+// @match        https://www.google.hr/*
+// @match        https://www.google.ht/*
+// @match        https://www.google.hu/*
+// @match        https://www.google.co.id/*
+// @match        https://www.google.ie/*
+// @match        https://www.google.co.il/*
+// @match        https://www.google.im/*
+// @match        https://www.google.co.in/*
+// @match        https://www.google.iq/*
+// @match        https://www.google.is/*
+// @match        https://www.google.it/*
+// @match        https://www.google.je/*
+// @match        https://www.google.com.jm/*
+// @match        https://www.google.jo/*
+// @match        https://www.google.co.jp/*
+// @match        https://www.google.co.ke/*
+// @match        https://www.google.com.kh/*
+// @match        https://www.google.ki/*
+// @match        https://www.google.kg/*
+// @match        https://www.google.co.kr/*
+// @match        https://www.google.com.kw/*
+// @match        https://www.google.kz/*
+// @match        https://www.google.la/*
+// @match        https://www.google.com.lb/*
+// @match        https://www.google.li/*
+// @match        https://www.google.lk/*
+// @match        https://www.google.co.ls/*
+// @match        https://www.google.lt/*
+// @match        https://www.google.lu/*
+// @match        https://www.google.lv/*
+// @match        https://www.google.com.ly/*
+// @match        https://www.google.co.ma/*
+// @match        https://www.google.md/*
+// @match        https://www.google.me/*
+// @match        https://www.google.mg/*
+// @match        https://www.google.mk/*
+// @match        https://www.google.ml/*
+// @match        https://www.google.com.mm/*
+// @match        https://www.google.mn/*
+// @match        https://www.google.com.mt/*
+// @match        https://www.google.mu/*
+// @match        https://www.google.mv/*
+// @match        https://www.google.mw/*
+// @match        https://www.google.com.mx/*
+// @match        https://www.google.com.my/*
+// @match        https://www.google.co.mz/*
+// @match        https://www.google.com.na/*
+// @match        https://www.google.com.ng/*
+// @match        https://www.google.com.ni/*
+// @match        https://www.google.ne/*
+// @match        https://www.google.nl/*
+// @match        https://www.google.no/*
+// @match        https://www.google.com.np/*
+// @match        https://www.google.nr/*
+// @match        https://www.google.nu/*
+// @match        https://www.google.co.nz/*
+// @match        https://www.google.com.om/*
+// @match        https://www.google.com.pa/*
+// @match        https://www.google.com.pe/*
+// @match        https://www.google.com.pg/*
+// @match        https://www.google.com.ph/*
+// @match        https://www.google.com.pk/*
+// @match        https://www.google.pl/*
+// @match        https://www.google.pn/*
+// @match        https://www.google.com.pr/*
+// @match        https://www.google.ps/*
+// @match        https://www.google.pt/*
+// @match        https://www.google.com.py/*
+// @match        https://www.google.com.qa/*
+// @match        https://www.google.ro/*
+// @match        https://www.google.rs/*
+// @match        https://www.google.ru/*
+// @match        https://www.google.rw/*
+// @match        https://www.google.com.sa/*
+// @match        https://www.google.com.sb/*
+// @match        https://www.google.sc/*
+// @match        https://www.google.se/*
+// @match        https://www.google.com.sg/*
+// @match        https://www.google.sh/*
+// @match        https://www.google.si/*
+// @match        https://www.google.sk/*
+// @match        https://www.google.com.sl/*
+// @match        https://www.google.sn/*
+// @match        https://www.google.so/*
+// @match        https://www.google.sm/*
+// @match        https://www.google.sr/*
+// @match        https://www.google.st/*
+// @match        https://www.google.com.sv/*
+// @match        https://www.google.td/*
+// @match        https://www.google.tg/*
+// @match        https://www.google.co.th/*
+// @match        https://www.google.com.tj/*
+// @match        https://www.google.tl/*
+// @match        https://www.google.tm/*
+// @match        https://www.google.tn/*
+// @match        https://www.google.to/*
+// @match        https://www.google.com.tr/*
+// @match        https://www.google.tt/*
+// @match        https://www.google.com.tw/*
+// @match        https://www.google.co.tz/*
+// @match        https://www.google.com.ua/*
+// @match        https://www.google.co.ug/*
+// @match        https://www.google.co.uk/*
+// @match        https://www.google.com.uy/*
+// @match        https://www.google.co.uz/*
+// @match        https://www.google.com.vc/*
+// @match        https://www.google.co.ve/*
+// @match        https://www.google.co.vi/*
+// @match        https://www.google.com.vn/*
+// @match        https://www.google.vu/*
+// @match        https://www.google.ws/*
+// @match        https://www.google.co.za/*
+// @match        https://www.google.co.zm/*
+// @match        https://www.google.co.zw/*
+// @grant        GM.getValue
+// @grant        GM.setValue
+// @grant        GM.deleteValue
+// @grant        GM.listValues
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_deleteValue
+// @grant        GM_listValues
+// @grant        GM_addValueChangeListener
+// @grant        unsafeWindow
+// @require      https://raw.githubusercontent.com/onurguven/persistent-google-search-filters/v1.1/search-url-codec.js#sha256=fab7b89308bbd2bd834dfc5c6b311fdfc7cd8bb52d3d9e5340963615e150e1cf
 // ==/UserScript==
 
 (function() {
@@ -25,14 +216,94 @@
         PANEL_MAX_SITES_BEFORE_SCROLL: 5,
         MAX_CUSTOM_SITES: 50,
         MAX_SITE_NAME_LENGTH: 20,
+        MAX_PROFILES: 20,
+        MAX_PROFILE_NAME_LENGTH: 30,
+        MAX_RECENT_INTERFACE_LANGS: 4,
+        MAX_RECENT_COMMANDS: 6,
+        MAX_PALETTE_RESULTS: 12,
+        MAX_RELATIVE_TIME_AMOUNT: 100,
+        MAX_SITE_GROUPS: 20,
+        MAX_BLOCKED_SITES: 50,
+        MAX_RESULT_RULES: 50,
+        MAX_RULE_PATTERN_LENGTH: 100,
+        MAX_QUERY_OPERATOR_TERMS: 10,
+        MAX_QUERY_RULES: 30,
+        MAX_PREFIX_ALIASES: 50,
+        MAX_PREFIX_ALIAS_LENGTH: 20,
+        MAX_SHORTCUT_LENGTH: 40,
+        MAX_HISTORY_ENTRIES: 500,
+        MAX_HISTORY_SHOWN: 50,
+        MAX_HISTORY_QUERY_LENGTH: 2048,
+        DEFAULT_HISTORY_RETENTION: '30',
+        SETTINGS_FILE_FORMAT: 'persistent-google-search-filters',
+        SETTINGS_FILE_VERSION: 1,
+        MAX_QUARANTINE_ENTRIES: 20,
+        MAX_ENFORCE_REDIRECTS: 2,
+        REDIRECT_GUARD_WINDOW: 15000,
         INITIALIZATION_DELAY: 200,
         SITE_FILTER_COLUMNS: 2,
-        URL_VALIDATION_REGEX: /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/
+        URL_VALIDATION_REGEX: /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
+        // Google's search domains (google.com/supported_domains); keep in sync with the @match lines in the header
+        GOOGLE_DOMAINS: [
+            'google.com', 'google.ad', 'google.ae', 'google.com.af', 'google.com.ag', 'google.al', 'google.am',
+            'google.co.ao', 'google.com.ar', 'google.as', 'google.at', 'google.com.au', 'google.az', 'google.ba',
+            'google.com.bd', 'google.be', 'google.bf', 'google.bg', 'google.com.bh', 'google.bi', 'google.bj',
+            'google.com.bn', 'google.com.bo', 'google.com.br', 'google.bs', 'google.bt', 'google.co.bw', 'google.by',
+            'google.com.bz', 'google.ca', 'google.cat', 'google.cd', 'google.cf', 'google.cg', 'google.ch', 'google.ci',
+            'google.co.ck', 'google.cl', 'google.cm', 'google.cn', 'google.com.co', 'google.co.cr', 'google.com.cu',
+            'google.cv', 'google.com.cy', 'google.cz', 'google.de', 'google.dj', 'google.dk', 'google.dm',
+            'google.com.do', 'google.dz', 'google.com.ec', 'google.ee', 'google.com.eg', 'google.es', 'google.com.et',
+            'google.fi', 'google.com.fj', 'google.fm', 'google.fr', 'google.ga', 'google.ge', 'google.gg',
+            'google.com.gh', 'google.com.gi', 'google.gl', 'google.gm', 'google.gr', 'google.com.gt', 'google.gy',
+            'google.com.hk', 'google.hn', 'google.hr', 'google.ht', 'google.hu', 'google.co.id', 'google.ie',
+            'google.co.il', 'google.im', 'google.co.in', 'google.iq', 'google.is', 'google.it', 'google.je',
+            'google.com.jm', 'google.jo', 'google.co.jp', 'google.co.ke', 'google.com.kh', 'google.ki', 'google.kg',
+            'google.co.kr', 'google.com.kw', 'google.kz', 'google.la', 'google.com.lb', 'google.li', 'google.lk',
+            'google.co.ls', 'google.lt', 'google.lu', 'google.lv', 'google.com.ly', 'google.co.ma', 'google.md',
+            'google.me', 'google.mg', 'google.mk', 'google.ml', 'google.com.mm', 'google.mn', 'google.com.mt',
+            'google.mu', 'google.mv', 'google.mw', 'google.com.mx', 'google.com.my', 'google.co.mz', 'google.com.na',
+            'google.com.ng', 'google.com.ni', 'google.ne', 'google.nl', 'google.no', 'google.com.np', 'google.nr',
+            'google.nu', 'google.co.nz', 'google.com.om', 'google.com.pa', 'google.com.pe', 'google.com.pg',
+            'google.com.ph', 'google.com.pk', 'google.pl', 'google.pn', 'google.com.pr', 'google.ps', 'google.pt',
+            'google.com.py', 'google.com.qa', 'google.ro', 'google.rs', 'google.ru', 'google.rw', 'google.com.sa',
+            'google.com.sb', 'google.sc', 'google.se', 'google.com.sg', 'google.sh', 'google.si', 'google.sk',
+            'google.com.sl', 'google.sn', 'google.so', 'google.sm', 'google.sr', 'google.st', 'google.com.sv',
+            'google.td', 'google.tg', 'google.co.th', 'google.com.tj', 'google.tl', 'google.tm', 'google.tn',
+            'google.to', 'google.com.tr', 'google.tt', 'google.com.tw', 'google.co.tz', 'google.com.ua', 'google.co.ug',
+            'google.co.uk', 'google.com.uy', 'google.co.uz', 'google.com.vc', 'google.co.ve', 'google.co.vi',
+            'google.com.vn', 'google.vu', 'google.ws', 'google.co.za', 'google.co.zm', 'google.co.zw'
+        ]
     };
 
+    // Localized labels of Google's header buttons; structural selectors below cover any other UI language
+    const GOOGLE_UI_LABELS = {
+        en: { apps: 'Google apps', account: 'Google Account' },
+        tr: { apps: 'Google uygulamaları', account: 'Google Hesabı' },
+        de: { apps: 'Google-Apps', account: 'Google-Konto' },
+        fr: { apps: 'Applications Google', account: 'Compte Google' },
+        es: { apps: 'Aplicaciones de Google', account: 'Cuenta de Google' },
+        it: { apps: 'App Google', account: 'Account Google' },
+        pt: { apps: 'Apps Google', account: 'Conta do Google' },
+        nl: { apps: 'Google-apps', account: 'Google-account' },
+        pl: { apps: 'Aplikacje Google', account: 'Konto Google' },
+        ru: { apps: 'Приложения Google', account: 'Аккаунт Google' },
+        uk: { apps: 'Додатки Google', account: 'Обліковий запис Google' },
+        ja: { apps: 'Google アプリ', account: 'Google アカウント' },
+        ko: { apps: 'Google 앱', account: 'Google 계정' },
+        'zh-CN': { apps: 'Google 应用', account: 'Google 账号' },
+        'zh-TW': { apps: 'Google 應用程式', account: 'Google 帳戶' },
+        ar: { apps: 'تطبيقات Google', account: 'حساب Google' }
+    };
+
+    function buildLabelSelector(labelKey, structuralSelectors) {
+        const labelSelectors = Object.values(GOOGLE_UI_LABELS).flatMap(labels =>
+            [`[aria-label*="${labels[labelKey]}"]`, `[title="${labels[labelKey]}"]`]);
+        return [...structuralSelectors, ...labelSelectors].join(', ');
+    }
+
     const SELECTORS = {
-        GOOGLE_APPS: '[aria-label="Google apps"], [title="Google apps"], [aria-label="Google uygulamaları"], [title="Google uygulamaları"]',
-        PROFILE_BUTTON: '[aria-label*="Google Account"], a[href*="accounts.google.com"], [aria-label*="Google Hesabı"]',
+        GOOGLE_APPS: buildLabelSelector('apps', ['a[href*="/about/products"]']),
+        PROFILE_BUTTON: buildLabelSelector('account', ['a[href*="accounts.google.com/SignOutOptions"]', 'a[href*="accounts.google.com"]']),
         SEARCH_FORM: 'form[role="search"], form[action="/search"]'
     };
 
@@ -41,6 +312,21 @@
     const globalState = {
         isOpen: false,
         settingsCollapsed: true,
+        keymapCollapsed: true,
+        recordingShortcut: null,
+        paletteSelection: 0,
+        openPicker: null,
+        openTimeForm: null,
+        resultRuleFormOpen: false,
+        queryRuleFormOpen: false,
+        prefixAliasFormOpen: false,
+        historyQuery: '',
+        searchLinksIntercepted: false,
+        queryOperatorFormOpen: false,
+        pendingImport: null,
+        siteMultiSelect: false,
+        siteSelection: new Set(),
+        pickerSelection: new Set(),
         mutationObserver: null,
         mediaQueryListener: null,
         eventListeners: new Set(),
@@ -72,6 +358,317 @@
         };
     }
 
+    // All settings live in one versioned state document. It is kept in the userscript manager's storage when
+    // granted, so every Google domain shares it; without the grants it falls back to this origin's localStorage.
+    const STORAGE_PREFIX = 'googleSearch';
+    const STATE_STORAGE_KEY = 'googleSearchState';
+    // Search history grows with every search, so it is kept out of the document under its own key
+    const HISTORY_STORAGE_KEY = 'googleSearchHistory';
+    const STORAGE_MIGRATION_FLAG = 'googleSearchMigratedToManager';
+    const STATE_VERSION = 1;
+
+    let stateDocument = createEmptyState();
+    let storedSearchHistory = null;
+    let stateWrites = Promise.resolve();
+    let quarantinedThisSession = 0;
+
+    function createEmptyState() {
+        return { version: STATE_VERSION, settings: {}, quarantine: [] };
+    }
+
+    function hasAsyncManagerStorage() {
+        return typeof GM !== 'undefined' && typeof GM.getValue === 'function' && typeof GM.setValue === 'function';
+    }
+
+    function hasManagerStorage() {
+        return hasAsyncManagerStorage() || (typeof GM_getValue === 'function' && typeof GM_setValue === 'function');
+    }
+
+    async function readBackendValue(key) {
+        if (!hasManagerStorage()) return localStorage.getItem(key);
+        return hasAsyncManagerStorage() ? GM.getValue(key) : GM_getValue(key);
+    }
+
+    async function writeBackendValue(key, value) {
+        try {
+            if (!hasManagerStorage()) {
+                localStorage.setItem(key, value);
+            } else if (hasAsyncManagerStorage()) {
+                await GM.setValue(key, value);
+            } else {
+                GM_setValue(key, value);
+            }
+        } catch (error) {
+            console.error('[Advanced Search] Failed to save settings:', error);
+            showToast('Error saving settings', 'warning');
+        }
+    }
+
+    async function deleteBackendValue(key) {
+        try {
+            if (!hasManagerStorage()) {
+                localStorage.removeItem(key);
+            } else if (hasAsyncManagerStorage() && typeof GM.deleteValue === 'function') {
+                await GM.deleteValue(key);
+            } else if (typeof GM_deleteValue === 'function') {
+                GM_deleteValue(key);
+            }
+        } catch (error) {
+            console.warn('[Advanced Search] Failed to delete setting:', error);
+        }
+    }
+
+    async function listBackendKeys() {
+        if (!hasManagerStorage()) return Object.keys(localStorage);
+        if (hasAsyncManagerStorage() && typeof GM.listValues === 'function') return GM.listValues();
+        if (typeof GM_listValues === 'function') return GM_listValues();
+        return getSettingsEntries().map(entry => entry.key);
+    }
+
+    function isJsonSetting(key) {
+        return getSettingsEntries().some(entry => entry.key === key && entry.json);
+    }
+
+    // Applies a change to this tab's copy, then to a freshly read stored document, so a tab holding a stale copy
+    // only ever writes its own change and never undoes what other tabs saved meanwhile. Writes run one at a time.
+    function updateStateDocument(change) {
+        change(stateDocument);
+        stateWrites = stateWrites.then(() => writeStateChange(change));
+        return stateWrites;
+    }
+
+    async function writeStateChange(change) {
+        try {
+            const storedState = await readBackendValue(STATE_STORAGE_KEY);
+            const state = typeof storedState === 'string' ? parseStateDocument(storedState) : createEmptyState();
+            change(state);
+            await writeBackendValue(STATE_STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.error('[Advanced Search] Failed to save settings:', error);
+            showToast('Error saving settings', 'warning');
+        }
+    }
+
+    // Key-value view over the state document; JSON settings are stored parsed and handed out as strings. Writes return
+    // a promise that settles once the change is stored
+    const storage = {
+        getItem(key) {
+            const value = stateDocument.settings[key];
+            if (value === undefined) return null;
+            return isJsonSetting(key) ? JSON.stringify(value) : value;
+        },
+
+        setItem(key, value) {
+            const storedValue = isJsonSetting(key) ? JSON.parse(value) : String(value);
+            return updateStateDocument(state => {
+                state.settings[key] = storedValue;
+            });
+        },
+
+        removeItem(key) {
+            return updateStateDocument(state => {
+                delete state.settings[key];
+            });
+        }
+    };
+
+    function createQuarantineEntry(key, value, reason) {
+        quarantinedThisSession++;
+        console.warn(`[Advanced Search] Set aside unreadable setting ${key}: ${reason}`);
+        return {
+            key,
+            value: typeof value === 'string' ? value : JSON.stringify(value),
+            reason,
+            quarantinedAt: new Date().toISOString()
+        };
+    }
+
+    function addToQuarantine(state, entries) {
+        state.quarantine = [...state.quarantine, ...entries].slice(-CONFIG.MAX_QUARANTINE_ENTRIES);
+    }
+
+    // Moves a stored value that failed validation out of the way, keeping it for recovery instead of deleting it
+    function quarantineSetting(key, reason) {
+        const value = stateDocument.settings[key];
+        if (value === undefined) return;
+
+        const entry = createQuarantineEntry(key, value, reason);
+        updateStateDocument(state => {
+            // Another tab may have saved a good value over it since
+            if (JSON.stringify(state.settings[key]) !== JSON.stringify(value)) return;
+            addToQuarantine(state, [entry]);
+            delete state.settings[key];
+        });
+    }
+
+    function quarantineSearchHistory(reason) {
+        if (storedSearchHistory === null) return;
+
+        const entry = createQuarantineEntry(HISTORY_STORAGE_KEY, storedSearchHistory, reason);
+        storedSearchHistory = null;
+        updateStateDocument(state => addToQuarantine(state, [entry]));
+        deleteBackendValue(HISTORY_STORAGE_KEY);
+    }
+
+    function saveStoredSearchHistory(value) {
+        storedSearchHistory = value;
+        return writeBackendValue(HISTORY_STORAGE_KEY, value);
+    }
+
+    // Each step upgrades a document from the previous version; version 0 is the original one-key-per-setting layout
+    const STATE_MIGRATIONS = {
+        1: (state) => {
+            const settings = {};
+            const quarantine = [];
+
+            Object.entries(state.settings).forEach(([key, value]) => {
+                if (!isJsonSetting(key)) {
+                    settings[key] = value;
+                    return;
+                }
+
+                try {
+                    settings[key] = JSON.parse(value);
+                } catch {
+                    quarantine.push(createQuarantineEntry(key, value, 'Unreadable JSON'));
+                }
+            });
+
+            return { settings, quarantine: [...state.quarantine, ...quarantine] };
+        }
+    };
+
+    function migrateState(state) {
+        let migrated = state;
+        while (migrated.version < STATE_VERSION) {
+            const nextVersion = migrated.version + 1;
+            migrated = { version: nextVersion, ...STATE_MIGRATIONS[nextVersion](migrated) };
+        }
+        return migrated;
+    }
+
+    function parseStateDocument(raw) {
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch {
+            parsed = null;
+        }
+
+        if (!parsed || !Number.isInteger(parsed.version) || parsed.version < 1 ||
+            typeof parsed.settings !== 'object' || parsed.settings === null) {
+            const state = createEmptyState();
+            addToQuarantine(state, [createQuarantineEntry(STATE_STORAGE_KEY, raw, 'Unreadable settings document')]);
+            return state;
+        }
+
+        if (parsed.version > STATE_VERSION) {
+            console.warn('[Advanced Search] Settings were saved by a newer version of the script');
+        }
+
+        return migrateState({ ...parsed, quarantine: Array.isArray(parsed.quarantine) ? parsed.quarantine : [] });
+    }
+
+    function isLegacySettingKey(key) {
+        return key.startsWith(STORAGE_PREFIX) &&
+            ![STATE_STORAGE_KEY, HISTORY_STORAGE_KEY, STORAGE_MIGRATION_FLAG].includes(key);
+    }
+
+    async function readLegacyState(keys, readValue) {
+        const settings = {};
+        for (const key of keys.filter(isLegacySettingKey)) {
+            const value = await readValue(key);
+            if (typeof value === 'string') {
+                settings[key] = value;
+            }
+        }
+        return migrateState({ version: 0, settings, quarantine: [] });
+    }
+
+    async function initStorage() {
+        const storedState = await readBackendValue(STATE_STORAGE_KEY);
+        let legacyKeys = [];
+        let state;
+
+        if (typeof storedState === 'string') {
+            state = parseStateDocument(storedState);
+        } else {
+            // First run with the state document: fold the per-key layout into it
+            legacyKeys = (await listBackendKeys()).filter(isLegacySettingKey);
+            state = await readLegacyState(legacyKeys, readBackendValue);
+        }
+
+        // Settings this origin kept in localStorage before manager storage was granted fill gaps only
+        if (hasManagerStorage() && localStorage.getItem(STORAGE_MIGRATION_FLAG) !== 'true') {
+            const localState = await readLegacyState(Object.keys(localStorage), key => localStorage.getItem(key));
+            Object.entries(localState.settings).forEach(([key, value]) => {
+                if (state.settings[key] === undefined) state.settings[key] = value;
+            });
+            addToQuarantine(state, localState.quarantine);
+            localStorage.setItem(STORAGE_MIGRATION_FLAG, 'true');
+        }
+
+        // Earlier versions kept search history inside the document
+        const storedHistory = await readBackendValue(HISTORY_STORAGE_KEY);
+        if (typeof storedHistory === 'string') {
+            storedSearchHistory = storedHistory;
+        } else if (typeof state.settings[HISTORY_STORAGE_KEY] === 'string') {
+            await saveStoredSearchHistory(state.settings[HISTORY_STORAGE_KEY]);
+        }
+        delete state.settings[HISTORY_STORAGE_KEY];
+
+        stateDocument = state;
+        if (storedState !== JSON.stringify(state)) {
+            await writeBackendValue(STATE_STORAGE_KEY, JSON.stringify(state));
+        }
+
+        // The old per-key values are only dropped once the document holding them is saved
+        await Promise.all(legacyKeys.map(deleteBackendValue));
+
+        listenForStorageChanges();
+    }
+
+    // Another tab replaced the document: swap it in and report which settings differ
+    function applyExternalState(raw) {
+        if (typeof raw !== 'string') return;
+
+        const previous = stateDocument.settings;
+        const next = safeExecute(() => JSON.parse(raw), 'applyExternalState');
+        if (!next || typeof next.settings !== 'object' || next.settings === null || next.version !== stateDocument.version) return;
+
+        stateDocument = { ...next, quarantine: Array.isArray(next.quarantine) ? next.quarantine : [] };
+        new Set([...Object.keys(previous), ...Object.keys(next.settings)]).forEach(key => {
+            if (JSON.stringify(previous[key]) !== JSON.stringify(next.settings[key])) {
+                handleExternalStorageChange(key);
+            }
+        });
+    }
+
+    function applyExternalHistory(raw) {
+        storedSearchHistory = typeof raw === 'string' ? raw : null;
+        handleExternalStorageChange(HISTORY_STORAGE_KEY);
+    }
+
+    function listenForStorageChanges() {
+        if (!hasManagerStorage()) {
+            // Same-origin tabs still get live updates through the storage event
+            window.addEventListener('storage', (e) => {
+                if (e.key === STATE_STORAGE_KEY) applyExternalState(e.newValue);
+                if (e.key === HISTORY_STORAGE_KEY) applyExternalHistory(e.newValue);
+            });
+            return;
+        }
+
+        if (typeof GM_addValueChangeListener !== 'function') return;
+
+        GM_addValueChangeListener(STATE_STORAGE_KEY, (name, oldValue, newValue, remote) => {
+            if (remote) applyExternalState(newValue);
+        });
+        GM_addValueChangeListener(HISTORY_STORAGE_KEY, (name, oldValue, newValue, remote) => {
+            if (remote) applyExternalHistory(newValue);
+        });
+    }
+
     function isValidNonEmptyString(value) {
         return typeof value === 'string' && value.trim() !== '';
     }
@@ -107,6 +704,78 @@
                isValidNonEmptyString(siteData.query);
     }
 
+    function isValidSiteGroupData(groupData) {
+        return groupData &&
+               typeof groupData === 'object' &&
+               isValidNonEmptyString(groupData.name) &&
+               Array.isArray(groupData.sites) &&
+               groupData.sites.every(isValidNonEmptyString);
+    }
+
+    function isValidResultRuleData(ruleData) {
+        return ruleData &&
+               typeof ruleData === 'object' &&
+               isValidNonEmptyString(ruleData.id) &&
+               Object.prototype.hasOwnProperty.call(RESULT_RULE_ACTIONS, ruleData.action) &&
+               Object.prototype.hasOwnProperty.call(RESULT_RULE_MATCH_TYPES, ruleData.matchType) &&
+               isValidNonEmptyString(ruleData.pattern) &&
+               ruleData.pattern.length <= CONFIG.MAX_RULE_PATTERN_LENGTH;
+    }
+
+    function isValidQueryRuleData(ruleData) {
+        return ruleData &&
+               typeof ruleData === 'object' &&
+               isValidNonEmptyString(ruleData.id) &&
+               isValidNonEmptyString(ruleData.name) &&
+               Object.prototype.hasOwnProperty.call(QUERY_RULE_MATCH_TYPES, ruleData.matchType) &&
+               isValidNonEmptyString(ruleData.pattern) &&
+               ruleData.pattern.length <= CONFIG.MAX_RULE_PATTERN_LENGTH &&
+               (ruleData.matchType !== 'script' || Object.prototype.hasOwnProperty.call(QUERY_SCRIPTS, ruleData.pattern)) &&
+               (ruleData.matchType !== 'regex' || isValidRegexPattern(ruleData.pattern)) &&
+               isValidRecord(ruleData.filters, isValidNonEmptyString) &&
+               Object.keys(ruleData.filters).length > 0 &&
+               Object.keys(ruleData.filters).every(filterType => Object.prototype.hasOwnProperty.call(FILTER_DEFAULTS, filterType));
+    }
+
+    function isValidHistoryEntryData(entryData) {
+        return entryData &&
+               typeof entryData === 'object' &&
+               isValidNonEmptyString(entryData.id) &&
+               isValidNonEmptyString(entryData.query) &&
+               entryData.query.length <= CONFIG.MAX_HISTORY_QUERY_LENGTH &&
+               Object.prototype.hasOwnProperty.call(VERTICALS, entryData.vertical) &&
+               Number.isFinite(entryData.time) &&
+               isValidRecord(entryData.filters, isValidNonEmptyString) &&
+               Object.keys(FILTER_DEFAULTS).every(filterType => isValidNonEmptyString(entryData.filters[filterType]));
+    }
+
+    function isValidRegexPattern(pattern) {
+        try {
+            new RegExp(pattern, 'i');
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    function isValidQueryOperatorsData(operatorData) {
+        return operatorData &&
+               typeof operatorData === 'object' &&
+               isValidStringArray(operatorData.phrases) &&
+               isValidStringArray(operatorData.excludes) &&
+               QUERY_OPERATOR_FIELDS.every(field => typeof operatorData[field] === 'string');
+    }
+
+    function isValidProfileData(profileData) {
+        return profileData &&
+               typeof profileData === 'object' &&
+               isValidNonEmptyString(profileData.name) &&
+               typeof profileData.filters === 'object' &&
+               profileData.filters !== null &&
+               typeof profileData.persistence === 'object' &&
+               profileData.persistence !== null;
+    }
+
     function addTrackedEventListener(element, event, handler, options = false) {
         if (!element || typeof handler !== 'function') return;
         element.addEventListener(event, handler, options);
@@ -153,41 +822,25 @@
         window.addEventListener('unload', handleUnload);
     }
 
-    const filters = {
-        searchLang: {
-            'all': { name: 'All Languages', short: 'ALL', icon: 'globe', description: 'Search results in any language' },
-            'tr': { name: 'Turkish Only', short: 'TR', icon: '🇹🇷', description: 'Only Turkish language search results' },
-            'en': { name: 'English Only', short: 'EN', icon: '🇺🇸', description: 'Only English language search results' }
-        },
-        interfaceLang: {
-            'auto': { name: 'Auto Detect', short: 'AUTO', icon: 'globe', googleLang: null, description: 'Google automatically detects interface language' },
-            'tr': { name: 'Turkish UI', short: 'TR', icon: '🇹🇷', googleLang: 'tr', description: 'Display Google interface in Turkish' },
-            'en': { name: 'English UI', short: 'EN', icon: '🇺🇸', googleLang: 'en', description: 'Display Google interface in English' }
-        },
-        region: {
-            'auto': { name: 'Auto Detect', short: 'AUTO', icon: 'globe', googleRegion: null, description: 'Google automatically detects your location' },
-            'tr': { name: 'Turkey', short: 'TR', icon: '🇹🇷', googleRegion: 'TR', description: 'Show Turkey-specific results and local content' },
-            'us': { name: 'United States', short: 'US', icon: '🇺🇸', googleRegion: 'US', description: 'Show US-specific results and local content' }
-        },
-        time: {
-            'all': { name: 'All Time', short: 'ALL', param: '' },
-            'day': { name: 'Today', short: 'TODAY', param: 'd' },
-            'week': { name: 'This Week', short: 'WEEK', param: 'w' },
-            'month': { name: 'This Month', short: 'MONTH', param: 'm' },
-            'year': { name: 'This Year', short: 'YEAR', param: 'y' },
-            '2year': { name: 'Last 2 Years', short: '2 YEARS', param: 'custom:2y' }
-        },
-        site: {
-            'reddit': { name: 'Reddit', short: 'REDDIT', query: 'site:reddit.com', domain: 'reddit.com', icon: 'https://reddit.com/favicon.ico' },
-            'github': { name: 'GitHub', short: 'GITHUB', query: 'site:github.com', domain: 'github.com', icon: 'https://github.com/favicon.ico' },
-            'eksisozluk': { name: 'Ekşi Sözlük', short: 'EKŞİ', query: 'site:eksisozluk.com', domain: 'eksisozluk.com', icon: 'https://eksisozluk.com/favicon.ico' },
-            'donanimhaber': { name: 'DONANIMHABER', short: 'DH', query: 'site:forum.donanimhaber.com', domain: 'forum.donanimhaber.com', icon: 'https://donanimhaber.com/favicon.ico' }
-        }
-    };
+    // The filter catalog and the language/country lists behind it live in search-url-codec.js so the tests share them
+    const {
+        SEARCH_LANGUAGES,
+        INTERFACE_LANGUAGES,
+        COUNTRIES,
+        getFlagEmoji
+    } = GoogleSearchUrlCodec;
+
+    const DEFAULT_PINNED_SEARCH_LANGS = ['tr', 'en'];
+    const DEFAULT_PINNED_REGIONS = ['tr', 'us'];
+
+    const filters = GoogleSearchUrlCodec.createFilterCatalog();
 
     function loadCustomSites() {
         return safeExecute(() => {
-            const customSites = localStorage.getItem('googleSearchCustomSites');
+            // Reset to the built-in sites so reloading after a remote change drops removed ones
+            Object.keys(filters.site).filter(key => !DEFAULT_SITES.includes(key)).forEach(key => delete filters.site[key]);
+
+            const customSites = storage.getItem('googleSearchCustomSites');
             if (!customSites) {
                 return;
             }
@@ -210,11 +863,11 @@
                     });
                     Object.assign(filters.site, validatedSites);
                 } else {
-                    console.warn('[Advanced Search] Invalid custom sites data format');
+                    quarantineSetting('googleSearchCustomSites', 'Unexpected data format');
                 }
             } catch (error) {
                 console.warn('[Advanced Search] Failed to load custom sites:', error);
-                localStorage.removeItem('googleSearchCustomSites');
+                quarantineSetting('googleSearchCustomSites', 'Unreadable JSON');
             }
         }, 'loadCustomSites');
     }
@@ -230,7 +883,7 @@
 
             try {
                 const serialized = JSON.stringify(customSites);
-                localStorage.setItem('googleSearchCustomSites', serialized);
+                storage.setItem('googleSearchCustomSites', serialized);
             } catch (error) {
                 console.error('[Advanced Search] Failed to save custom sites:', error);
                 showToast('Error saving custom sites', 'warning');
@@ -238,543 +891,2152 @@
         }, 'saveCustomSites');
     }
 
-    loadCustomSites();
 
-    const persistenceSettings = {
-        searchLang: localStorage.getItem('googleSearchPersistSearchLang') !== 'false',
-        interfaceLang: localStorage.getItem('googleSearchPersistInterfaceLang') !== 'false',
-        region: localStorage.getItem('googleSearchPersistRegion') === 'true',
-        time: localStorage.getItem('googleSearchPersistTime') === 'true',
-        site: localStorage.getItem('googleSearchPersistSite') === 'true'
-    };
+    // Domains excluded from every search with -site:, stored next to the custom sites
+    const blockedSites = [];
+
+    function loadBlockedSites() {
+        return safeExecute(() => {
+            blockedSites.length = 0;
+            const storedBlocklist = storage.getItem('googleSearchBlockedSites');
+            if (!storedBlocklist) {
+                return;
+            }
+
+            try {
+                const parsed = JSON.parse(storedBlocklist);
+                if (Array.isArray(parsed)) {
+                    const validDomains = parsed
+                        .filter(domain => isValidURL(domain))
+                        .map(domain => cleanURLDomain(domain).toLowerCase());
+                    blockedSites.push(...new Set(validDomains));
+                } else {
+                    quarantineSetting('googleSearchBlockedSites', 'Unexpected data format');
+                }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load blocked sites:', error);
+                quarantineSetting('googleSearchBlockedSites', 'Unreadable JSON');
+            }
+        }, 'loadBlockedSites');
+    }
+
+    function saveBlockedSites() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchBlockedSites', JSON.stringify(blockedSites));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save blocked sites:', error);
+                showToast('Error saving blocked sites', 'warning');
+            }
+        }, 'saveBlockedSites');
+    }
 
-    let autoOpenPanel = localStorage.getItem('googleSearchAutoOpen') !== 'false';
 
-    const currentFilters = {
-        searchLang: persistenceSettings.searchLang ? (localStorage.getItem('googleSearchSearchLang') || 'all') : 'all',
-        interfaceLang: persistenceSettings.interfaceLang ? (localStorage.getItem('googleSearchInterfaceLang') || 'auto') : 'auto',
-        region: persistenceSettings.region ? (localStorage.getItem('googleSearchRegion') || 'auto') : 'auto',
-        site: persistenceSettings.site ? (localStorage.getItem('googleSearchSite') || 'all') : 'all',
-        time: persistenceSettings.time ? (localStorage.getItem('googleSearchTime') || 'all') : 'all'
+    const RESULT_RULE_ACTIONS = {
+        hide: 'Hide',
+        dim: 'Dim',
+        highlight: 'Highlight'
     };
 
+    const RESULT_RULE_MATCH_TYPES = {
+        domain: 'Domain',
+        url: 'URL',
+        title: 'Title'
+    };
 
-    function getStorageKey(filterType) {
-        return `googleSearch${filterType.charAt(0).toUpperCase() + filterType.slice(1)}`;
-    }
+    // Ordered list of {id, action, matchType, pattern}; the first matching rule wins
+    const resultRules = [];
 
-    function getPersistStorageKey(filterType) {
-        return `googleSearchPersist${filterType.charAt(0).toUpperCase() + filterType.slice(1)}`;
-    }
+    function loadResultRules() {
+        return safeExecute(() => {
+            resultRules.length = 0;
+            const storedRules = storage.getItem('googleSearchResultRules');
+            if (!storedRules) {
+                return;
+            }
 
-    function isDarkMode() {
-        return window.matchMedia('(prefers-color-scheme: dark)').matches ||
-               getComputedStyle(document.body).backgroundColor.includes('rgb(32, 33, 36)');
+            try {
+                const parsed = JSON.parse(storedRules);
+                if (Array.isArray(parsed)) {
+                    resultRules.push(...parsed.filter(rule => isValidResultRuleData(rule)).map(rule => ({
+                        id: rule.id,
+                        action: rule.action,
+                        matchType: rule.matchType,
+                        pattern: rule.pattern.trim()
+                    })));
+                } else {
+                    quarantineSetting('googleSearchResultRules', 'Unexpected data format');
+                }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load result rules:', error);
+                quarantineSetting('googleSearchResultRules', 'Unreadable JSON');
+            }
+        }, 'loadResultRules');
     }
 
-    function getColors() {
-        const dark = isDarkMode();
-        return {
-            primary: dark ? '#6b9eff' : '#2563eb',
-            primaryHover: dark ? '#8bb4ff' : '#1d4ed8',
-            primaryLight: dark ? 'rgba(107, 158, 255, 0.15)' : 'rgba(37, 99, 235, 0.1)',
-
-            bg: dark ? 'rgba(15, 15, 17, 0.95)' : 'rgba(255, 255, 255, 0.95)',
-            bgHeader: dark ? 'rgba(24, 25, 28, 0.98)' : 'rgba(248, 250, 252, 0.98)',
-            bgSection: dark ? 'rgba(32, 34, 37, 0.92)' : 'rgba(241, 245, 249, 0.92)',
-            bgCard: dark ? 'rgba(40, 42, 46, 0.88)' : 'rgba(236, 242, 248, 0.88)',
-            bgInput: dark ? 'rgba(48, 51, 56, 0.85)' : 'rgba(226, 232, 240, 0.85)',
-            bgOverlay: dark ? 'rgba(56, 59, 64, 0.8)' : 'rgba(203, 213, 225, 0.8)',
+    function saveResultRules() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchResultRules', JSON.stringify(resultRules));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save result rules:', error);
+                showToast('Error saving result rules', 'warning');
+            }
+        }, 'saveResultRules');
+    }
 
-            text: dark ? '#f1f5f9' : '#0f172a',
-            textSoft: dark ? '#cbd5e1' : '#334155',
-            textMuted: dark ? '#94a3b8' : '#64748b',
-            textFaint: dark ? '#64748b' : '#94a3b8',
-            textAccent: dark ? '#6b7280' : '#4b5563',
 
-            hover: dark ? 'rgba(248, 250, 252, 0.06)' : 'rgba(15, 23, 42, 0.04)',
-            hoverStrong: dark ? 'rgba(248, 250, 252, 0.12)' : 'rgba(15, 23, 42, 0.08)',
-            active: dark ? 'rgba(107, 158, 255, 0.2)' : 'rgba(37, 99, 235, 0.15)',
-            selected: dark ? 'rgba(107, 158, 255, 0.25)' : 'rgba(37, 99, 235, 0.2)',
-            pressed: dark ? 'rgba(107, 158, 255, 0.3)' : 'rgba(37, 99, 235, 0.25)',
+    // Operators appended to every search; the single-value fields map 1:1 to a Google operator
+    const QUERY_OPERATOR_FIELDS = ['filetype', 'intitle', 'inurl', 'after', 'before'];
 
-            border: dark ? 'rgba(71, 85, 105, 0.4)' : 'rgba(203, 213, 225, 0.6)',
-            borderSoft: dark ? 'rgba(71, 85, 105, 0.25)' : 'rgba(203, 213, 225, 0.4)',
-            borderLight: dark ? 'rgba(71, 85, 105, 0.15)' : 'rgba(203, 213, 225, 0.25)',
-            divider: dark ? 'rgba(71, 85, 105, 0.3)' : 'rgba(203, 213, 225, 0.5)',
+    const QUERY_OPERATOR_DEFAULTS = {
+        phrases: [],
+        excludes: [],
+        filetype: '',
+        intitle: '',
+        inurl: '',
+        after: '',
+        before: ''
+    };
 
-            success: dark ? '#9ca3af' : '#6b7280',
-            successBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
-            warning: dark ? '#9ca3af' : '#6b7280',
-            warningBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
-            error: dark ? '#9ca3af' : '#6b7280',
-            errorBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
-            info: dark ? '#9ca3af' : '#6b7280',
-            infoBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
+    const queryOperators = { ...QUERY_OPERATOR_DEFAULTS };
 
-            shadowDeep: dark ? '0 20px 40px rgba(0, 0, 0, 0.6)' : '0 20px 40px rgba(15, 23, 42, 0.15)',
-            shadow: dark ? '0 10px 25px rgba(0, 0, 0, 0.4)' : '0 10px 25px rgba(15, 23, 42, 0.1)',
-            shadowMedium: dark ? '0 6px 20px rgba(0, 0, 0, 0.3)' : '0 6px 20px rgba(15, 23, 42, 0.08)',
-            shadowSoft: dark ? '0 3px 12px rgba(0, 0, 0, 0.2)' : '0 3px 12px rgba(15, 23, 42, 0.06)',
-            shadowInner: dark ? 'inset 0 2px 4px rgba(0, 0, 0, 0.3)' : 'inset 0 2px 4px rgba(15, 23, 42, 0.1)',
+    // Quotes are dropped because the compiler adds its own; dates must be real ISO dates
+    function normalizeQueryOperators(operatorData) {
+        const cleanTerm = value => value.replace(/"/g, '').replace(/\s+/g, ' ').trim().slice(0, CONFIG.MAX_RULE_PATTERN_LENGTH);
+        const cleanList = values => [...new Set(values.map(cleanTerm).filter(Boolean))].slice(0, CONFIG.MAX_QUERY_OPERATOR_TERMS);
+        const cleanDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && parseISODate(value) ? value : '';
+        const filetype = operatorData.filetype.trim().replace(/^\./, '').toLowerCase();
 
-            glowPrimary: dark ? '0 0 20px rgba(107, 158, 255, 0.3)' : '0 0 20px rgba(37, 99, 235, 0.2)',
-            glowSuccess: dark ? '0 0 16px rgba(156, 163, 175, 0.25)' : '0 0 16px rgba(107, 114, 128, 0.15)'
+        return {
+            phrases: cleanList(operatorData.phrases),
+            excludes: cleanList(operatorData.excludes.map(word => word.replace(/^-+/, ''))),
+            filetype: /^[a-z0-9]{1,10}$/.test(filetype) ? filetype : '',
+            intitle: cleanTerm(operatorData.intitle),
+            inurl: cleanTerm(operatorData.inurl),
+            after: cleanDate(operatorData.after),
+            before: cleanDate(operatorData.before)
         };
     }
 
-    function getSVGIcon(type, size = 16, color = '#666') {
-        const icons = {
-            filter: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polygon points="22,3 2,3 10,12.46 10,19 14,21 14,12.46 22,3"/>
-            </svg>`,
+    function loadQueryOperators() {
+        return safeExecute(() => {
+            Object.assign(queryOperators, QUERY_OPERATOR_DEFAULTS);
+            const storedOperators = storage.getItem('googleSearchQueryOperators');
+            if (!storedOperators) {
+                return;
+            }
 
-            chevronDown: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polyline points="6,9 12,15 18,9"/>
-            </svg>`,
+            try {
+                const parsed = JSON.parse(storedOperators);
+                if (isValidQueryOperatorsData(parsed)) {
+                    Object.assign(queryOperators, normalizeQueryOperators(parsed));
+                } else {
+                    quarantineSetting('googleSearchQueryOperators', 'Unexpected data format');
+                }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load query operators:', error);
+                quarantineSetting('googleSearchQueryOperators', 'Unreadable JSON');
+            }
+        }, 'loadQueryOperators');
+    }
 
-            x: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <line x1="18" y1="6" x2="6" y2="18"/>
-                <line x1="6" y1="6" x2="18" y2="18"/>
-            </svg>`,
-
-            flagTR: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="1.5">
-                <rect x="3" y="5" width="18" height="12" rx="2" fill="#e30a17"/>
-                <circle cx="9" cy="11" r="2.5" fill="none" stroke="white" stroke-width="1.5"/>
-                <polygon points="13,9 15,10.5 13,12 13.8,10.5" fill="white"/>
-            </svg>`,
+    function saveQueryOperators() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchQueryOperators', JSON.stringify(queryOperators));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save query operators:', error);
+                showToast('Error saving query operators', 'warning');
+            }
+        }, 'saveQueryOperators');
+    }
 
-            flagUS: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="1.5">
-                <rect x="3" y="5" width="18" height="12" rx="2" fill="#b22234"/>
-                <rect x="3" y="5" width="7" height="7" fill="#3c3b6e"/>
-                <path d="M4 6h1 M6 6h1 M8 6h1 M4 7h1 M6 7h1 M8 7h1 M4 8h1 M6 8h1 M8 8h1" stroke="white" stroke-width="0.3"/>
-                <rect x="3" y="9" width="18" height="1" fill="white"/>
-                <rect x="3" y="11" width="18" height="1" fill="white"/>
-                <rect x="3" y="13" width="18" height="1" fill="white"/>
-                <rect x="3" y="15" width="18" height="1" fill="white"/>
-            </svg>`,
 
-            globe: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <circle cx="12" cy="12" r="10"/>
-                <line x1="2" y1="12" x2="22" y2="12"/>
-                <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/>
-            </svg>`,
+    const RESULT_RULE_CLASSES = {
+        hide: 'gsf-result-hidden',
+        dim: 'gsf-result-dimmed',
+        highlight: 'gsf-result-highlighted'
+    };
 
-            location: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
-                <circle cx="12" cy="10" r="3"/>
-            </svg>`,
+    function getResultUrl(link) {
+        const url = new URL(link.href, window.location.href);
 
-            clock: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <circle cx="12" cy="12" r="10"/>
-                <polyline points="12,6 12,12 16,14"/>
-            </svg>`,
+        // Unwrap Google's /url?q= redirect links first, so rules match the destination rather than the redirect;
+        // the target can be relative to the results page
+        if (url.pathname === '/url' && isGoogleHost(url.hostname)) {
+            const target = url.searchParams.get('q') || url.searchParams.get('url');
+            if (target) return new URL(target, window.location.href);
+        }
+        return url;
+    }
 
-            eyeOpen: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
-                <circle cx="12" cy="12" r="3"/>
-            </svg>`,
+    function getResultBlocks() {
+        const blocks = new Map();
+        document.querySelectorAll('#rso a[href] h3').forEach(heading => {
+            const link = heading.closest('a');
+            const block = link.closest('.MjjYud') || link.closest('div.g');
+            if (!block || blocks.has(block)) return;
 
-            pin: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <line x1="9" y1="9" x2="20" y2="20"/>
-                <path d="M16 8 8 16l-4-4 4-4m0 0 7-7 4 4-7 7"/>
-            </svg>`,
+            const url = safeExecute(() => getResultUrl(link), 'getResultUrl');
+            if (!url) return;
 
-            flag: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/>
-                <line x1="4" y1="22" x2="4" y2="15"/>
-            </svg>`,
+            blocks.set(block, {
+                domain: url.hostname.toLowerCase().replace(/^www\./, ''),
+                url: url.href,
+                title: heading.textContent || ''
+            });
+        });
+        return blocks;
+    }
 
-            world: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <circle cx="12" cy="12" r="10"/>
-                <line x1="2" y1="12" x2="22" y2="12"/>
-                <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/>
-            </svg>`
-        };
+    function matchesResultRule(rule, result) {
+        const pattern = rule.pattern.toLowerCase();
 
-        return icons[type] || '';
+        switch (rule.matchType) {
+            case 'domain': {
+                const domain = cleanURLDomain(pattern).replace(/^www\./, '');
+                return result.domain === domain || result.domain.endsWith(`.${domain}`);
+            }
+            case 'url': {
+                // Substring match, with * as a wildcard
+                const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+                return new RegExp(source, 'i').test(result.url);
+            }
+            case 'title':
+                return result.title.toLowerCase().includes(pattern);
+            default:
+                return false;
+        }
     }
 
+    function applyResultRules() {
+        return safeExecute(() => {
+            getResultBlocks().forEach((result, block) => {
+                const rule = resultRules.find(candidate => matchesResultRule(candidate, result));
+                Object.entries(RESULT_RULE_CLASSES).forEach(([action, className]) => {
+                    block.classList.toggle(className, rule?.action === action);
+                });
+            });
+        }, 'applyResultRules');
+    }
 
-    function setupKeyboardShortcuts() {
+    // The result classes get a stylesheet of their own in the page, so rules work whether or not the panel is shown
+    function injectResultRuleStyles() {
         return safeExecute(() => {
-            const keydownHandler = (e) => {
-                safeExecute(() => {
-                    if (e.altKey && e.key === 'f') {
-                        e.preventDefault();
-                        togglePanel();
-                        return;
-                    }
+            let style = document.getElementById('gsf-result-rule-styles');
+            if (!style) {
+                style = document.createElement('style');
+                style.id = 'gsf-result-rule-styles';
+                (document.head || document.documentElement).appendChild(style);
+            }
 
-                    if (globalState.isOpen && e.altKey) {
-                        // Keyboard shortcut mappings
-                        const keyMappings = {
-                            'c': () => clearAllFilters()
-                        };
+            const colors = getColors();
+            style.textContent = `
+                .${RESULT_RULE_CLASSES.hide} { display: none !important; }
+                .${RESULT_RULE_CLASSES.dim} { opacity: 0.35; transition: opacity 0.2s ease; }
+                .${RESULT_RULE_CLASSES.dim}:hover { opacity: 1; }
+                .${RESULT_RULE_CLASSES.highlight} {
+                    border-radius: 8px; box-shadow: 0 0 0 2px ${colors.primary}; background: ${isDarkMode() ? 'rgba(107, 158, 255, 0.08)' : 'rgba(37, 99, 235, 0.05)'};
+                }
+            `;
+        }, 'injectResultRuleStyles');
+    }
 
-                        const handler = keyMappings[e.key];
-                        if (handler) {
-                            e.preventDefault();
-                            handler();
-                        }
-                    }
+    // Google lazy-loads results, so re-apply on DOM changes once things settle
+    const scheduleResultRules = debounce(applyResultRules);
+
+    // Rules that pick filters for a single search from its query: a keyword list, a regex or the script it's written in
+    const QUERY_RULE_MATCH_TYPES = { keyword: 'Keywords', regex: 'Regex', script: 'Script' };
+
+    // Checked in order, so kana is found before Han (Japanese mixes both)
+    const QUERY_SCRIPTS = {
+        japanese: { name: 'Japanese', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u },
+        han: { name: 'Chinese', pattern: /\p{Script=Han}/u },
+        hangul: { name: 'Korean', pattern: /\p{Script=Hangul}/u },
+        cyrillic: { name: 'Cyrillic', pattern: /\p{Script=Cyrillic}/u },
+        greek: { name: 'Greek', pattern: /\p{Script=Greek}/u },
+        arabic: { name: 'Arabic', pattern: /\p{Script=Arabic}/u },
+        hebrew: { name: 'Hebrew', pattern: /\p{Script=Hebrew}/u },
+        devanagari: { name: 'Devanagari', pattern: /\p{Script=Devanagari}/u },
+        thai: { name: 'Thai', pattern: /\p{Script=Thai}/u },
+        latin: { name: 'Latin', pattern: /\p{Script=Latin}/u }
+    };
 
-                    if (globalState.isOpen && e.key === 'Escape') {
-                        e.preventDefault();
-                        togglePanel();
-                    }
-                }, 'keydownHandler');
-            };
+    const queryRules = [];
 
-            addTrackedEventListener(document, 'keydown', keydownHandler);
+    function loadQueryRules() {
+        return safeExecute(() => {
+            queryRules.length = 0;
+            const storedRules = storage.getItem('googleSearchQueryRules');
+            if (!storedRules) {
+                return;
+            }
 
-        }, 'setupKeyboardShortcuts');
+            try {
+                const parsed = JSON.parse(storedRules);
+                if (Array.isArray(parsed)) {
+                    queryRules.push(...parsed.filter(rule => isValidQueryRuleData(rule)));
+                } else {
+                    quarantineSetting('googleSearchQueryRules', 'Unexpected data format');
+                }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load query rules:', error);
+                quarantineSetting('googleSearchQueryRules', 'Unreadable JSON');
+            }
+        }, 'loadQueryRules');
     }
 
-    function getOptimalPosition() {
-        const appsButton = document.querySelector(SELECTORS.GOOGLE_APPS);
-        const profileButton = document.querySelector(SELECTORS.PROFILE_BUTTON);
+    function saveQueryRules() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchQueryRules', JSON.stringify(queryRules));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save query rules:', error);
+                showToast('Error saving query rules', 'warning');
+            }
+        }, 'saveQueryRules');
+    }
 
-        if (profileButton || appsButton) {
-            const rightmostElement = profileButton || appsButton;
-            const rect = rightmostElement.getBoundingClientRect();
-            return Math.max(CONFIG.WIDGET_TOP_OFFSET, rect.bottom + 16);
+    // The script most of the query's letters are written in; any kana makes it Japanese
+    function detectQueryScript(query) {
+        const counts = {};
+        for (const char of query) {
+            const script = Object.keys(QUERY_SCRIPTS).find(key => QUERY_SCRIPTS[key].pattern.test(char));
+            if (script) counts[script] = (counts[script] || 0) + 1;
         }
 
-        return CONFIG.WIDGET_TOP_OFFSET;
+        if (counts.japanese) return 'japanese';
+        const [topScript] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return topScript ? topScript[0] : null;
     }
 
-    function getAvailableHeight() {
-        const topPosition = getOptimalPosition();
-        return window.innerHeight - topPosition - 40 - 20;
+    function matchesQueryRule(rule, query) {
+        switch (rule.matchType) {
+            case 'keyword': {
+                const normalizedQuery = query.toLowerCase();
+                return rule.pattern.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean)
+                    .some(keyword => normalizedQuery.includes(keyword));
+            }
+            case 'regex':
+                return isValidRegexPattern(rule.pattern) && new RegExp(rule.pattern, 'i').test(query);
+            case 'script':
+                return detectQueryScript(query) === rule.pattern;
+            default:
+                return false;
+        }
     }
 
+    // What the user typed, without the site:, -site: and operator terms this script adds
+    function getUserQuery(query) {
+        return stripOperatorTerms(stripBlocklistOperators(stripSiteOperators(query), blockedSites), compileOperatorTerms(queryOperators));
+    }
 
-    function syncFiltersFromURL() {
-        safeExecute(() => {
-            const { searchParams } = new URL(window.location.href);
-            const [query, lr, tbs, hl, gl] = ['q', 'lr', 'tbs', 'hl', 'gl'].map(p => searchParams.get(p) || '');
+    // The first matching rule wins
+    function findQueryRule(query) {
+        const userQuery = getUserQuery(query);
+        if (!userQuery) return null;
+        return queryRules.find(rule => matchesQueryRule(rule, userQuery)) || null;
+    }
 
-            if (hl) {
-                currentFilters.interfaceLang = Object.entries(filters.interfaceLang).find(([, data]) => data.googleLang === hl)?.[0] || 'auto';
-            }
+    // Values that no longer exist (e.g. a removed custom site) are skipped
+    function getQueryRuleValues(rule) {
+        return Object.fromEntries(Object.entries(rule.filters).filter(([filterType, value]) => isKnownFilterValue(filterType, value)));
+    }
 
-            if (gl) {
-                currentFilters.region = Object.entries(filters.region).find(([, data]) => data.googleRegion === gl)?.[0] || 'auto';
-            }
+    function describeFilterValues(filterValues) {
+        return Object.entries(filterValues)
+            .map(([filterType, value]) => getFilterData(filterType, value)?.short || value)
+            .join(' + ');
+    }
+
+    function describeQueryRuleValues(rule) {
+        return describeFilterValues(getQueryRuleValues(rule));
+    }
+
+    // The rule that picked filters for the search on this page, with the values it replaced; those come back for
+    // the next search, so a rule only ever affects the searches it matches
+    let firedQueryRule = null;
 
+    function applyQueryRuleForPage() {
+        return safeExecute(() => {
             if (!isSearchPage()) return;
 
-            // Sync site filters
-            const siteEntry = Object.entries(filters.site).find(([, data]) => data?.query && query.includes(data.query));
-            if (siteEntry) currentFilters.site = siteEntry[0];
+            const rule = findQueryRule(new URL(window.location.href).searchParams.get('q') || '');
+            if (!rule) return;
+
+            const ruleValues = getQueryRuleValues(rule);
+            firedQueryRule = {
+                rule,
+                previous: Object.fromEntries(Object.keys(ruleValues).map(filterType => [filterType, currentFilters[filterType]]))
+            };
+            Object.assign(currentFilters, ruleValues);
+        }, 'applyQueryRuleForPage');
+    }
+
+    // Values a query rule or a search prefix replaced for the search on this page
+    function getOverriddenValues() {
+        return { ...firedQueryRule?.previous, ...firedPrefixes?.previous };
+    }
+
+    function restoreSearchOverrides() {
+        Object.assign(currentFilters, getOverriddenValues());
+        firedQueryRule = null;
+        firedPrefixes = null;
+    }
+
+    // A filter picked by hand while a rule or prefix is active is kept for later searches instead of being swapped back
+    function forgetSearchOverrides(filterTypes) {
+        [firedQueryRule, firedPrefixes].filter(Boolean).forEach(override => {
+            filterTypes.forEach(filterType => delete override.previous[filterType]);
+        });
+    }
+
+    // Prefixes typed into the search box pick a filter for that search: !site, ~language, @region, #time.
+    // Doubling the sign (!!gh) keeps the choice for later searches
+    const PREFIX_SIGNS = { '!': 'site', '~': 'searchLang', '@': 'region', '#': 'time' };
 
-            // Sync search language
-            if (lr) {
-                const langCode = lr.replace('lang_', '');
-                if (filters.searchLang[langCode]) currentFilters.searchLang = langCode;
+    // Built-in shorthands; a user alias with the same token replaces them
+    const DEFAULT_PREFIX_ALIASES = { '!r': 'reddit', '!gh': 'github', '!eksi': 'eksisozluk' };
+
+    // User aliases keyed by the full token (e.g. !docs), valued with the filter value they select
+    const prefixAliases = {};
+
+    function isValidPrefixAliasName(name) {
+        return isValidNonEmptyString(name) && name.length <= CONFIG.MAX_PREFIX_ALIAS_LENGTH && /^[\p{L}\p{N}_.-]+$/u.test(name);
+    }
+
+    function isValidPrefixAliasToken(token) {
+        return isValidNonEmptyString(token) && Object.prototype.hasOwnProperty.call(PREFIX_SIGNS, token[0]) &&
+               isValidPrefixAliasName(token.slice(1)) && token.slice(1) === token.slice(1).toLowerCase();
+    }
+
+    function loadPrefixAliases() {
+        return safeExecute(() => {
+            Object.keys(prefixAliases).forEach(token => delete prefixAliases[token]);
+            const storedAliases = storage.getItem('googleSearchPrefixAliases');
+            if (!storedAliases) {
+                return;
             }
 
-            // Sync time filters
-            if (tbs) {
-                if (tbs.startsWith('cdr:1,cd_min:')) {
-                    syncCustomDateRange(tbs);
+            try {
+                const parsed = JSON.parse(storedAliases);
+                if (isValidRecord(parsed, isValidNonEmptyString)) {
+                    Object.entries(parsed).forEach(([token, value]) => {
+                        if (isValidPrefixAliasToken(token)) {
+                            prefixAliases[token] = value;
+                        }
+                    });
                 } else {
-                    const timeParam = tbs.replace('qdr:', '');
-                    const timeEntry = Object.entries(filters.time).find(([, data]) => data?.param === timeParam);
-                    if (timeEntry) currentFilters.time = timeEntry[0];
+                    quarantineSetting('googleSearchPrefixAliases', 'Unexpected data format');
                 }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load prefix aliases:', error);
+                quarantineSetting('googleSearchPrefixAliases', 'Unreadable JSON');
             }
-        }, 'syncFiltersFromURL');
+        }, 'loadPrefixAliases');
+    }
+
+    function savePrefixAliases() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchPrefixAliases', JSON.stringify(prefixAliases));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save prefix aliases:', error);
+                showToast('Error saving prefix aliases', 'warning');
+            }
+        }, 'savePrefixAliases');
     }
 
-    function syncCustomDateRange(tbs) {
-        const dateMatch = tbs.match(/cd_min:(\d{1,2}\/\d{1,2}\/\d{4}),cd_max:(\d{1,2}\/\d{1,2}\/\d{4})/);
-        if (!dateMatch?.[1] || !dateMatch[2]) return;
+    // Without an alias a prefix names a catalog entry: a site key, short name or group name, a language or
+    // country code, a time preset or a rolling window like #3d
+    function resolvePrefixValue(filterType, name) {
+        const normalizedName = name.toLowerCase();
+        const compact = text => text.toLowerCase().replace(/\s+/g, '');
+        const findKey = matches => Object.keys(filters[filterType])
+            .find(key => key !== getDefaultFilterValue(filterType) && matches(key, filters[filterType][key]));
+
+        switch (filterType) {
+            case 'site': {
+                const siteKey = findKey((key, site) => compact(key) === normalizedName || compact(site.short) === normalizedName);
+                if (siteKey) return siteKey;
+
+                const groupId = Object.keys(siteGroups).find(id => compact(siteGroups[id].name) === normalizedName);
+                return groupId ? `group:${groupId}` : null;
+            }
+            case 'searchLang':
+                return findKey(key => key.toLowerCase() === normalizedName) || null;
+            case 'region':
+                return getRegionKey(normalizedName);
+            case 'time': {
+                const timeKey = findKey((key, data) => key === normalizedName || compact(data.short) === normalizedName);
+                if (timeKey) return timeKey;
+
+                const windowMatch = /^(\d{1,3})([hdwmy])$/.exec(normalizedName);
+                const value = windowMatch && createRelativeTimeValue(Number(windowMatch[1]), windowMatch[2]);
+                return value && isKnownFilterValue('time', value) ? value : null;
+            }
+            default:
+                return null;
+        }
+    }
 
-        const parseDate = (dateStr) => {
-            const [month, day, year] = dateStr.split('/').map(Number);
-            return (isNaN(year) || isNaN(month) || isNaN(day)) ? null : new Date(year, month - 1, day);
-        };
+    function resolvePrefixToken(word) {
+        const match = /^([!~@#])(\1?)([\p{L}\p{N}_.-]+)$/u.exec(word);
+        if (!match) return null;
 
-        const [startDate, endDate] = [parseDate(dateMatch[1]), parseDate(dateMatch[2])];
-        if (startDate && endDate) {
-            const yearsDiff = (endDate - startDate) / (365.25 * 24 * 60 * 60 * 1000);
-            if (yearsDiff >= 1.8 && yearsDiff <= 2.2) currentFilters.time = '2year';
+        const [, sign, stickySign, name] = match;
+        const filterType = PREFIX_SIGNS[sign];
+        const token = `${sign}${name.toLowerCase()}`;
+        const aliasValue = prefixAliases[token] || DEFAULT_PREFIX_ALIASES[token];
+        const value = isKnownFilterValue(filterType, aliasValue) ? aliasValue : resolvePrefixValue(filterType, name);
+        return value ? { filterType, value, sticky: Boolean(stickySign) } : null;
+    }
+
+    // Splits recognised prefixes off the query. Words that don't resolve (#hashtag, !important) stay in it, and so
+    // does a query made only of prefixes, which would otherwise leave nothing to search for
+    function parseSearchPrefixes(query) {
+        const values = {};
+        const stickyTypes = [];
+        const remainingWords = query.trim().split(/\s+/).filter(word => {
+            const prefix = resolvePrefixToken(word);
+            if (!prefix) return true;
+
+            values[prefix.filterType] = prefix.value;
+            if (prefix.sticky && !stickyTypes.includes(prefix.filterType)) stickyTypes.push(prefix.filterType);
+            return false;
+        });
+
+        if (remainingWords.length === 0) {
+            return { query, values: {}, stickyTypes: [] };
         }
+        return { query: remainingWords.join(' '), values, stickyTypes };
     }
 
-    function applyInterfaceLanguage(langCode) {
-        return safeExecute(() => {
-            if (!langCode) return;
+    // The last search sent from this tab's search box, or a history entry being re-run. Google's own scripts also
+    // serialize the form without searching, so the formdata handler only leaves this note; the results page it
+    // leads to records the search in the history, keeps sticky prefixes and knows which of its filters were one-offs
+    const FORM_SEARCH_KEY = 'googleSearchFormSearch';
 
-            const currentUrl = new URL(window.location.href);
-            const filterName = filters.interfaceLang[langCode].name;
+    function readFormSearch() {
+        try {
+            return JSON.parse(sessionStorage.getItem(FORM_SEARCH_KEY) || 'null');
+        } catch {
+            return null;
+        }
+    }
 
-            if (langCode === 'auto') {
-                // Remove interface language parameter to use Google's auto-detection
-                currentUrl.searchParams.delete('hl');
-                showToast(`Switching to ${filterName}...`, 'info');
+    function writeFormSearch(formSearch) {
+        try {
+            if (formSearch) {
+                sessionStorage.setItem(FORM_SEARCH_KEY, JSON.stringify(formSearch));
             } else {
-                const interfaceData = filters.interfaceLang[langCode];
-                if (!interfaceData || !interfaceData.googleLang) return;
+                sessionStorage.removeItem(FORM_SEARCH_KEY);
+            }
+        } catch (error) {
+            console.warn('[Advanced Search] Search form marker unavailable:', error);
+        }
+    }
 
-                const googleLang = interfaceData.googleLang;
+    function isValidFormSearch(formSearch) {
+        return typeof formSearch === 'object' && formSearch !== null &&
+               typeof formSearch.query === 'string' &&
+               Object.prototype.hasOwnProperty.call(VERTICALS, formSearch.vertical) &&
+               isValidRecord(formSearch.values, isValidNonEmptyString) &&
+               isValidRecord(formSearch.filters, isValidNonEmptyString) &&
+               isValidStringArray(formSearch.stickyTypes);
+    }
 
-                // Set ONLY interface language parameter (hl)
-                currentUrl.searchParams.set('hl', googleLang);
-                showToast(`Switching to ${filterName}...`, 'info');
+    // Sticky prefixes are saved like a filter picked in the panel, with persistence turned on for them
+    function applySearchPrefixes({ values, stickyTypes }, vertical) {
+        stickyTypes.forEach(filterType => {
+            if (vertical === getSearchVertical()) {
+                currentFilters[filterType] = values[filterType];
             }
+            persistenceSettings[filterType] = true;
+            storage.setItem(getPersistStorageKey(filterType), 'true');
+            storage.setItem(getStorageKey(filterType, vertical), values[filterType]);
+        });
+        forgetSearchOverrides(stickyTypes);
+    }
 
-            // Small delay for better UX, then navigate
-            setTimeout(() => {
-                window.location.href = currentUrl.toString();
-            }, 800);
+    // The one-off values arrive through the URL; what was loaded before they're synced comes back for the next search
+    let firedPrefixes = null;
 
-        }, 'applyInterfaceLanguage');
+    function applyFormSearchForPage() {
+        return safeExecute(() => {
+            const formSearch = readFormSearch();
+            writeFormSearch(null);
+            if (!formSearch || !isSearchPage() || !isValidFormSearch(formSearch)) return;
+            if (getUserQuery(new URL(window.location.href).searchParams.get('q') || '') !== getUserQuery(formSearch.query)) return;
+
+            recordSearch(formSearch.query, formSearch.filters, formSearch.vertical);
+
+            const filterTypes = Object.keys(formSearch.values).filter(filterType =>
+                Object.prototype.hasOwnProperty.call(FILTER_DEFAULTS, filterType) && isKnownFilterValue(filterType, formSearch.values[filterType]));
+            const stickyTypes = filterTypes.filter(filterType =>
+                Object.values(PREFIX_SIGNS).includes(filterType) && formSearch.stickyTypes.includes(filterType));
+            const oneSearchTypes = filterTypes.filter(filterType => !stickyTypes.includes(filterType) &&
+                !isSameFilterValue(filterType, formSearch.values[filterType], currentFilters[filterType]));
+            applySearchPrefixes({ values: formSearch.values, stickyTypes }, formSearch.vertical);
+
+            if (oneSearchTypes.length === 0) return;
+            firedPrefixes = {
+                values: Object.fromEntries(oneSearchTypes.map(filterType => [filterType, formSearch.values[filterType]])),
+                previous: Object.fromEntries(oneSearchTypes.map(filterType => [filterType, currentFilters[filterType]]))
+            };
+        }, 'applyFormSearchForPage');
     }
 
-    function applyRegionChange(regionCode) {
-        return safeExecute(() => {
-            if (!regionCode) return;
+    function createSearchPrefixSection(colors) {
+        const aliasTokens = Object.keys(prefixAliases);
 
-            const currentUrl = new URL(window.location.href);
-            const filterName = filters.region[regionCode].name;
+        return `
+            <div class="filter-section" data-filter-type="searchPrefixes">
+                <div class="section-header">
+                    ${createSectionTitle('Search Prefixes', 'filter', colors, false, aliasTokens.length > 0)}
+                    <button id="prefix-alias-form-toggle" class="btn btn-xs btn-ghost ${globalState.prefixAliasFormOpen ? 'open' : ''}" title="Add a prefix alias">+</button>
+                </div>
+                <div class="profile-empty">
+                    Type <code>!site</code> <code>~lang</code> <code>@region</code> <code>#time</code> in the search box, e.g. <code>!gh #week</code>.
+                    Double the sign (<code>!!gh</code>) to keep the choice.
+                </div>
+                ${globalState.prefixAliasFormOpen ? createPrefixAliasForm() : ''}
+                ${aliasTokens.length > 0 ? `
+                    <div class="result-rule-list">
+                        ${aliasTokens.map(token => {
+                            const filterType = PREFIX_SIGNS[token[0]];
+                            const valueName = getFilterData(filterType, prefixAliases[token])?.name || prefixAliases[token];
+                            return `<div class="result-rule-item">
+                                <span class="result-rule-action prefix-token">${sanitizeHTML(token)}</span>
+                                <span class="result-rule-pattern" title="${getFilterName(filterType)}: ${sanitizeHTML(valueName)}">${sanitizeHTML(valueName)}</span>
+                                <button class="profile-action-btn remove-prefix-alias-btn" data-token="${sanitizeHTML(token)}" title="Remove alias">×</button>
+                            </div>`;
+                        }).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
 
-            if (regionCode === 'auto') {
-                // Remove region parameter to use Google's auto-detection
-                currentUrl.searchParams.delete('gl');
-                showToast(`Switching to ${filterName}...`, 'info');
-            } else {
-                const regionData = filters.region[regionCode];
-                if (!regionData || !regionData.googleRegion) return;
+    // An alias points at the current selection of one of the prefix filters
+    function createPrefixAliasForm() {
+        const targets = Object.entries(PREFIX_SIGNS)
+            .filter(([, filterType]) => currentFilters[filterType] !== getDefaultFilterValue(filterType));
 
-                const googleRegion = regionData.googleRegion;
+        if (targets.length === 0) {
+            return '<div class="time-custom-form open"><div class="profile-empty">Select a site, language, region or time first; the alias will pick it</div></div>';
+        }
 
-                // Set ONLY region parameter (gl)
-                currentUrl.searchParams.set('gl', googleRegion);
-                showToast(`Switching to ${filterName}...`, 'info');
-            }
+        return `
+            <div class="time-custom-form open prefix-alias-form">
+                <div class="time-form-row">
+                    <label class="time-form-label">Alias
+                        <input type="text" id="prefix-alias-name" class="time-form-input" maxlength="${CONFIG.MAX_PREFIX_ALIAS_LENGTH}" placeholder="docs">
+                    </label>
+                    <label class="time-form-label">Picks
+                        <select id="prefix-alias-target" class="time-form-input">
+                            ${targets.map(([sign, filterType]) => {
+                                const valueName = getFilterData(filterType, currentFilters[filterType])?.name || currentFilters[filterType];
+                                return `<option value="${filterType}">${sign} ${sanitizeHTML(valueName)}</option>`;
+                            }).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="time-form-actions">
+                    <button id="add-prefix-alias-btn" class="btn btn-xs btn-primary">Add Alias</button>
+                </div>
+            </div>
+        `;
+    }
 
-            // Small delay for better UX, then navigate
-            setTimeout(() => {
-                window.location.href = currentUrl.toString();
-            }, 800);
+    function togglePrefixAliasForm() {
+        globalState.prefixAliasFormOpen = !globalState.prefixAliasFormOpen;
+        updatePanel();
 
-        }, 'applyRegionChange');
+        if (globalState.prefixAliasFormOpen) {
+            document.getElementById('prefix-alias-name')?.focus();
+        }
     }
 
-
-    function createWidget() {
+    function addPrefixAlias() {
         return safeExecute(() => {
-            // Check if widget already exists
-            const existingWidget = document.getElementById('advanced-search-widget');
-            if (existingWidget) {
-                console.log('[Advanced Search] Widget already exists');
+            const filterType = document.getElementById('prefix-alias-target')?.value;
+            const sign = Object.keys(PREFIX_SIGNS).find(prefixSign => PREFIX_SIGNS[prefixSign] === filterType);
+            // A typed sign is accepted but not required
+            const name = (document.getElementById('prefix-alias-name')?.value || '').trim().replace(/^[!~@#]+/, '').toLowerCase();
+
+            if (!sign || !isValidPrefixAliasName(name)) {
+                showToast('Aliases use letters, digits, dots, dashes and underscores', 'warning');
                 return;
             }
 
-            if (!document.body) {
-                console.warn('[Advanced Search] Document body not ready for widget creation');
+            const token = `${sign}${name}`;
+            if (!prefixAliases[token] && Object.keys(prefixAliases).length >= CONFIG.MAX_PREFIX_ALIASES) {
+                showToast('Maximum number of prefix aliases reached', 'warning');
                 return;
             }
 
-            const colors = getColors();
-            const topPosition = getOptimalPosition();
-            const availableHeight = getAvailableHeight();
+            prefixAliases[token] = currentFilters[filterType];
+            savePrefixAliases();
+            globalState.prefixAliasFormOpen = false;
+            updatePanel();
+            showToast(`Type ${token} to pick ${getFilterData(filterType, currentFilters[filterType])?.name || currentFilters[filterType]}`, 'success');
+        }, 'addPrefixAlias');
+    }
 
-            syncFiltersFromURL();
+    function removePrefixAlias(token) {
+        return safeExecute(() => {
+            if (!prefixAliases[token]) {
+                showToast('Alias not found', 'warning');
+                return;
+            }
 
-            const container = document.createElement('div');
-            container.id = 'advanced-search-widget';
-            container.style.cssText = `
-                position: fixed;
-                top: ${topPosition}px;
-                right: 24px;
-                z-index: 10000;
-                font-family: -apple-system, BlinkMacSystemFont, "Google Sans", Roboto, arial, sans-serif;
-                opacity: 0;
-                transform: translateY(10px);
-                transition: all ${CONFIG.ANIMATION_DURATION * 1.3}ms cubic-bezier(0.16, 1, 0.3, 1);
-            `;
+            delete prefixAliases[token];
+            savePrefixAliases();
+            updatePanel();
+            showToast(`Alias ${token} removed`, 'success');
+        }, 'removePrefixAlias');
+    }
+
+    // Opt-in log of searches with the filters they ran with, newest first; kept on this device only (not exported)
+    const HISTORY_RETENTION_OPTIONS = { '1': '1 day', '7': '1 week', '30': '30 days', '90': '90 days', '365': '1 year' };
+
+    const searchHistory = [];
+    let searchHistoryEnabled = false;
+    let historyRetention = CONFIG.DEFAULT_HISTORY_RETENTION;
+
+    function loadSearchHistory() {
+        return safeExecute(() => {
+            searchHistory.length = 0;
+            if (!storedSearchHistory) {
+                return;
+            }
 
-            const button = document.createElement('button');
-            button.id = 'filter-btn';
             try {
-                button.innerHTML = createButtonContent();
+                const parsed = JSON.parse(storedSearchHistory);
+                if (Array.isArray(parsed)) {
+                    searchHistory.push(...parsed.filter(entry => isValidHistoryEntryData(entry)));
+                } else {
+                    quarantineSearchHistory('Unexpected data format');
+                }
             } catch (error) {
-                console.error('[Advanced Search] Error creating button content:', error);
-                button.textContent = 'Filters';
+                console.warn('[Advanced Search] Failed to load search history:', error);
+                quarantineSearchHistory('Unreadable JSON');
             }
+        }, 'loadSearchHistory');
+    }
 
-            button.className = 'advanced-filter-btn';
-
-            const panel = document.createElement('div');
-            panel.id = 'filter-panel';
+    function saveSearchHistory() {
+        return safeExecute(() => {
             try {
-                panel.innerHTML = createPanelContent();
+                saveStoredSearchHistory(JSON.stringify(searchHistory));
             } catch (error) {
-                console.error('[Advanced Search] Error creating panel content:', error);
-                panel.innerHTML = '<div style="padding: 20px; text-align: center;">Error loading filters</div>';
+                console.error('[Advanced Search] Failed to save search history:', error);
+                showToast('Error saving search history', 'warning');
             }
+        }, 'saveSearchHistory');
+    }
 
-            panel.style.cssText = `
-                position: absolute;
-                top: calc(100% + 6px);
-                right: 0;
-                background: linear-gradient(180deg, ${isDarkMode() ? 'rgba(32, 33, 36, 0.95)' : 'rgba(255, 255, 255, 0.55)'}, ${isDarkMode() ? 'rgba(24, 25, 28, 0.90)' : 'rgba(250, 251, 252, 0.60)'});
-                backdrop-filter: blur(24px);
-                border: 1px solid ${isDarkMode() ? 'rgba(255, 255, 255, 0.06)' : 'rgba(0, 0, 0, 0.04)'};
-                border-radius: 12px;
-                width: ${CONFIG.PANEL_WIDTH}px;
-                max-height: ${availableHeight}px;
-                overflow-y: auto;
-                opacity: 0;
-                visibility: hidden;
-                transform: translateY(-12px) scale(0.96);
-                transition: all ${CONFIG.ANIMATION_DURATION}ms cubic-bezier(0.16, 1, 0.3, 1);
-                box-shadow: ${colors.shadow};
-            `;
+    // Drops entries past the retention period and beyond the entry limit; returns whether anything went
+    function pruneSearchHistory() {
+        const cutoff = Date.now() - Number(historyRetention) * 24 * 60 * 60 * 1000;
+        const keptEntries = searchHistory.filter(entry => entry.time >= cutoff).slice(0, CONFIG.MAX_HISTORY_ENTRIES);
+        if (keptEntries.length === searchHistory.length) return false;
 
-            // Add tracked event listeners for proper cleanup
-            const mouseEnterHandler = () => {
-                if (!globalState.isOpen) {
-                    button.classList.add('hover-active');
-                }
-            };
+        searchHistory.splice(0, searchHistory.length, ...keptEntries);
+        return true;
+    }
 
-            const mouseLeaveHandler = () => {
-                if (!globalState.isOpen) {
-                    button.classList.remove('hover-active');
-                }
-            };
+    function isSameHistoryEntry(a, b) {
+        return a.query === b.query && a.vertical === b.vertical &&
+               Object.keys(FILTER_DEFAULTS).every(filterType => a.filters[filterType] === b.filters[filterType]);
+    }
 
-            const buttonClickHandler = (e) => {
-                e.stopPropagation();
-                togglePanel();
-            };
+    // Runs for every search this script starts; repeating the newest search only moves its timestamp
+    function recordSearch(query, filterValues, vertical) {
+        return safeExecute(() => {
+            if (!searchHistoryEnabled) return;
 
-            const documentClickHandler = () => {
-                if (globalState.isOpen && !autoOpenPanel) togglePanel();
-            };
+            const userQuery = getUserQuery(query);
+            if (!userQuery || userQuery.length > CONFIG.MAX_HISTORY_QUERY_LENGTH) return;
 
-            const panelClickHandler = (e) => e.stopPropagation();
+            const entry = {
+                id: `h${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                query: userQuery,
+                filters: Object.fromEntries(Object.keys(FILTER_DEFAULTS).map(filterType => [filterType, filterValues[filterType]])),
+                vertical,
+                time: Date.now()
+            };
 
-            addTrackedEventListener(button, 'mouseenter', mouseEnterHandler);
-            addTrackedEventListener(button, 'mouseleave', mouseLeaveHandler);
-            addTrackedEventListener(button, 'click', buttonClickHandler);
-            addTrackedEventListener(document, 'click', documentClickHandler);
-            addTrackedEventListener(panel, 'click', panelClickHandler);
+            if (searchHistory[0] && isSameHistoryEntry(searchHistory[0], entry)) {
+                searchHistory[0].time = entry.time;
+            } else {
+                searchHistory.unshift(entry);
+            }
 
-            container.appendChild(button);
-            container.appendChild(panel);
-            document.body.appendChild(container);
+            pruneSearchHistory();
+            saveSearchHistory();
+        }, 'recordSearch');
+    }
 
-            // Setup additional components with error handling
-            safeExecute(() => setupPanelEvents(), 'setupPanelEvents');
-            safeExecute(() => setupKeyboardShortcuts(), 'setupKeyboardShortcuts');
+    // Named site sets that compile to (site:a OR site:b), keyed by group id
+    const siteGroups = {};
 
-            // Setup media query listener with cleanup tracking
-            if (window.matchMedia) {
-                const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-                const mediaQueryHandler = updateTheme;
-                globalState.mediaQueryListener = mediaQueryHandler;
+    function loadSiteGroups() {
+        return safeExecute(() => {
+            Object.keys(siteGroups).forEach(id => delete siteGroups[id]);
+            const storedGroups = storage.getItem('googleSearchSiteGroups');
+            if (!storedGroups) {
+                return;
+            }
 
-                if (mediaQuery.addListener) {
-                    mediaQuery.addListener(mediaQueryHandler);
-                } else if (mediaQuery.addEventListener) {
-                    mediaQuery.addEventListener('change', mediaQueryHandler);
+            try {
+                const parsed = JSON.parse(storedGroups);
+                if (typeof parsed === 'object' && parsed !== null) {
+                    Object.entries(parsed).forEach(([id, value]) => {
+                        if (isValidNonEmptyString(id) && isValidSiteGroupData(value)) {
+                            siteGroups[sanitizeHTML(id)] = {
+                                name: sanitizeHTML(value.name),
+                                sites: value.sites.map(sanitizeHTML)
+                            };
+                        }
+                    });
+                } else {
+                    quarantineSetting('googleSearchSiteGroups', 'Unexpected data format');
                 }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load site groups:', error);
+                quarantineSetting('googleSearchSiteGroups', 'Unreadable JSON');
             }
+        }, 'loadSiteGroups');
+    }
 
-            // Animate widget appearance
-            const appearTimeoutId = setTimeout(() => {
-                container.style.opacity = '1';
-                container.style.transform = 'translateY(0)';
+    function saveSiteGroups() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchSiteGroups', JSON.stringify(siteGroups));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save site groups:', error);
+                showToast('Error saving site groups', 'warning');
+            }
+        }, 'saveSiteGroups');
+    }
 
-                if (autoOpenPanel) {
-                    const openTimeoutId = setTimeout(() => {
-                        globalState.isOpen = true;
-                        panel.classList.add('panel-open');
-                        button.classList.add('button-active');
-                        const chevron = button.querySelector('.filter-btn-chevron svg');
-                        if (chevron) chevron.style.transform = 'rotate(180deg)';
-                        globalState.timeouts.delete(openTimeoutId);
-                    }, 200);
-                    globalState.timeouts.add(openTimeoutId);
-                }
-                globalState.timeouts.delete(appearTimeoutId);
-            }, 100);
-            globalState.timeouts.add(appearTimeoutId);
 
-            console.log('[Advanced Search] Widget created successfully');
+    const FILTER_DEFAULTS = {
+        searchLang: 'all',
+        interfaceLang: 'auto',
+        region: 'auto',
+        site: 'all',
+        time: 'all',
+        image: 'all',
+        verbatim: 'off',
+        safeSearch: 'auto',
+        resultsPerPage: 'auto',
+        omitted: 'off',
+        autocorrect: 'on'
+    };
 
-        }, 'createWidget');
+    // Filled by loadStoredState() once storage is ready
+    const persistenceSettings = {
+        searchLang: true,
+        interfaceLang: true,
+        region: false,
+        time: false,
+        site: false,
+        image: false,
+        verbatim: false,
+        safeSearch: false,
+        resultsPerPage: false,
+        omitted: false,
+        autocorrect: false
+    };
+
+    let autoOpenPanel = true;
+
+    const currentFilters = { ...FILTER_DEFAULTS };
+
+    function loadPersistenceSettings() {
+        persistenceSettings.searchLang = storage.getItem('googleSearchPersistSearchLang') !== 'false';
+        persistenceSettings.interfaceLang = storage.getItem('googleSearchPersistInterfaceLang') !== 'false';
+        persistenceSettings.region = storage.getItem('googleSearchPersistRegion') === 'true';
+        persistenceSettings.time = storage.getItem('googleSearchPersistTime') === 'true';
+        persistenceSettings.site = storage.getItem('googleSearchPersistSite') === 'true';
+        persistenceSettings.image = storage.getItem('googleSearchPersistImage') === 'true';
+        persistenceSettings.verbatim = storage.getItem('googleSearchPersistVerbatim') === 'true';
+        persistenceSettings.safeSearch = storage.getItem('googleSearchPersistSafeSearch') === 'true';
+        persistenceSettings.resultsPerPage = storage.getItem('googleSearchPersistResultsPerPage') === 'true';
+        persistenceSettings.omitted = storage.getItem('googleSearchPersistOmitted') === 'true';
+        persistenceSettings.autocorrect = storage.getItem('googleSearchPersistAutocorrect') === 'true';
+
+        autoOpenPanel = storage.getItem('googleSearchAutoOpen') !== 'false';
+        searchHistoryEnabled = storage.getItem('googleSearchHistoryEnabled') === 'true';
+
+        const storedRetention = storage.getItem('googleSearchHistoryRetention');
+        historyRetention = Object.prototype.hasOwnProperty.call(HISTORY_RETENTION_OPTIONS, storedRetention) ?
+            storedRetention : CONFIG.DEFAULT_HISTORY_RETENTION;
     }
 
-    function updatePanelHeight() {
-        const panel = document.getElementById('filter-panel');
-        if (panel) {
-            const availableHeight = getAvailableHeight();
-            panel.style.maxHeight = `${availableHeight}px`;
+    function loadFilterValues(filterTypes = Object.keys(currentFilters)) {
+        filterTypes.forEach(filterType => {
+            if (!persistenceSettings[filterType]) return;
+
+            const storedValue = storage.getItem(getStorageKey(filterType));
+            if (storedValue !== null && !isKnownFilterValue(filterType, storedValue)) {
+                // A value this version doesn't understand falls back to the default but is kept for recovery
+                quarantineSetting(getStorageKey(filterType), 'Unknown filter value');
+                currentFilters[filterType] = getDefaultFilterValue(filterType);
+                return;
+            }
+            currentFilters[filterType] = storedValue || getDefaultFilterValue(filterType);
+        });
+    }
+
+    // Another tab's own stored values for the tab-specific filters that persist, as loadFilterValues() would load them there
+    function getTabFilterValues(vertical) {
+        return Object.fromEntries(VERTICAL_FILTER_TYPES
+            .filter(filterType => persistenceSettings[filterType])
+            .map(filterType => {
+                const storedValue = storage.getItem(getStorageKey(filterType, vertical));
+                return [filterType, isKnownFilterValue(filterType, storedValue) ? storedValue : getDefaultFilterValue(filterType)];
+            }));
+    }
+
+    function loadStoredState() {
+        loadCustomSites();
+        loadBlockedSites();
+        loadResultRules();
+        loadQueryOperators();
+        loadSiteGroups();
+        loadQueryRules();
+        loadPrefixAliases();
+        loadKeymap();
+        loadSearchHistory();
+        loadProfiles();
+        loadUnenforcedFilters();
+        loadPersistenceSettings();
+        loadFilterValues();
+    }
+
+    const pendingStorageChanges = new Set();
+
+    // Another tab (possibly on another Google domain) changed a setting: reload it and redraw, without navigating
+    const refreshStoredState = debounce(() => {
+        safeExecute(() => {
+            const changedKeys = new Set(pendingStorageChanges);
+            pendingStorageChanges.clear();
+
+            loadCustomSites();
+            loadBlockedSites();
+            loadResultRules();
+            loadQueryOperators();
+            loadSiteGroups();
+            loadQueryRules();
+            loadPrefixAliases();
+            loadKeymap();
+            loadSearchHistory();
+            loadProfiles();
+            loadUnenforcedFilters();
+            loadPersistenceSettings();
+            loadFilterValues(Object.keys(currentFilters).filter(filterType =>
+                changedKeys.has(getStorageKey(filterType)) || changedKeys.has(getPersistStorageKey(filterType))));
+
+            updatePanel();
+            updateButton();
+            applyResultRules();
+        }, 'refreshStoredState');
+    });
+
+    function handleExternalStorageChange(key) {
+        pendingStorageChanges.add(key);
+        refreshStoredState();
+    }
+
+
+    function getDefaultFilterValue(filterType) {
+        return FILTER_DEFAULTS[filterType];
+    }
+
+    function isKnownFilterValue(filterType, value) {
+        if (!isValidNonEmptyString(value)) return false;
+        if (filterType === 'searchLang') {
+            return value === 'all' || parseSearchLangValue(value).length > 0;
+        }
+        if (filterType === 'time' && value.startsWith('range:')) {
+            return parseDateRangeValue(value) !== null;
         }
+        if (filterType === 'time' && value.startsWith('last:')) {
+            return parseRelativeTimeValue(value) !== null;
+        }
+        if (filterType === 'site' && value !== 'all') {
+            return getSiteKeys(value).length > 0;
+        }
+        if (filterType === 'image') {
+            return value === 'all' || createImageFilterValue(getImageSelection(value)) === value;
+        }
+        return Boolean(filters[filterType]?.[value]);
     }
 
-    function createButtonContent() {
-        const colors = getColors();
-        const activeFilters = getActiveFiltersInfo();
+    // Resolves display data for a filter value, including combined values that have no catalog entry
+    function getFilterData(filterType, value) {
+        if (filterType === 'searchLang' && value.includes('|')) {
+            const langCodes = parseSearchLangValue(value);
+            if (langCodes.length === 0) return null;
+            return {
+                name: langCodes.map(code => filters.searchLang[code].name.replace(/ Only$/, '')).join(' or '),
+                short: langCodes.map(code => filters.searchLang[code].short).join('+'),
+                icon: 'globe'
+            };
+        }
+        if (filterType === 'time' && value.startsWith('range:')) {
+            const range = parseDateRangeValue(value);
+            if (!range) return null;
+            return {
+                name: `${range.start || 'Any date'} – ${range.end || 'Today'}`,
+                short: 'RANGE',
+                param: value
+            };
+        }
+        if (filterType === 'site' && (value.includes('|') || value.startsWith('group:'))) {
+            const siteKeys = getSiteKeys(value);
+            if (siteKeys.length === 0) return null;
+            const group = siteGroups[value.replace(/^group:/, '')];
+            return {
+                name: value.startsWith('group:') ? group.name : siteKeys.map(key => filters.site[key].name).join(' or '),
+                short: value.startsWith('group:') ? group.name.toUpperCase() : siteKeys.map(key => filters.site[key].short).join('+'),
+                query: compileSiteQuery(value)
+            };
+        }
+        if (filterType === 'time' && value.startsWith('last:')) {
+            const relative = parseRelativeTimeValue(value);
+            if (!relative) return null;
+            const unitName = RELATIVE_TIME_UNITS[relative.unit];
+            return {
+                name: `Last ${relative.amount === 1 ? '' : `${relative.amount} `}${relative.amount === 1 ? unitName : `${unitName}s`}`,
+                short: `${relative.amount}${relative.unit.toUpperCase()}`,
+                param: value
+            };
+        }
+        if (filterType === 'image') {
+            const selection = getImageSelection(value);
+            const labels = Object.entries(IMAGE_FILTER_OPTIONS)
+                .filter(([category]) => selection[category])
+                .map(([category, { options }]) => options[selection[category]]);
+            if (labels.length === 0) return null;
+            return {
+                name: labels.join(', '),
+                short: labels.join('+').toUpperCase(),
+                param: value
+            };
+        }
+        return filters[filterType]?.[value] || null;
+    }
 
-        if (activeFilters.count === 0) {
-            return `<span class="filter-btn-icon">${getSVGIcon('filter', 16, colors.textMuted)}</span>
-                    <span class="filter-btn-text">Filters</span>
-                    <span class="filter-btn-chevron">${getSVGIcon('chevronDown', 12, colors.textMuted)}</span>`;
+    // Filter state <-> search URL parameters live in search-url-codec.js, which reads the catalogs above live and is
+    // handed the filter state on every call; getStorageKey() and everything after it build on these
+    const searchUrlCodec = GoogleSearchUrlCodec.createSearchUrlCodec({
+        filters,
+        siteGroups,
+        maxRelativeTimeAmount: CONFIG.MAX_RELATIVE_TIME_AMOUNT
+    });
+    const {
+        RELATIVE_TIME_UNITS,
+        VERTICALS,
+        VERTICAL_FILTER_TYPES,
+        IMAGE_FILTER_OPTIONS,
+        stripSiteOperators,
+        stripBlocklistOperators,
+        compileOperatorTerms,
+        stripOperatorTerms,
+        isSameSiteSelection,
+        parseDateRangeValue,
+        createDateRangeValue,
+        parseISODate,
+        toISODate,
+        getImageSelection,
+        createImageFilterValue,
+        writeSearchParams
+    } = GoogleSearchUrlCodec;
+    const {
+        getSiteKeys,
+        compileSiteQuery,
+        parseRelativeTimeValue,
+        createRelativeTimeValue,
+        parseSearchLangValue,
+        normalizeSearchLangCodes,
+        getRegionKey,
+        isSameFilterValue,
+        compileSearchParams,
+        parseSearchParams
+    } = searchUrlCodec;
+
+    function getSearchVertical(url = new URL(window.location.href)) {
+        return GoogleSearchUrlCodec.getSearchVertical(url);
+    }
+
+    function isFilterSupported(filterType, vertical = getSearchVertical()) {
+        return GoogleSearchUrlCodec.isFilterSupported(filterType, vertical);
+    }
+
+    function isTimeValueSupported(value, vertical = getSearchVertical()) {
+        return searchUrlCodec.isTimeValueSupported(value, vertical);
+    }
+
+    function hasBlocklistOperators(query, domains = blockedSites) {
+        const excludedDomains = [...query.matchAll(/(^|\s)-site:([^\s()]+)/g)].map(match => match[2].toLowerCase());
+        return domains.every(domain => excludedDomains.includes(domain));
+    }
+
+    function hasOperatorTerms(query, operators = queryOperators) {
+        const paddedQuery = ` ${query.toLowerCase().replace(/\s+/g, ' ')} `;
+        return compileOperatorTerms(operators).every(term => paddedQuery.includes(` ${term.toLowerCase()} `));
+    }
+
+    function getStorageKey(filterType, vertical = getSearchVertical()) {
+        const typeName = filterType.charAt(0).toUpperCase() + filterType.slice(1);
+
+        // Web keeps the original key names; every other tab remembers its own tab-specific filters
+        if (vertical === 'web' || !VERTICAL_FILTER_TYPES.includes(filterType)) {
+            return `googleSearch${typeName}`;
         }
+        return `googleSearch${VERTICALS[vertical].name}${typeName}`;
+    }
 
-        return `<span class="filter-btn-icon">${getSVGIcon('filter', 16, colors.primary)}</span>
-                <span class="filter-btn-text">Filters</span>
-                <span class="filter-btn-count">${activeFilters.count}</span>
-                <span class="filter-btn-chevron">${getSVGIcon('chevronDown', 12, colors.textMuted)}</span>`;
+    function getPersistStorageKey(filterType) {
+        return `googleSearchPersist${filterType.charAt(0).toUpperCase() + filterType.slice(1)}`;
     }
 
-    function getActiveFiltersInfo() {
-        const active = [];
+    // Filters the user stopped enforcing after a reload loop, with the reason, keyed by filter type
+    const unenforcedFilters = {};
 
-        Object.entries(currentFilters).forEach(([key, val]) => {
-            const defaultVal = (key === 'interfaceLang' || key === 'region') ? 'auto' : 'all';
-            if (val !== defaultVal && filters[key] && filters[key][val]) {
-                active.push(filters[key][val].short);
+    function loadUnenforcedFilters() {
+        return safeExecute(() => {
+            Object.keys(unenforcedFilters).forEach(filterType => delete unenforcedFilters[filterType]);
+            const storedFilters = storage.getItem('googleSearchUnenforcedFilters');
+            if (!storedFilters) {
+                return;
             }
-        });
 
-        return { count: active.length, text: active.join(' + ') };
+            try {
+                const parsed = JSON.parse(storedFilters);
+                if (isValidRecord(parsed, isValidNonEmptyString)) {
+                    Object.assign(unenforcedFilters, parsed);
+                } else {
+                    quarantineSetting('googleSearchUnenforcedFilters', 'Unexpected data format');
+                }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load unenforced filters:', error);
+                quarantineSetting('googleSearchUnenforcedFilters', 'Unreadable JSON');
+            }
+        }, 'loadUnenforcedFilters');
     }
 
-    function createCSS() {
-        const colors = getColors();
-        const dark = isDarkMode();
+    function saveUnenforcedFilters() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchUnenforcedFilters', JSON.stringify(unenforcedFilters));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save unenforced filters:', error);
+                showToast('Error saving enforcement settings', 'warning');
+            }
+        }, 'saveUnenforcedFilters');
+    }
 
-        return `<style>
-                .panel-header {
-                    padding: 16px 16px 12px 16px;
-                    background: linear-gradient(135deg, ${colors.bgHeader}, ${colors.bgSection});
-                    border-bottom: 1px solid ${colors.divider};
-                    position: relative;
-                }
-                .panel-header::before {
-                    content: '';
-                    position: absolute;
-                    top: 0; left: 0; right: 0; height: 1px;
-                    background: linear-gradient(90deg, transparent, ${colors.primary}, transparent);
-                    opacity: 0.3;
-                }
-                .panel-content { padding: 18px 16px; }
-                .panel-footer {
-                    padding: 12px 16px;
-                    background: linear-gradient(135deg, ${colors.bgSection}, ${colors.bgCard});
-                    border-top: 1px solid ${colors.divider};
+    // Named snapshots of currentFilters + persistenceSettings, keyed by profile id
+    const profiles = {};
+
+    function loadProfiles() {
+        return safeExecute(() => {
+            Object.keys(profiles).forEach(id => delete profiles[id]);
+            const storedProfiles = storage.getItem('googleSearchProfiles');
+            if (!storedProfiles) {
+                return;
+            }
+
+            try {
+                const parsed = JSON.parse(storedProfiles);
+                if (typeof parsed === 'object' && parsed !== null) {
+                    Object.entries(parsed).forEach(([id, value]) => {
+                        if (isValidNonEmptyString(id) && isValidProfileData(value)) {
+                            profiles[sanitizeHTML(id)] = {
+                                name: sanitizeHTML(value.name),
+                                filters: { ...value.filters },
+                                persistence: { ...value.persistence },
+                                createdAt: value.createdAt || Date.now()
+                            };
+                        }
+                    });
+                } else {
+                    quarantineSetting('googleSearchProfiles', 'Unexpected data format');
                 }
-                .settings-section {
-                    margin-top: 18px; padding: 0; border-radius: 12px;
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load profiles:', error);
+                quarantineSetting('googleSearchProfiles', 'Unreadable JSON');
+            }
+        }, 'loadProfiles');
+    }
+
+    function saveProfiles() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchProfiles', JSON.stringify(profiles));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save profiles:', error);
+                showToast('Error saving profiles', 'warning');
+            }
+        }, 'saveProfiles');
+    }
+
+
+    function isDarkMode() {
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ||
+               getComputedStyle(document.body).backgroundColor.includes('rgb(32, 33, 36)');
+    }
+
+    function getColors() {
+        const dark = isDarkMode();
+        return {
+            primary: dark ? '#6b9eff' : '#2563eb',
+            primaryHover: dark ? '#8bb4ff' : '#1d4ed8',
+            primaryLight: dark ? 'rgba(107, 158, 255, 0.15)' : 'rgba(37, 99, 235, 0.1)',
+
+            bg: dark ? 'rgba(15, 15, 17, 0.95)' : 'rgba(255, 255, 255, 0.95)',
+            bgHeader: dark ? 'rgba(24, 25, 28, 0.98)' : 'rgba(248, 250, 252, 0.98)',
+            bgSection: dark ? 'rgba(32, 34, 37, 0.92)' : 'rgba(241, 245, 249, 0.92)',
+            bgCard: dark ? 'rgba(40, 42, 46, 0.88)' : 'rgba(236, 242, 248, 0.88)',
+            bgInput: dark ? 'rgba(48, 51, 56, 0.85)' : 'rgba(226, 232, 240, 0.85)',
+            bgOverlay: dark ? 'rgba(56, 59, 64, 0.8)' : 'rgba(203, 213, 225, 0.8)',
+
+            text: dark ? '#f1f5f9' : '#0f172a',
+            textSoft: dark ? '#cbd5e1' : '#334155',
+            textMuted: dark ? '#94a3b8' : '#64748b',
+            textFaint: dark ? '#64748b' : '#94a3b8',
+            textAccent: dark ? '#6b7280' : '#4b5563',
+
+            hover: dark ? 'rgba(248, 250, 252, 0.06)' : 'rgba(15, 23, 42, 0.04)',
+            hoverStrong: dark ? 'rgba(248, 250, 252, 0.12)' : 'rgba(15, 23, 42, 0.08)',
+            active: dark ? 'rgba(107, 158, 255, 0.2)' : 'rgba(37, 99, 235, 0.15)',
+            selected: dark ? 'rgba(107, 158, 255, 0.25)' : 'rgba(37, 99, 235, 0.2)',
+            pressed: dark ? 'rgba(107, 158, 255, 0.3)' : 'rgba(37, 99, 235, 0.25)',
+
+            border: dark ? 'rgba(71, 85, 105, 0.4)' : 'rgba(203, 213, 225, 0.6)',
+            borderSoft: dark ? 'rgba(71, 85, 105, 0.25)' : 'rgba(203, 213, 225, 0.4)',
+            borderLight: dark ? 'rgba(71, 85, 105, 0.15)' : 'rgba(203, 213, 225, 0.25)',
+            divider: dark ? 'rgba(71, 85, 105, 0.3)' : 'rgba(203, 213, 225, 0.5)',
+
+            success: dark ? '#9ca3af' : '#6b7280',
+            successBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
+            warning: dark ? '#9ca3af' : '#6b7280',
+            warningBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
+            error: dark ? '#9ca3af' : '#6b7280',
+            errorBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
+            info: dark ? '#9ca3af' : '#6b7280',
+            infoBg: dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(107, 114, 128, 0.1)',
+
+            shadowDeep: dark ? '0 20px 40px rgba(0, 0, 0, 0.6)' : '0 20px 40px rgba(15, 23, 42, 0.15)',
+            shadow: dark ? '0 10px 25px rgba(0, 0, 0, 0.4)' : '0 10px 25px rgba(15, 23, 42, 0.1)',
+            shadowMedium: dark ? '0 6px 20px rgba(0, 0, 0, 0.3)' : '0 6px 20px rgba(15, 23, 42, 0.08)',
+            shadowSoft: dark ? '0 3px 12px rgba(0, 0, 0, 0.2)' : '0 3px 12px rgba(15, 23, 42, 0.06)',
+            shadowInner: dark ? 'inset 0 2px 4px rgba(0, 0, 0, 0.3)' : 'inset 0 2px 4px rgba(15, 23, 42, 0.1)',
+
+            glowPrimary: dark ? '0 0 20px rgba(107, 158, 255, 0.3)' : '0 0 20px rgba(37, 99, 235, 0.2)',
+            glowSuccess: dark ? '0 0 16px rgba(156, 163, 175, 0.25)' : '0 0 16px rgba(107, 114, 128, 0.15)'
+        };
+    }
+
+    function getSVGIcon(type, size = 16, color = '#666') {
+        const icons = {
+            filter: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polygon points="22,3 2,3 10,12.46 10,19 14,21 14,12.46 22,3"/>
+            </svg>`,
+
+            chevronDown: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="6,9 12,15 18,9"/>
+            </svg>`,
+
+            x: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>`,
+
+            flagTR: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="1.5">
+                <rect x="3" y="5" width="18" height="12" rx="2" fill="#e30a17"/>
+                <circle cx="9" cy="11" r="2.5" fill="none" stroke="white" stroke-width="1.5"/>
+                <polygon points="13,9 15,10.5 13,12 13.8,10.5" fill="white"/>
+            </svg>`,
+
+            flagUS: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="1.5">
+                <rect x="3" y="5" width="18" height="12" rx="2" fill="#b22234"/>
+                <rect x="3" y="5" width="7" height="7" fill="#3c3b6e"/>
+                <path d="M4 6h1 M6 6h1 M8 6h1 M4 7h1 M6 7h1 M8 7h1 M4 8h1 M6 8h1 M8 8h1" stroke="white" stroke-width="0.3"/>
+                <rect x="3" y="9" width="18" height="1" fill="white"/>
+                <rect x="3" y="11" width="18" height="1" fill="white"/>
+                <rect x="3" y="13" width="18" height="1" fill="white"/>
+                <rect x="3" y="15" width="18" height="1" fill="white"/>
+            </svg>`,
+
+            globe: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <circle cx="12" cy="12" r="10"/>
+                <line x1="2" y1="12" x2="22" y2="12"/>
+                <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/>
+            </svg>`,
+
+            location: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
+                <circle cx="12" cy="10" r="3"/>
+            </svg>`,
+
+            clock: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <circle cx="12" cy="12" r="10"/>
+                <polyline points="12,6 12,12 16,14"/>
+            </svg>`,
+
+            eyeOpen: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                <circle cx="12" cy="12" r="3"/>
+            </svg>`,
+
+            pin: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <line x1="9" y1="9" x2="20" y2="20"/>
+                <path d="M16 8 8 16l-4-4 4-4m0 0 7-7 4 4-7 7"/>
+            </svg>`,
+
+            flag: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/>
+                <line x1="4" y1="22" x2="4" y2="15"/>
+            </svg>`,
+
+            world: `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <circle cx="12" cy="12" r="10"/>
+                <line x1="2" y1="12" x2="22" y2="12"/>
+                <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/>
+            </svg>`
+        };
+
+        return icons[type] || '';
+    }
+
+
+    // Shortcut overrides keyed by action id; an empty string unbinds an action that has a default
+    const DEFAULT_KEYMAP = { togglePanel: 'Alt+F', clearAll: 'Alt+C', closePanel: 'Escape', commandPalette: 'Alt+K' };
+    const keymap = {};
+
+    function isValidShortcut(shortcut) {
+        return typeof shortcut === 'string' && shortcut.length <= CONFIG.MAX_SHORTCUT_LENGTH;
+    }
+
+    function loadKeymap() {
+        return safeExecute(() => {
+            Object.keys(keymap).forEach(actionId => delete keymap[actionId]);
+            const storedKeymap = storage.getItem('googleSearchKeymap');
+            if (!storedKeymap) {
+                return;
+            }
+
+            try {
+                const parsed = JSON.parse(storedKeymap);
+                if (isValidRecord(parsed, isValidShortcut)) {
+                    Object.assign(keymap, parsed);
+                } else {
+                    quarantineSetting('googleSearchKeymap', 'Unexpected data format');
+                }
+            } catch (error) {
+                console.warn('[Advanced Search] Failed to load keyboard shortcuts:', error);
+                quarantineSetting('googleSearchKeymap', 'Unreadable JSON');
+            }
+        }, 'loadKeymap');
+    }
+
+    function saveKeymap() {
+        return safeExecute(() => {
+            try {
+                storage.setItem('googleSearchKeymap', JSON.stringify(keymap));
+            } catch (error) {
+                console.error('[Advanced Search] Failed to save keyboard shortcuts:', error);
+                showToast('Error saving keyboard shortcuts', 'warning');
+            }
+        }, 'saveKeymap');
+    }
+
+    function getShortcut(actionId) {
+        return Object.prototype.hasOwnProperty.call(keymap, actionId) ? keymap[actionId] : (DEFAULT_KEYMAP[actionId] || '');
+    }
+
+    function formatShortcut(shortcut) {
+        return shortcut.replace(/\bEscape$/, 'Esc');
+    }
+
+    // Every bindable action; site, persistence and profile actions follow the current catalog.
+    // panelOnly actions only fire while the panel is open
+    function getShortcutActions() {
+        const siteKeys = Object.keys(filters.site);
+
+        return [
+            { id: 'togglePanel', label: 'Toggle panel', short: 'Toggle', run: togglePanel },
+            { id: 'commandPalette', label: 'Open command palette', short: 'Commands', run: toggleCommandPalette },
+            { id: 'closePanel', label: 'Close panel', short: 'Close', panelOnly: true, run: togglePanel },
+            { id: 'clearAll', label: 'Clear all filters', short: 'Clear', panelOnly: true, run: clearAllFilters },
+            { id: 'cycleTime', label: 'Cycle time presets', short: 'Time', run: cycleTimePreset },
+            ...Array.from({ length: 9 }, (_, index) => ({
+                id: `site${index + 1}`,
+                label: `Select site ${index + 1}${siteKeys[index] ? ` (${filters.site[siteKeys[index]].name})` : ''}`,
+                short: siteKeys[index] ? filters.site[siteKeys[index]].short : `Site ${index + 1}`,
+                run: () => selectSiteByIndex(index)
+            })),
+            ...Object.keys(persistenceSettings).map(filterType => ({
+                id: `persist${filterType.charAt(0).toUpperCase()}${filterType.slice(1)}`,
+                label: `Toggle ${getFilterName(filterType)} persistence`,
+                short: `${getFilterName(filterType)} persistence`,
+                run: () => togglePersistence(filterType)
+            })),
+            { id: 'nextProfile', label: 'Switch to next profile', short: 'Profile', run: switchToNextProfile }
+        ];
+    }
+
+    // Letters and digits are read from e.code, so Option combos on macOS (Alt+F types ƒ) still match
+    function getEventShortcut(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+
+        const codeMatch = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '');
+        let key = codeMatch ? (codeMatch[1] || codeMatch[2]) : e.key;
+        if (key === ' ') key = 'Space';
+        if (key.length === 1) key = key.toUpperCase();
+
+        return [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta', key].filter(Boolean).join('+');
+    }
+
+    // Keys without Ctrl/Alt/Meta are left to text fields so bare-key shortcuts don't eat typing
+    function isTypingShortcut(e, shortcut) {
+        const isEditable = e.target?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+        return Boolean(isEditable) && !e.ctrlKey && !e.altKey && !e.metaKey && shortcut !== 'Escape';
+    }
+
+    function cycleTimePreset() {
+        const presets = Object.keys(filters.time).filter(value => isTimeValueSupported(value));
+        if (presets.length === 0) {
+            showToast('Time filters are not available on this tab', 'warning');
+            return;
+        }
+
+        // Rolling windows and custom ranges continue from the first preset after All Time
+        const index = presets.indexOf(currentFilters.time);
+        const nextValue = presets[(index + 1) % presets.length];
+        selectFilter('time', nextValue);
+        showToast(`Time: ${filters.time[nextValue].name}`, 'info');
+    }
+
+    // Selecting the active site again clears the site filter
+    function selectSiteByIndex(index) {
+        const siteKey = Object.keys(filters.site)[index];
+        if (!siteKey) {
+            showToast(`No site ${index + 1} in the site list`, 'warning');
+            return;
+        }
+        if (!isFilterSupported('site')) {
+            showToast('Site filters are not available on this tab', 'warning');
+            return;
+        }
+
+        const value = currentFilters.site === siteKey ? getDefaultFilterValue('site') : siteKey;
+        selectFilter('site', value);
+        showToast(value === siteKey ? `Site: ${filters.site[siteKey].name}` : 'Site filter cleared', 'info');
+    }
+
+    function switchToNextProfile() {
+        const profileIds = Object.keys(profiles);
+        if (profileIds.length === 0) {
+            showToast('No saved profiles', 'warning');
+            return;
+        }
+
+        const index = profileIds.indexOf(getMatchingProfileId());
+        activateProfile(profileIds[(index + 1) % profileIds.length]);
+    }
+
+    function startRecordingShortcut(actionId) {
+        globalState.recordingShortcut = globalState.recordingShortcut === actionId ? null : actionId;
+        updatePanel();
+        document.querySelector(`.keymap-key[data-action-id="${actionId}"]`)?.focus();
+    }
+
+    // While recording, Escape cancels and Backspace/Delete unbinds; a shortcut already in use can be moved over
+    function recordShortcut(e) {
+        const actionId = globalState.recordingShortcut;
+        const shortcut = getEventShortcut(e);
+        if (!shortcut) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (shortcut === 'Escape') {
+            globalState.recordingShortcut = null;
+            updatePanel();
+            return;
+        }
+
+        if (shortcut === 'Backspace' || shortcut === 'Delete') {
+            setShortcut(actionId, '');
+            return;
+        }
+
+        const conflict = getShortcutActions().find(action => action.id !== actionId && getShortcut(action.id) === shortcut);
+        if (conflict) {
+            globalState.recordingShortcut = null;
+            updatePanel();
+            showToast(`${formatShortcut(shortcut)} is already used by "${conflict.label}"`, 'warning', {
+                label: 'Reassign',
+                onClick: () => {
+                    keymap[conflict.id] = '';
+                    setShortcut(actionId, shortcut);
+                }
+            });
+            return;
+        }
+
+        setShortcut(actionId, shortcut);
+    }
+
+    function setShortcut(actionId, shortcut) {
+        if (shortcut === (DEFAULT_KEYMAP[actionId] || '')) {
+            delete keymap[actionId];
+        } else {
+            keymap[actionId] = shortcut;
+        }
+        saveKeymap();
+
+        globalState.recordingShortcut = null;
+        updatePanel();
+
+        const action = getShortcutActions().find(shortcutAction => shortcutAction.id === actionId);
+        showToast(`${action?.label || actionId}: ${shortcut ? formatShortcut(shortcut) : 'unbound'}`, 'success');
+    }
+
+    function resetKeymap() {
+        if (!confirm('Restore the default keyboard shortcuts?')) return;
+
+        Object.keys(keymap).forEach(actionId => delete keymap[actionId]);
+        saveKeymap();
+        globalState.recordingShortcut = null;
+        updatePanel();
+        showToast('Keyboard shortcuts reset', 'success');
+    }
+
+    function toggleKeymapCollapse() {
+        globalState.keymapCollapsed = !globalState.keymapCollapsed;
+        globalState.recordingShortcut = null;
+        updatePanel();
+    }
+
+    // Shortcuts bound to more than one action (e.g. after an import); the first in the list wins
+    function getConflictingShortcuts() {
+        const shortcuts = getShortcutActions().map(action => getShortcut(action.id)).filter(Boolean);
+        return shortcuts.filter((shortcut, index) => shortcuts.indexOf(shortcut) !== index);
+    }
+
+    function createKeymapSection(colors) {
+        const conflicts = getConflictingShortcuts();
+
+        return `
+            <div class="settings-section keymap-section">
+                <div class="settings-header" id="keymap-toggle">
+                    <div>
+                        <div class="settings-title">Keyboard Shortcuts</div>
+                        <div class="settings-subtitle">Click a shortcut, then press the new keys</div>
+                    </div>
+                    <div class="settings-toggle ${globalState.keymapCollapsed ? 'collapsed' : ''}">
+                        ${getSVGIcon('chevronDown', 12, colors.textSoft)}
+                    </div>
+                </div>
+
+                <div class="settings-content ${globalState.keymapCollapsed ? 'collapsed' : ''}">
+                    ${globalState.keymapCollapsed ? '' : `
+                        <div class="flex-col">
+                            ${getShortcutActions().map(action => {
+                                const shortcut = getShortcut(action.id);
+                                const isRecording = globalState.recordingShortcut === action.id;
+                                return `
+                                    <div class="settings-row keymap-row ${conflicts.includes(shortcut) ? 'conflict' : ''}">
+                                        <div class="settings-label" title="${sanitizeHTML(action.label)}">${sanitizeHTML(action.label)}</div>
+                                        <div class="flex gap-1">
+                                            <button class="keymap-key ${isRecording ? 'recording' : ''} ${shortcut ? '' : 'unbound'}" data-action-id="${action.id}"
+                                                    title="${conflicts.includes(shortcut) ? 'Also bound to another action' : 'Press to change'}">
+                                                ${isRecording ? 'Press keys…' : sanitizeHTML(formatShortcut(shortcut)) || 'Unbound'}
+                                            </button>
+                                            ${shortcut && !isRecording ? `<button class="btn btn-xs btn-ghost keymap-unbind-btn" data-action-id="${action.id}" title="Unbind">×</button>` : ''}
+                                        </div>
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                        <div class="settings-divider">
+                            <div class="settings-transfer">
+                                <button id="reset-keymap-btn" class="btn btn-xs btn-ghost" title="Restore the default shortcuts">Reset Shortcuts</button>
+                            </div>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    function createShortcutFooter() {
+        const boundActions = getShortcutActions().filter(action => getShortcut(action.id));
+        if (boundActions.length === 0) {
+            return '<div class="shortcuts-text">No keyboard shortcuts bound</div>';
+        }
+
+        return `
+            <div class="shortcuts-text">
+                <strong>Keyboard Shortcuts:</strong><br>
+                <div class="shortcuts-container">
+                    ${boundActions.map(action => `<span><kbd>${sanitizeHTML(formatShortcut(getShortcut(action.id)))}</kbd><span class="shortcuts-label">${sanitizeHTML(action.short)}</span></span>`).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Every filter value, action and saved search as one flat list for the command palette; ids stay stable
+    // across page loads so recently used commands can be remembered
+    function getPaletteCommands() {
+        const commands = [];
+        const addFilterCommands = (filterType, values) => {
+            if (!isFilterSupported(filterType)) return;
+            values.forEach(value => commands.push({
+                id: `${filterType}:${value}`,
+                category: getFilterName(filterType),
+                label: getFilterData(filterType, value)?.name || value,
+                keyword: value,
+                active: currentFilters[filterType] === value,
+                run: () => selectFilter(filterType, value)
+            }));
+        };
+
+        if (hasActiveFilters()) {
+            commands.push({ id: 'clearAll', category: 'Action', label: 'Clear all filters', run: clearAllFilters });
+        }
+        Object.keys(currentFilters)
+            .filter(filterType => currentFilters[filterType] !== getDefaultFilterValue(filterType))
+            .forEach(filterType => commands.push({
+                id: `clear:${filterType}`, category: 'Action', label: `Clear ${getFilterName(filterType)}`, run: () => clearFilter(filterType)
+            }));
+        Object.entries(profiles).forEach(([profileId, profile]) => commands.push({
+            id: `profile:${profileId}`, category: 'Profile', label: profile.name, run: () => activateProfile(profileId)
+        }));
+        addFilterCommands('site', [...Object.keys(filters.site), ...Object.keys(siteGroups).map(groupId => `group:${groupId}`)]);
+        addFilterCommands('time', Object.keys(filters.time).filter(value => value !== 'all' && isTimeValueSupported(value)));
+        searchHistory.forEach(entry => commands.push({
+            id: `history:${entry.id}`,
+            category: 'Search again',
+            label: entry.query,
+            detail: describeHistoryFilters(entry),
+            run: () => rerunHistoryEntry(entry.id)
+        }));
+        addFilterCommands('searchLang', Object.keys(filters.searchLang).filter(value => value !== 'all'));
+        addFilterCommands('region', Object.keys(filters.region).filter(value => value !== 'auto'));
+        addFilterCommands('interfaceLang', Object.keys(filters.interfaceLang).filter(value => value !== 'auto'));
+        Object.keys(persistenceSettings).forEach(filterType => commands.push({
+            id: `persist:${filterType}`,
+            category: 'Persistence',
+            label: `${persistenceSettings[filterType] ? 'Stop remembering' : 'Remember'} ${getFilterName(filterType)}`,
+            run: () => togglePersistence(filterType)
+        }));
+        commands.push({
+            id: 'autoOpen', category: 'Action', label: `${autoOpenPanel ? 'Stop opening' : 'Always open'} the panel`, run: toggleAutoOpen
+        });
+
+        return commands;
+    }
+
+    // Query characters must appear in order; consecutive runs and word starts score higher, shorter texts break ties
+    function fuzzyMatch(query, text) {
+        const haystack = text.toLowerCase();
+        const indices = [];
+        let score = 0;
+        let position = 0;
+
+        for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+            const index = haystack.indexOf(char, position);
+            if (index === -1) return null;
+
+            score += indices.length > 0 && index === position ? 3 : 1;
+            if (index === 0 || /[\s:(/.-]/.test(haystack[index - 1])) score += 2;
+            indices.push(index);
+            position = index + 1;
+        }
+
+        return { score: score - haystack.length / 100, indices };
+    }
+
+    function loadRecentCommands() {
+        return safeExecute(() => {
+            const parsed = JSON.parse(storage.getItem('googleSearchRecentCommands') || '[]');
+            return isValidStringArray(parsed) ? parsed : [];
+        }, 'loadRecentCommands', []);
+    }
+
+    function recordRecentCommand(commandId) {
+        return safeExecute(() => {
+            const recent = [commandId, ...loadRecentCommands().filter(recentId => recentId !== commandId)];
+            storage.setItem('googleSearchRecentCommands', JSON.stringify(recent.slice(0, CONFIG.MAX_RECENT_COMMANDS)));
+        }, 'recordRecentCommand');
+    }
+
+    // Without a query the recently used commands come first; with one, recent commands get a small boost
+    function searchPaletteCommands(query) {
+        const commands = getPaletteCommands();
+        const recentIds = loadRecentCommands();
+
+        if (!query.trim()) {
+            const recentCommands = recentIds.map(commandId => commands.find(command => command.id === commandId)).filter(Boolean)
+                .map(command => ({ ...command, recent: true }));
+            return [...recentCommands, ...commands.filter(command => !recentIds.includes(command.id))]
+                .slice(0, CONFIG.MAX_PALETTE_RESULTS);
+        }
+
+        return commands
+            .map(command => {
+                const labelMatch = fuzzyMatch(query, command.label);
+                const fullMatch = labelMatch || fuzzyMatch(query, `${command.category} ${command.label}`);
+                if (!fullMatch) return null;
+
+                // Typing a code exactly (tr, de, github) puts that value first
+                const keywordBonus = command.keyword?.toLowerCase() === query.trim().toLowerCase() ? 10 : 0;
+                const recentBonus = recentIds.includes(command.id) ? 2 : 0;
+                return { ...command, indices: labelMatch?.indices || [], score: fullMatch.score + keywordBonus + recentBonus - (labelMatch ? 0 : 1) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CONFIG.MAX_PALETTE_RESULTS);
+    }
+
+    function highlightMatch(text, indices) {
+        return [...text].map((char, index) => indices.includes(index) ? `<mark>${sanitizeHTML(char)}</mark>` : sanitizeHTML(char)).join('');
+    }
+
+    let paletteResults = [];
+
+    function updatePaletteResults(query) {
+        const resultList = document.querySelector('#command-palette .palette-results');
+        if (!resultList) return;
+
+        paletteResults = searchPaletteCommands(query);
+        globalState.paletteSelection = 0;
+        resultList.innerHTML = paletteResults.length === 0 ? '<div class="palette-empty">No matching commands</div>' :
+            paletteResults.map((command, index) => `
+                <div class="palette-item ${index === 0 ? 'selected' : ''} ${command.active ? 'active' : ''}" data-index="${index}" role="option">
+                    <span class="palette-category">${command.recent ? 'Recent' : sanitizeHTML(command.category)}</span>
+                    <span class="palette-label">${highlightMatch(command.label, command.indices || [])}</span>
+                    ${command.detail ? `<span class="palette-detail">${sanitizeHTML(command.detail)}</span>` : ''}
+                </div>
+            `).join('');
+    }
+
+    function movePaletteSelection(offset) {
+        if (paletteResults.length === 0) return;
+
+        globalState.paletteSelection = (globalState.paletteSelection + offset + paletteResults.length) % paletteResults.length;
+        document.querySelectorAll('#command-palette .palette-item').forEach((item, index) => {
+            item.classList.toggle('selected', index === globalState.paletteSelection);
+            if (index === globalState.paletteSelection) item.scrollIntoView?.({ block: 'nearest' });
+        });
+    }
+
+    function runPaletteCommand(index) {
+        const command = paletteResults[index];
+        if (!command) return;
+
+        closeCommandPalette();
+        recordRecentCommand(command.id);
+        safeExecute(command.run, 'runPaletteCommand');
+    }
+
+    function closeCommandPalette() {
+        document.getElementById('command-palette')?.remove();
+        paletteResults = [];
+    }
+
+    function toggleCommandPalette() {
+        return safeExecute(() => {
+            if (document.getElementById('command-palette')) {
+                closeCommandPalette();
+                return;
+            }
+
+            const palette = document.createElement('div');
+            palette.id = 'command-palette';
+            palette.innerHTML = `
+                <div class="palette-box" role="dialog" aria-label="Command palette">
+                    <input type="text" class="palette-input" placeholder="Site, language, region, time or action..." autocomplete="off" spellcheck="false">
+                    <div class="palette-results" role="listbox"></div>
+                    <div class="palette-hint"><kbd>↑↓</kbd>Select <kbd>Enter</kbd>Run <kbd>Esc</kbd>Close</div>
+                </div>
+            `;
+            document.body.appendChild(palette);
+
+            const input = palette.querySelector('.palette-input');
+            input.addEventListener('input', () => updatePaletteResults(input.value));
+
+            // Handled here so the page-wide shortcuts (Escape closes the panel) don't see these keys
+            input.addEventListener('keydown', (e) => {
+                const paletteKeys = {
+                    ArrowDown: () => movePaletteSelection(1),
+                    ArrowUp: () => movePaletteSelection(-1),
+                    Enter: () => runPaletteCommand(globalState.paletteSelection),
+                    Escape: closeCommandPalette
+                };
+                if (paletteKeys[e.key]) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    paletteKeys[e.key]();
+                }
+            });
+
+            palette.addEventListener('click', (e) => {
+                const item = e.target.closest('.palette-item');
+                if (item) {
+                    runPaletteCommand(Number(item.dataset.index));
+                } else if (e.target === palette) {
+                    closeCommandPalette();
+                }
+            });
+
+            updatePaletteResults('');
+            input.focus();
+        }, 'toggleCommandPalette');
+    }
+
+    function setupKeyboardShortcuts() {
+        return safeExecute(() => {
+            const keydownHandler = (e) => {
+                safeExecute(() => {
+                    if (globalState.recordingShortcut && globalState.isOpen) {
+                        recordShortcut(e);
+                        return;
+                    }
+
+                    const shortcut = getEventShortcut(e);
+                    if (!shortcut || isTypingShortcut(e, shortcut)) return;
+
+                    const action = getShortcutActions().find(shortcutAction =>
+                        getShortcut(shortcutAction.id) === shortcut && (!shortcutAction.panelOnly || globalState.isOpen));
+                    if (action) {
+                        e.preventDefault();
+                        action.run();
+                    }
+                }, 'keydownHandler');
+            };
+
+            addTrackedEventListener(document, 'keydown', keydownHandler);
+
+        }, 'setupKeyboardShortcuts');
+    }
+
+    function getOptimalPosition() {
+        const appsButton = document.querySelector(SELECTORS.GOOGLE_APPS);
+        const profileButton = document.querySelector(SELECTORS.PROFILE_BUTTON);
+
+        if (profileButton || appsButton) {
+            const rightmostElement = profileButton || appsButton;
+            const rect = rightmostElement.getBoundingClientRect();
+            return Math.max(CONFIG.WIDGET_TOP_OFFSET, rect.bottom + 16);
+        }
+
+        return CONFIG.WIDGET_TOP_OFFSET;
+    }
+
+    function getAvailableHeight() {
+        const topPosition = getOptimalPosition();
+        return window.innerHeight - topPosition - 40 - 20;
+    }
+
+
+    function syncFiltersFromURL() {
+        safeExecute(() => {
+            const urlFilters = parseSearchParams(new URL(window.location.href));
+
+            Object.entries(urlFilters).forEach(([filterType, value]) => {
+                // Outside search results only the interface language and region come from the URL
+                if (!isSearchPage() && filterType !== 'interfaceLang' && filterType !== 'region') return;
+                if (!isSameFilterValue(filterType, currentFilters[filterType], value)) {
+                    currentFilters[filterType] = value;
+                }
+            });
+        }, 'syncFiltersFromURL');
+    }
+
+    function applyInterfaceLanguage(langCode) {
+        return safeExecute(() => {
+            if (!langCode) return;
+
+            const currentUrl = new URL(window.location.href);
+            const filterName = filters.interfaceLang[langCode].name;
+
+            if (langCode === 'auto') {
+                // Remove interface language parameter to use Google's auto-detection
+                currentUrl.searchParams.delete('hl');
+                showToast(`Switching to ${filterName}...`, 'info');
+            } else {
+                const interfaceData = filters.interfaceLang[langCode];
+                if (!interfaceData || !interfaceData.googleLang) return;
+
+                const googleLang = interfaceData.googleLang;
+
+                // Set ONLY interface language parameter (hl)
+                currentUrl.searchParams.set('hl', googleLang);
+                showToast(`Switching to ${filterName}...`, 'info');
+            }
+
+            // Small delay for better UX, then navigate
+            setTimeout(() => {
+                window.location.href = currentUrl.toString();
+            }, 800);
+
+        }, 'applyInterfaceLanguage');
+    }
+
+    function applyRegionChange(regionCode) {
+        return safeExecute(() => {
+            if (!regionCode) return;
+
+            const currentUrl = new URL(window.location.href);
+            const filterName = filters.region[regionCode]?.name;
+            if (!filterName) return;
+
+            if (regionCode === 'auto') {
+                // Remove region parameter to use Google's auto-detection
+                currentUrl.searchParams.delete('gl');
+                showToast(`Switching to ${filterName}...`, 'info');
+            } else {
+                const regionData = filters.region[regionCode];
+                if (!regionData || !regionData.googleRegion) return;
+
+                const googleRegion = regionData.googleRegion;
+
+                // Set ONLY region parameter (gl)
+                currentUrl.searchParams.set('gl', googleRegion);
+                showToast(`Switching to ${filterName}...`, 'info');
+            }
+
+            // Small delay for better UX, then navigate
+            setTimeout(() => {
+                window.location.href = currentUrl.toString();
+            }, 800);
+
+        }, 'applyRegionChange');
+    }
+
+
+    function createWidget() {
+        return safeExecute(() => {
+            // Check if widget already exists
+            const existingWidget = document.getElementById('advanced-search-widget');
+            if (existingWidget) {
+                console.log('[Advanced Search] Widget already exists');
+                return;
+            }
+
+            if (!document.body) {
+                console.warn('[Advanced Search] Document body not ready for widget creation');
+                return;
+            }
+
+            const colors = getColors();
+            const topPosition = getOptimalPosition();
+            const availableHeight = getAvailableHeight();
+
+            syncFiltersFromURL();
+
+            const container = document.createElement('div');
+            container.id = 'advanced-search-widget';
+            container.style.cssText = `
+                position: fixed;
+                top: ${topPosition}px;
+                right: 24px;
+                z-index: 10000;
+                font-family: -apple-system, BlinkMacSystemFont, "Google Sans", Roboto, arial, sans-serif;
+                opacity: 0;
+                transform: translateY(10px);
+                transition: all ${CONFIG.ANIMATION_DURATION * 1.3}ms cubic-bezier(0.16, 1, 0.3, 1);
+            `;
+
+            const button = document.createElement('button');
+            button.id = 'filter-btn';
+            try {
+                button.innerHTML = createButtonContent();
+            } catch (error) {
+                console.error('[Advanced Search] Error creating button content:', error);
+                button.textContent = 'Filters';
+            }
+
+            button.className = 'advanced-filter-btn';
+
+            const panel = document.createElement('div');
+            panel.id = 'filter-panel';
+            try {
+                panel.innerHTML = createPanelContent();
+            } catch (error) {
+                console.error('[Advanced Search] Error creating panel content:', error);
+                panel.innerHTML = '<div style="padding: 20px; text-align: center;">Error loading filters</div>';
+            }
+
+            panel.style.cssText = `
+                position: absolute;
+                top: calc(100% + 6px);
+                right: 0;
+                background: linear-gradient(180deg, ${isDarkMode() ? 'rgba(32, 33, 36, 0.95)' : 'rgba(255, 255, 255, 0.55)'}, ${isDarkMode() ? 'rgba(24, 25, 28, 0.90)' : 'rgba(250, 251, 252, 0.60)'});
+                backdrop-filter: blur(24px);
+                border: 1px solid ${isDarkMode() ? 'rgba(255, 255, 255, 0.06)' : 'rgba(0, 0, 0, 0.04)'};
+                border-radius: 12px;
+                width: ${CONFIG.PANEL_WIDTH}px;
+                max-height: ${availableHeight}px;
+                overflow-y: auto;
+                opacity: 0;
+                visibility: hidden;
+                transform: translateY(-12px) scale(0.96);
+                transition: all ${CONFIG.ANIMATION_DURATION}ms cubic-bezier(0.16, 1, 0.3, 1);
+                box-shadow: ${colors.shadow};
+            `;
+
+            // Add tracked event listeners for proper cleanup
+            const mouseEnterHandler = () => {
+                if (!globalState.isOpen) {
+                    button.classList.add('hover-active');
+                }
+            };
+
+            const mouseLeaveHandler = () => {
+                if (!globalState.isOpen) {
+                    button.classList.remove('hover-active');
+                }
+            };
+
+            const buttonClickHandler = (e) => {
+                e.stopPropagation();
+                togglePanel();
+            };
+
+            const documentClickHandler = () => {
+                if (globalState.isOpen && !autoOpenPanel) togglePanel();
+            };
+
+            const panelClickHandler = (e) => e.stopPropagation();
+
+            addTrackedEventListener(button, 'mouseenter', mouseEnterHandler);
+            addTrackedEventListener(button, 'mouseleave', mouseLeaveHandler);
+            addTrackedEventListener(button, 'click', buttonClickHandler);
+            addTrackedEventListener(document, 'click', documentClickHandler);
+            addTrackedEventListener(panel, 'click', panelClickHandler);
+
+            container.appendChild(button);
+            container.appendChild(panel);
+            document.body.appendChild(container);
+
+            // Setup additional components with error handling
+            safeExecute(() => setupPanelEvents(), 'setupPanelEvents');
+            safeExecute(() => setupKeyboardShortcuts(), 'setupKeyboardShortcuts');
+
+            // Setup media query listener with cleanup tracking
+            if (window.matchMedia) {
+                const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+                const mediaQueryHandler = updateTheme;
+                globalState.mediaQueryListener = mediaQueryHandler;
+
+                if (mediaQuery.addListener) {
+                    mediaQuery.addListener(mediaQueryHandler);
+                } else if (mediaQuery.addEventListener) {
+                    mediaQuery.addEventListener('change', mediaQueryHandler);
+                }
+            }
+
+            // Animate widget appearance
+            const appearTimeoutId = setTimeout(() => {
+                container.style.opacity = '1';
+                container.style.transform = 'translateY(0)';
+
+                if (autoOpenPanel) {
+                    const openTimeoutId = setTimeout(() => {
+                        globalState.isOpen = true;
+                        panel.classList.add('panel-open');
+                        button.classList.add('button-active');
+                        const chevron = button.querySelector('.filter-btn-chevron svg');
+                        if (chevron) chevron.style.transform = 'rotate(180deg)';
+                        globalState.timeouts.delete(openTimeoutId);
+                    }, 200);
+                    globalState.timeouts.add(openTimeoutId);
+                }
+                globalState.timeouts.delete(appearTimeoutId);
+            }, 100);
+            globalState.timeouts.add(appearTimeoutId);
+
+            console.log('[Advanced Search] Widget created successfully');
+
+        }, 'createWidget');
+    }
+
+    function updatePanelHeight() {
+        const panel = document.getElementById('filter-panel');
+        if (panel) {
+            const availableHeight = getAvailableHeight();
+            panel.style.maxHeight = `${availableHeight}px`;
+        }
+    }
+
+    function createButtonContent() {
+        const colors = getColors();
+        const activeFilters = getActiveFiltersInfo();
+
+        if (activeFilters.count === 0) {
+            return `<span class="filter-btn-icon">${getSVGIcon('filter', 16, colors.textMuted)}</span>
+                    <span class="filter-btn-text">Filters</span>
+                    <span class="filter-btn-chevron">${getSVGIcon('chevronDown', 12, colors.textMuted)}</span>`;
+        }
+
+        return `<span class="filter-btn-icon">${getSVGIcon('filter', 16, colors.primary)}</span>
+                <span class="filter-btn-text">Filters</span>
+                <span class="filter-btn-count">${activeFilters.count}</span>
+                <span class="filter-btn-chevron">${getSVGIcon('chevronDown', 12, colors.textMuted)}</span>`;
+    }
+
+    function getActiveFiltersInfo() {
+        const active = [];
+
+        Object.entries(currentFilters).forEach(([key, val]) => {
+            const filterData = val !== getDefaultFilterValue(key) && isFilterSupported(key) ? getFilterData(key, val) : null;
+            if (filterData) {
+                active.push(filterData.short);
+            }
+        });
+
+        return { count: active.length, text: active.join(' + ') };
+    }
+
+    function createCSS() {
+        const colors = getColors();
+        const dark = isDarkMode();
+
+        return `<style>
+                .panel-header {
+                    padding: 16px 16px 12px 16px;
+                    background: linear-gradient(135deg, ${colors.bgHeader}, ${colors.bgSection});
+                    border-bottom: 1px solid ${colors.divider};
+                    position: relative;
+                }
+                .panel-header::before {
+                    content: '';
+                    position: absolute;
+                    top: 0; left: 0; right: 0; height: 1px;
+                    background: linear-gradient(90deg, transparent, ${colors.primary}, transparent);
+                    opacity: 0.3;
+                }
+                .panel-content { padding: 18px 16px; }
+                .panel-footer {
+                    padding: 12px 16px;
+                    background: linear-gradient(135deg, ${colors.bgSection}, ${colors.bgCard});
+                    border-top: 1px solid ${colors.divider};
+                }
+                .settings-section {
+                    margin-top: 18px; padding: 0; border-radius: 12px;
                     background: linear-gradient(135deg, ${dark ? 'rgba(20,22,25,0.75)' : 'rgba(248,250,252,0.75)'}, ${dark ? 'rgba(28,31,35,0.65)' : 'rgba(241,245,249,0.65)'});
                     border: 1px solid ${dark ? 'rgba(71,85,105,0.15)' : 'rgba(203,213,225,0.2)'};
                     box-shadow: ${colors.shadowMedium}; position: relative; backdrop-filter: blur(12px);
@@ -837,586 +3099,1930 @@
                     background: ${colors.hoverStrong}; color: ${colors.text}; border-color: ${colors.border};
                     transform: translateY(-1px); box-shadow: 0 4px 8px rgba(0,0,0,0.08);
                 }
-                .time-filter.active {
-                    background: ${colors.primary}; color: white; border-color: ${colors.primary};
-                    transform: translateY(-1px); box-shadow: 0 4px 12px rgba(37, 99, 235, 0.25), ${colors.glowPrimary};
+                .time-filter.active {
+                    background: ${colors.primary}; color: white; border-color: ${colors.primary};
+                    transform: translateY(-1px); box-shadow: 0 4px 12px rgba(37, 99, 235, 0.25), ${colors.glowPrimary};
+                }
+                .image-filter-row { display: flex; align-items: flex-start; gap: 8px; margin-bottom: 6px; }
+                .image-filter-row:last-child { margin-bottom: 0; }
+                .image-filter-label { flex: 0 0 44px; padding-top: 4px; font-size: 9px; font-weight: 600; color: ${colors.textSoft}; text-transform: uppercase; }
+                .image-filter-options { display: flex; flex-wrap: wrap; gap: 4px; flex: 1; min-width: 0; }
+                .image-option {
+                    padding: 3px 7px; border-radius: 6px; cursor: pointer; font-size: 10px; font-weight: 600; font-family: inherit;
+                    background: ${colors.bgInput}; color: ${colors.textSoft}; border: 1px solid ${colors.borderSoft}; transition: all 0.2s ease;
+                }
+                .image-option:hover:not(.active) { background: ${colors.hoverStrong}; color: ${colors.text}; }
+                .image-option.active { background: ${colors.primary}; color: white; border-color: ${colors.primary}; }
+                .time-form-toggle.open { border-color: ${colors.primary}; color: ${colors.primary}; }
+                .time-custom-summary {
+                    display: none; align-items: center; gap: 6px; margin-top: 6px; padding: 5px 8px; border-radius: 6px;
+                    background: ${colors.primary}; color: white; font-size: 10px; font-weight: 600; box-shadow: 0 2px 6px rgba(37, 99, 235, 0.25);
+                }
+                .time-custom-summary.visible { display: flex; }
+                .time-custom-form {
+                    display: none; margin-top: 6px; padding: 8px; border-radius: 8px;
+                    background: ${colors.bgInput}; border: 1px solid ${colors.borderSoft}; box-shadow: ${colors.shadowInner};
+                }
+                .time-custom-form.open { display: block; }
+                .time-form-row { display: flex; gap: 6px; align-items: flex-end; }
+                .time-form-label { flex: 1; display: flex; flex-direction: column; gap: 3px; font-size: 9px; font-weight: 600; color: ${colors.textSoft}; min-width: 0; }
+                .time-form-input {
+                    width: 100%; box-sizing: border-box; padding: 4px 6px; border-radius: 6px; font-size: 10px; font-family: inherit;
+                    color: ${colors.text}; background: ${colors.bgCard}; border: 1px solid ${colors.borderSoft}; outline: none; color-scheme: ${dark ? 'dark' : 'light'};
+                }
+                .time-form-input:focus { border-color: ${colors.primary}; }
+                .time-form-actions { display: flex; justify-content: flex-end; margin-top: 6px; }
+                #site-multi-toggle.open { border-color: ${colors.primary}; color: ${colors.primary}; }
+                .site-group-container { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px; }
+                .site-multi-bar {
+                    display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px; padding: 4px 6px;
+                    border-radius: 8px; background: ${colors.bgInput}; border: 1px solid ${colors.borderSoft};
+                }
+                #query-operator-form-toggle.open { border-color: ${colors.primary}; color: ${colors.primary}; }
+                .query-operator-row { margin-top: 6px; }
+                .query-operator-preview {
+                    margin-top: 6px; padding: 5px 8px; border-radius: 6px; font-size: 10px; word-break: break-word;
+                    font-family: ui-monospace, SFMono-Regular, Menlo, monospace; color: ${colors.text};
+                    background: ${colors.bgCard}; border: 1px solid ${colors.borderSoft};
+                }
+                .query-operator-preview.empty { font-family: inherit; color: ${colors.textMuted}; }
+                #result-rule-form-toggle.open { border-color: ${colors.primary}; color: ${colors.primary}; }
+                .result-rule-pattern-row { margin-top: 6px; }
+                .result-rule-list { display: flex; flex-direction: column; gap: 4px; margin-top: 6px; }
+                .result-rule-item {
+                    display: flex; align-items: center; gap: 6px; padding: 4px 6px 4px 8px; border-radius: 6px; font-size: 10px;
+                    background: ${colors.bgCard}; color: ${colors.text}; border: 1px solid ${colors.borderSoft};
+                }
+                .result-rule-action {
+                    flex-shrink: 0; padding: 1px 5px; border-radius: 4px; font-size: 9px; font-weight: 700; text-transform: uppercase;
+                    background: ${colors.borderLight}; color: ${colors.textSoft};
+                }
+                .result-rule-item[data-action="highlight"] .result-rule-action { background: ${colors.primary}; color: white; }
+                .result-rule-pattern { flex: 1; min-width: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .remove-result-rule-btn:hover, .remove-query-rule-btn:hover { background: #ff4444 !important; color: white !important; }
+                #query-rule-form-toggle.open { border-color: ${colors.primary}; color: ${colors.primary}; }
+                .query-rule-item.fired { border-color: ${colors.primary}; }
+                .query-rule-item.fired .result-rule-action { background: ${colors.primary}; color: white; }
+                .query-rule-filters { display: flex; flex-direction: column; gap: 3px; margin-top: 6px; }
+                .query-rule-filter { display: flex; align-items: center; gap: 6px; font-size: 10px; color: ${colors.text}; cursor: pointer; }
+                .query-rule-filter input { margin: 0; }
+                #prefix-alias-form-toggle.open { border-color: ${colors.primary}; color: ${colors.primary}; }
+                [data-filter-type="searchPrefixes"] code {
+                    padding: 0 3px; border-radius: 3px; font-size: 10px; background: ${colors.bgInput}; color: ${colors.text};
+                }
+                .result-rule-action.prefix-token { text-transform: none; font-family: monospace; }
+                .remove-prefix-alias-btn:hover { background: #ff4444 !important; color: white !important; }
+                #history-search { margin: 6px 0 0 0; }
+                .history-list { display: flex; flex-direction: column; gap: 3px; margin-top: 6px; max-height: 220px; overflow-y: auto; }
+                .history-day { font-size: 9px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; color: ${colors.textMuted}; margin-top: 4px; }
+                .history-item {
+                    display: flex; align-items: center; gap: 6px; padding: 4px 6px 4px 8px; border-radius: 6px; font-size: 10px; cursor: pointer;
+                    background: ${colors.bgCard}; color: ${colors.text}; border: 1px solid ${colors.borderSoft}; transition: border-color 0.15s ease;
+                }
+                .history-item:hover { border-color: ${colors.primary}; }
+                .history-query { flex: 1; min-width: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .history-filters { flex-shrink: 0; max-width: 45%; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: ${colors.primary}; font-size: 9px; font-weight: 600; }
+                .history-time { flex-shrink: 0; color: ${colors.textMuted}; font-size: 9px; }
+                .history-retention { width: auto; padding: 2px 4px; }
+                .query-rule-filter span { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .blocked-site-container { margin-top: 8px; padding-top: 8px; border-top: 1px solid ${colors.borderSoft}; }
+                .blocked-site-header { display: flex; align-items: center; justify-content: space-between; margin-bottom: 6px; }
+                .blocked-site-label { font-size: 10px; color: ${colors.textMuted}; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; }
+                .site-multi-count { font-size: 10px; color: ${colors.textMuted}; font-weight: 600; }
+                .site-container {
+                    display: ${CONFIG.SITE_FILTER_COLUMNS === 1 ? 'flex' : 'grid'};
+                    ${CONFIG.SITE_FILTER_COLUMNS === 1 ? 'flex-direction: column;' : `grid-template-columns: repeat(${CONFIG.SITE_FILTER_COLUMNS}, 1fr);`}
+                    gap: 4px; width: 100%; box-sizing: border-box;
+                }
+                .site-container.scrollable { max-height: 200px; overflow-y: auto; overflow-x: hidden; }
+                .filter-option.site-filter { ${CONFIG.SITE_FILTER_COLUMNS > 2 ? 'padding: 8px 10px;' : ''} }
+                .filter-option.site-filter .site-name {
+                    font-size: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '9px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '10px' : '11px'};
+                    max-width: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '40px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '55px' : CONFIG.SITE_FILTER_COLUMNS === 2 ? '70px' : '100px'};
+                    white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+                }
+                .filter-option.site-filter .site-content { gap: ${CONFIG.SITE_FILTER_COLUMNS >= 3 ? '4px' : '6px'}; }
+                .filter-option.site-filter .remove-btn {
+                    font-size: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '9px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '10px' : '11px'};
+                    padding: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '2px 4px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '2px 5px' : '3px 5px'};
+                }
+
+                .header-content { display: flex; justify-content: space-between; align-items: center; }
+                .header-left { display: flex; align-items: center; gap: 10px; }
+                .header-icon { background: ${colors.primaryLight}; padding: 8px; border-radius: 10px; box-shadow: ${colors.shadowSoft}; }
+                .header-text h3 { margin: 0; font-size: 16px; font-weight: 700; color: ${colors.text}; letter-spacing: -0.2px; }
+                .header-text p { margin: 2px 0 0 0; font-size: 11px; color: ${colors.textMuted}; font-weight: 500; }
+                .keyboard-badge {
+                    background: ${colors.bgCard}; color: ${colors.textAccent}; padding: 4px 8px; border-radius: 6px;
+                    font-size: 9px; font-weight: 700; letter-spacing: 0.8px; border: 1px solid ${colors.borderLight}; box-shadow: ${colors.shadowSoft};
+                }
+                .status-dot { background: ${colors.primary}; color: white; width: 5px; height: 5px; border-radius: 50%; animation: pulse 2s infinite; }
+                .persistent-badge {
+                    background: ${dark ? 'linear-gradient(135deg, #52525b, #374151)' : colors.success};
+                    color: white; padding: 2px 6px; border-radius: 6px;
+                    font-size: 8px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.3px;
+                    box-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
+                }
+                .active-indicator { position: absolute; top: -1px; right: -1px; width: 6px; height: 6px; background: white; border-radius: 50%; box-shadow: 0 0 0 1px ${colors.primary}; }
+                .btn {
+                    border: none; border-radius: 8px; cursor: pointer; font-weight: 600; display: inline-flex;
+                    align-items: center; gap: 4px; font-family: inherit; text-decoration: none; user-select: none;
+                    transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+                }
+                .btn-xs { padding: 5px 10px; font-size: 10px; border-radius: 6px; gap: 3px; min-height: 26px; }
+                .btn-sm { padding: 6px 12px; font-size: 10px; gap: 4px; min-height: 28px; }
+                .btn-md { padding: 6px 12px; font-size: 11px; }
+                .btn-danger { background: #ff4757; color: white; box-shadow: 0 1px 3px rgba(255, 71, 87, 0.2); }
+                .btn-danger:hover { background: #ff3742; transform: translateY(-1px); box-shadow: 0 2px 6px rgba(255, 71, 87, 0.3); }
+                .btn-warning {
+                    background: linear-gradient(135deg, ${dark ? '#64748b' : '#94a3b8'}, ${dark ? '#475569' : '#64748b'});
+                    color: white; border: 1px solid ${dark ? 'rgba(71, 85, 105, 0.4)' : 'rgba(100, 116, 139, 0.3)'};
+                    box-shadow: 0 2px 6px ${dark ? 'rgba(0, 0, 0, 0.3)' : 'rgba(100, 116, 139, 0.2)'};
+                }
+                .btn-warning:hover {
+                    background: linear-gradient(135deg, ${dark ? '#475569' : '#64748b'}, ${dark ? '#334155' : '#475569'});
+                    transform: translateY(-1px); box-shadow: 0 4px 10px ${dark ? 'rgba(0, 0, 0, 0.4)' : 'rgba(100, 116, 139, 0.3)'};
+                }
+                .btn-primary { background: ${colors.primary}; color: white; box-shadow: 0 1px 3px rgba(37, 99, 235, 0.2); }
+                .btn-primary:hover { background: ${colors.primaryHover}; transform: translateY(-1px); }
+                .btn-ghost { background: ${colors.hover}; color: ${colors.text}; border: 1px solid ${colors.border}; }
+                .btn-ghost:hover { background: ${colors.hoverStrong}; border-color: ${colors.primary}; color: ${colors.primary}; }
+                .filter-option {
+                    padding: 9px 11px; border-radius: 8px; cursor: pointer; font-weight: 500; position: relative;
+                    user-select: none; display: flex; align-items: center; gap: 7px; background: ${colors.bgCard}; color: ${colors.text};
+                    border: 1px solid ${dark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.06)'};
+                    box-shadow: 0 1px 3px rgba(0, 0, 0, ${dark ? '0.15' : '0.05'}); transition: all 0.2s ease;
+                }
+                .filter-option.active { background: ${colors.primary}; color: white; border-color: ${colors.primary}; box-shadow: 0 2px 6px rgba(37, 99, 235, 0.25); }
+                .filter-option:not(.active):hover {
+                    background: ${colors.hoverStrong}; border-color: ${dark ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.12)'};
+                    box-shadow: 0 2px 6px rgba(0, 0, 0, ${dark ? '0.2' : '0.08'});
+                }
+                .filter-option.site-filter { padding: 10px 12px; border: 1px solid transparent; gap: 10px; width: 100%; box-sizing: border-box; min-width: 0; }
+                .filter-option.site-filter.active { border-color: ${colors.primary}; }
+                .filter-option.site-filter:not(.active):hover { background: ${colors.hoverStrong}; }
+                .filter-option.language-filter { text-align: center; flex-direction: column; gap: 2px; }
+
+                .segment-control-container {
+                    background: ${colors.bgCard}; border-radius: 12px; padding: 4px; border: 1px solid ${colors.borderLight};
+                    box-shadow: ${colors.shadowSoft}; backdrop-filter: blur(12px); margin-bottom: 16px;
+                }
+                .segment-control-header { display: flex; align-items: center; justify-content: space-between; padding: 8px 12px; border-bottom: 1px solid ${colors.divider}; margin-bottom: 8px; }
+                .segment-control-title { display: flex; align-items: center; gap: 6px; font-size: 13px; font-weight: 600; color: ${colors.text}; }
+                .segment-row { display: flex; align-items: center; gap: 8px; padding: 6px 8px; margin-bottom: 8px; }
+                .segment-row:last-child { margin-bottom: 0; }
+                .segment-label-container { display: flex; flex-direction: column; align-items: flex-start; min-width: 70px; flex-shrink: 0; }
+                .segment-label { font-size: 10px; font-weight: 600; color: ${colors.textSoft}; text-align: left; margin-bottom: 2px; }
+                .segment-persistent-badge { font-size: 7px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.2px; }
+                .segment-buttons { display: flex; background: ${colors.bgInput}; border-radius: 8px; padding: 2px; gap: 2px; flex: 1; box-shadow: ${colors.shadowInner}; border: 1px solid ${colors.borderSoft}; }
+                .segment-button {
+                    flex: 1; padding: 6px 8px; border: none; border-radius: 6px; cursor: pointer; font-size: 9px; font-weight: 600;
+                    background: transparent; color: ${colors.textSoft}; display: flex; align-items: center; justify-content: center;
+                    gap: 4px; user-select: none; position: relative; min-height: 28px; transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
+                }
+                .segment-button:hover:not(.active) { background: ${colors.hover}; color: ${colors.text}; }
+                .segment-button.active { background: ${colors.primary}; color: white; box-shadow: 0 2px 8px rgba(37, 99, 235, 0.25); }
+                .segment-button .flag-icon { font-size: 12px; }
+                .segment-button .text-content { font-size: 9px; font-weight: 600; letter-spacing: 0.2px; }
+                @media (max-width: 450px) {
+                    .segment-label { min-width: 60px; font-size: 9px; }
+                    .segment-button { padding: 5px 6px; font-size: 8px; min-height: 22px; }
+                    .segment-button .text-content { font-size: 8px; }
+                }
+                .segment-button.picker-toggle { flex: 0 0 auto; padding: 6px; }
+                .segment-button.picker-toggle svg { transition: transform 0.2s ease; }
+                .segment-button.picker-toggle.open svg { transform: rotate(180deg); }
+                .catalog-picker {
+                    display: none; margin: -4px 8px 8px 8px; padding: 6px; border-radius: 8px;
+                    background: ${colors.bgInput}; border: 1px solid ${colors.borderSoft}; box-shadow: ${colors.shadowInner};
+                }
+                .catalog-picker.open { display: block; }
+                .picker-search {
+                    width: 100%; box-sizing: border-box; padding: 6px 8px; margin-bottom: 6px; border-radius: 6px; font-size: 11px;
+                    font-family: inherit; color: ${colors.text}; background: ${colors.bgCard}; border: 1px solid ${colors.borderSoft}; outline: none;
+                }
+                .picker-search:focus { border-color: ${colors.primary}; }
+                .picker-list { max-height: 180px; overflow-y: auto; display: flex; flex-direction: column; gap: 2px; }
+                .picker-item {
+                    display: flex; align-items: center; gap: 6px; padding: 5px 6px; border-radius: 6px; cursor: pointer;
+                    font-size: 11px; color: ${colors.text}; user-select: none; transition: background 0.15s ease;
+                }
+                .picker-item:hover { background: ${colors.hoverStrong}; }
+                .picker-item.selected { background: ${colors.selected}; }
+                .picker-check {
+                    width: 10px; height: 10px; border-radius: 3px; flex-shrink: 0;
+                    border: 1px solid ${colors.border}; background: ${colors.bgCard};
+                }
+                .picker-item.selected .picker-check { background: ${colors.primary}; border-color: ${colors.primary}; }
+                .picker-icon { font-size: 12px; display: flex; align-items: center; }
+                .picker-label { font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .picker-sublabel { color: ${colors.textMuted}; font-size: 10px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; flex: 1; }
+                .picker-pin-btn {
+                    margin-left: auto; border: none; background: transparent; cursor: pointer; font-size: 12px; line-height: 1;
+                    color: ${colors.textFaint}; padding: 0 2px;
+                }
+                .picker-pin-btn.pinned, .picker-pin-btn:hover { color: ${colors.primary}; }
+                .picker-footer { display: flex; align-items: center; justify-content: space-between; margin-top: 6px; padding-top: 6px; border-top: 1px solid ${colors.divider}; }
+                .picker-count { font-size: 10px; color: ${colors.textMuted}; }
+                .site-content { display: flex; align-items: center; gap: 8px; flex: 1; min-width: 0; }
+                .site-actions { display: flex; align-items: center; gap: 6px; }
+                .site-name { font-size: 11px; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .site-indicator { width: 6px; height: 6px; background: white; border-radius: 50%; opacity: 0.9; }
+                .remove-btn { border: none; cursor: pointer; font-size: 10px; padding: 3px 5px; border-radius: 4px; font-weight: 700; line-height: 1; z-index: 10; position: relative; transition: all 0.2s ease; }
+                .remove-btn:hover { background: #ff4444 !important; color: white !important; }
+                .profile-container { display: flex; flex-wrap: wrap; gap: 6px; }
+                .profile-empty { font-size: 10px; color: ${colors.textMuted}; line-height: 1.4; }
+                .profile-chip, .blocked-site-chip {
+                    display: inline-flex; align-items: center; gap: 4px; padding: 5px 6px 5px 10px; border-radius: 14px; cursor: pointer;
+                    background: ${colors.bgCard}; color: ${colors.text}; border: 1px solid ${dark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.06)'};
+                    font-size: 10px; font-weight: 600; user-select: none; max-width: 100%; transition: all 0.2s ease;
+                }
+                .profile-chip:not(.active):hover { background: ${colors.hoverStrong}; }
+                .blocked-site-chip { cursor: default; }
+                .profile-chip.active { background: ${colors.primary}; color: white; border-color: ${colors.primary}; box-shadow: 0 2px 6px rgba(37, 99, 235, 0.25); }
+                .profile-name { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 140px; }
+                .profile-action-btn {
+                    border: none; background: transparent; cursor: pointer; font-size: 10px; padding: 1px 3px; border-radius: 4px;
+                    line-height: 1; font-weight: 700; opacity: 0.7; color: ${colors.textMuted}; transition: all 0.2s ease;
+                }
+                .profile-chip.active .profile-action-btn { color: white; }
+                .profile-action-btn:hover { opacity: 1; background: ${colors.hoverStrong}; }
+                .profile-delete-btn:hover, .unblock-site-btn:hover { background: #ff4444 !important; color: white !important; }
+                .toggle-switch {
+                    position: relative; display: inline-block; width: 34px; height: 18px; cursor: pointer; border-radius: 18px;
+                    background: ${dark ? 'rgba(16, 17, 19, 0.7)' : 'rgba(156, 163, 175, 0.5)'}; box-shadow: ${colors.shadowInner}; transition: background-color 0.3s ease;
+                }
+                .toggle-switch.active { background: ${colors.success}; }
+                .toggle-switch.auto-open { background: ${colors.warning}; }
+                .toggle-knob {
+                    position: absolute; height: 14px; width: 14px; top: 2px; left: 2px; background-color: white; border-radius: 50%;
+                    box-shadow: ${colors.shadowSoft}; border: 1px solid ${colors.borderLight}; transition: left 0.3s cubic-bezier(0.4, 0, 0.2, 1), transform 0.2s ease;
+                }
+                .toggle-switch.active .toggle-knob { left: 18px; }
+                .toggle-switch:hover .toggle-knob { transform: scale(1.05); box-shadow: ${colors.shadow}; }
+                .settings-card { background: ${colors.bgCard}; border-radius: 8px; padding: 12px; border: 1px solid ${colors.borderLight}; }
+                .settings-row {
+                    display: flex; justify-content: space-between; align-items: center; padding: 4px 6px; border-radius: 8px; margin-bottom: 8px;
+                    background: ${dark ? 'rgba(56, 59, 64, 0.3)' : 'rgba(203, 213, 225, 0.3)'}; border: 1px solid ${colors.borderLight}; transition: all 0.2s ease;
+                }
+                .settings-row:last-child { margin-bottom: 0; }
+                .settings-row:hover { background: ${colors.hoverStrong}; border-color: ${colors.borderSoft}; }
+                .settings-label { display: flex; align-items: center; gap: 8px; font-size: 11px; font-weight: 500; color: ${colors.text}; }
+                .settings-title { font-size: 13px; font-weight: 700; color: ${colors.text}; letter-spacing: -0.1px; }
+                .settings-subtitle { font-size: 10px; color: ${colors.textMuted}; margin-top: 1px; }
+                .settings-note {
+                    font-size: 10px; color: ${colors.textSoft}; margin-top: 12px; line-height: 1.4; padding: 8px; border-radius: 8px;
+                    background: ${dark ? 'rgba(71, 85, 105, 0.25)' : 'rgba(156, 163, 175, 0.15)'};
+                    border: 1px solid ${dark ? 'rgba(71, 85, 105, 0.2)' : 'rgba(156, 163, 175, 0.2)'};
+                }
+                .settings-divider { border-top: 1px solid ${colors.divider}; margin: 8px 0; padding-top: 12px; }
+                .home-domain-value { align-self: center; font-size: 10px; font-weight: 600; color: ${colors.primary}; }
+                .settings-transfer { display: flex; gap: 6px; }
+                .settings-transfer .btn { flex: 1; }
+                .quarantine-row {
+                    display: flex; align-items: center; justify-content: space-between; gap: 6px; margin-top: 8px; padding: 4px 6px;
+                    border-radius: 8px; font-size: 10px; color: ${colors.textSoft}; background: ${colors.bgInput}; border: 1px solid ${colors.borderSoft};
+                }
+                .import-preview {
+                    margin-top: 8px; padding: 8px; border-radius: 8px;
+                    background: ${colors.bgInput}; border: 1px solid ${colors.borderSoft}; box-shadow: ${colors.shadowInner};
+                }
+                .import-preview-title { font-size: 10px; font-weight: 700; color: ${colors.text}; margin-bottom: 6px; }
+                .import-preview-row { display: flex; justify-content: space-between; gap: 8px; font-size: 10px; padding: 2px 0; color: ${colors.textSoft}; }
+                .import-preview-label { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .import-preview-status { flex-shrink: 0; font-weight: 600; color: ${colors.textMuted}; }
+                .import-preview-status[data-status="new"], .import-preview-status[data-status="changed"] { color: ${colors.primary}; }
+                .import-preview-actions { display: flex; justify-content: flex-end; gap: 6px; margin-top: 6px; }
+                .action-buttons { display: flex; gap: 8px; padding-top: 16px; border-top: 1px solid ${colors.borderLight}; }
+                .clear-btn { opacity: 0; visibility: hidden; transform: scale(0.8); transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1); }
+                .clear-btn.visible { opacity: 1; visibility: visible; transform: scale(1); }
+                .clear-all-container { margin-bottom: 16px; text-align: center; }
+                .text-xs { font-size: 8px; } .text-sm { font-size: 10px; } .text-base { font-size: 12px; } .text-lg { font-size: 14px; }
+                .font-medium { font-weight: 500; } .font-semibold { font-weight: 600; } .font-bold { font-weight: 700; }
+                .uppercase { text-transform: uppercase; } .tracking-wide { letter-spacing: 0.3px; } .tracking-wider { letter-spacing: 0.5px; }
+                .flex { display: flex; } .flex-col { display: flex; flex-direction: column; }
+                .flex-center { display: flex; align-items: center; justify-content: center; }
+                .flex-between { display: flex; align-items: center; justify-content: space-between; }
+                .gap-1 { gap: 4px; } .gap-2 { gap: 8px; } .gap-3 { gap: 12px; }
+                .p-1 { padding: 4px; } .p-2 { padding: 8px; } .px-2 { padding-left: 8px; padding-right: 8px; }
+                .py-1 { padding-top: 4px; padding-bottom: 4px; } .m-0 { margin: 0; }
+                .mb-2 { margin-bottom: 8px; } .mb-3 { margin-bottom: 12px; } .mb-4 { margin-bottom: 16px; }
+                kbd {
+                    background: ${colors.bgInput}; color: ${colors.text}; padding: 2px 6px; border-radius: 4px; font-size: 9px;
+                    font-weight: 700; font-family: 'Courier New', monospace; border: 1px solid ${colors.borderLight}; box-shadow: ${colors.shadowSoft}; margin-right: 4px;
+                }
+                .shortcuts-text { font-size: 10px; color: ${colors.textSoft}; text-align: center; line-height: 1.4; }
+                .shortcuts-container { margin-top: 6px; display: flex; justify-content: center; gap: 8px; flex-wrap: wrap; }
+                .shortcuts-label { opacity: 0.7; }
+                #command-palette {
+                    position: fixed; inset: 0; z-index: 10002; display: flex; justify-content: center; align-items: flex-start;
+                    padding-top: 15vh; background: rgba(0, 0, 0, 0.25); backdrop-filter: blur(2px);
+                    font-family: -apple-system, BlinkMacSystemFont, "Google Sans", Roboto, sans-serif;
+                }
+                .palette-box {
+                    width: min(520px, 90vw); border-radius: 14px; overflow: hidden; background: ${colors.bgCard};
+                    border: 1px solid ${colors.border}; box-shadow: ${colors.shadowMedium};
+                }
+                .palette-input {
+                    width: 100%; box-sizing: border-box; padding: 14px 16px; font-size: 15px; font-family: inherit; border: none; outline: none;
+                    color: ${colors.text}; background: transparent; border-bottom: 1px solid ${colors.divider};
+                }
+                .palette-results { max-height: 360px; overflow-y: auto; padding: 6px; }
+                .palette-item {
+                    display: flex; align-items: center; gap: 8px; padding: 7px 10px; border-radius: 8px; cursor: pointer;
+                    font-size: 13px; color: ${colors.text};
+                }
+                .palette-item.selected { background: ${colors.selected}; }
+                .palette-item.active .palette-label::after { content: ' ✓'; color: ${colors.primary}; }
+                .palette-category {
+                    flex-shrink: 0; min-width: 84px; font-size: 10px; font-weight: 700; text-transform: uppercase; color: ${colors.textMuted};
+                }
+                .palette-label { flex: 1; min-width: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .palette-label mark { background: none; color: ${colors.primary}; font-weight: 700; }
+                .palette-detail { flex-shrink: 0; max-width: 40%; font-size: 10px; color: ${colors.textSoft}; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .palette-empty { padding: 12px; font-size: 12px; color: ${colors.textMuted}; text-align: center; }
+                .palette-hint { padding: 8px 12px; font-size: 10px; color: ${colors.textMuted}; border-top: 1px solid ${colors.divider}; }
+                .keymap-key {
+                    min-width: 56px; padding: 3px 8px; border-radius: 6px; cursor: pointer; font-size: 10px; font-weight: 700;
+                    font-family: 'Courier New', monospace; color: ${colors.text}; background: ${colors.bgInput}; border: 1px solid ${colors.borderLight};
+                }
+                .keymap-key:hover { border-color: ${colors.primary}; }
+                .keymap-key.unbound { color: ${colors.textMuted}; font-weight: 400; }
+                .keymap-key.recording { border-color: ${colors.primary}; color: ${colors.primary}; }
+                .keymap-row .settings-label { min-width: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                .keymap-row.conflict { border-color: ${colors.warning}; border-style: dashed; }
+                .keymap-row.conflict .keymap-key { color: ${colors.warning}; }
+                .site-filters-container::-webkit-scrollbar { width: 8px; }
+                .site-filters-container::-webkit-scrollbar-track { background: ${colors.bgInput}; border-radius: 4px; }
+                .site-filters-container::-webkit-scrollbar-thumb { background: ${colors.borderSoft}; border-radius: 4px; border: 1px solid ${colors.borderLight}; }
+                .site-filters-container::-webkit-scrollbar-thumb:hover { background: ${colors.border}; }
+                .panel-open { opacity: 1 !important; visibility: visible !important; transform: translateY(0) scale(1) !important; }
+                .button-active { transform: translateY(-2px) !important; box-shadow: ${colors.shadow} !important; border-color: ${colors.primary} !important; }
+                .advanced-filter-btn {
+                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.3)' : 'rgba(156, 163, 175, 0.25)'}, ${dark ? 'rgba(55, 65, 81, 0.2)' : 'rgba(107, 114, 128, 0.15)'});
+                    backdrop-filter: blur(20px); border: 1px solid ${dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(203, 213, 225, 0.3)'};
+                    color: ${colors.textSoft}; padding: 10px 16px; border-radius: 12px; cursor: pointer; display: flex; align-items: center;
+                    gap: 8px; font-size: 12px; font-weight: 500; transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1); outline: none;
+                    box-shadow: 0 2px 8px ${dark ? 'rgba(0, 0, 0, 0.2)' : 'rgba(107, 114, 128, 0.1)'}, 0 1px 3px ${dark ? 'rgba(0, 0, 0, 0.1)' : 'rgba(107, 114, 128, 0.05)'};
+                    position: relative; user-select: none; min-width: 120px;
+                }
+                .advanced-filter-btn:hover {
+                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.4)' : 'rgba(156, 163, 175, 0.35)'}, ${dark ? 'rgba(55, 65, 81, 0.3)' : 'rgba(107, 114, 128, 0.25)'});
+                    border-color: ${dark ? 'rgba(156, 163, 175, 0.25)' : 'rgba(203, 213, 225, 0.4)'};
+                    box-shadow: 0 4px 12px ${dark ? 'rgba(0, 0, 0, 0.25)' : 'rgba(107, 114, 128, 0.15)'}, 0 2px 6px ${dark ? 'rgba(0, 0, 0, 0.15)' : 'rgba(107, 114, 128, 0.08)'};
+                    transform: translateY(-1px);
                 }
-                .site-container {
-                    display: ${CONFIG.SITE_FILTER_COLUMNS === 1 ? 'flex' : 'grid'};
-                    ${CONFIG.SITE_FILTER_COLUMNS === 1 ? 'flex-direction: column;' : `grid-template-columns: repeat(${CONFIG.SITE_FILTER_COLUMNS}, 1fr);`}
-                    gap: 4px; width: 100%; box-sizing: border-box;
+                .advanced-filter-btn.button-active {
+                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.5)' : 'rgba(156, 163, 175, 0.4)'}, ${dark ? 'rgba(55, 65, 81, 0.35)' : 'rgba(107, 114, 128, 0.3)'});
+                    border-color: ${colors.primary}; color: ${colors.text}; transform: translateY(-2px);
+                    box-shadow: 0 6px 16px ${dark ? 'rgba(0, 0, 0, 0.3)' : 'rgba(107, 114, 128, 0.2)'}, 0 2px 8px ${dark ? 'rgba(0, 0, 0, 0.2)' : 'rgba(107, 114, 128, 0.1)'};
                 }
-                .site-container.scrollable { max-height: 200px; overflow-y: auto; overflow-x: hidden; }
-                .filter-option.site-filter { ${CONFIG.SITE_FILTER_COLUMNS > 2 ? 'padding: 8px 10px;' : ''} }
-                .filter-option.site-filter .site-name {
-                    font-size: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '9px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '10px' : '11px'};
-                    max-width: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '40px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '55px' : CONFIG.SITE_FILTER_COLUMNS === 2 ? '70px' : '100px'};
-                    white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+                .filter-btn-icon, .filter-btn-text, .filter-btn-chevron { display: flex; align-items: center; }
+                .filter-btn-text { color: ${colors.textSoft}; font-weight: 500; }
+                .filter-btn-count {
+                    position: absolute; top: -2px; right: -2px; min-width: 16px; height: 16px; background: ${colors.primary}; color: white;
+                    border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 9px; font-weight: 700;
+                    box-shadow: 0 2px 4px rgba(0,0,0,0.2), 0 0 0 2px ${dark ? 'rgba(75, 85, 99, 0.5)' : 'rgba(255, 255, 255, 0.8)'};
                 }
-                .filter-option.site-filter .site-content { gap: ${CONFIG.SITE_FILTER_COLUMNS >= 3 ? '4px' : '6px'}; }
-                .filter-option.site-filter .remove-btn {
-                    font-size: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '9px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '10px' : '11px'};
-                    padding: ${CONFIG.SITE_FILTER_COLUMNS >= 4 ? '2px 4px' : CONFIG.SITE_FILTER_COLUMNS >= 3 ? '2px 5px' : '3px 5px'};
+                .advanced-filter-btn.hover-active {
+                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.4)' : 'rgba(156, 163, 175, 0.35)'}, ${dark ? 'rgba(55, 65, 81, 0.3)' : 'rgba(107, 114, 128, 0.25)'});
+                    border-color: ${dark ? 'rgba(156, 163, 175, 0.25)' : 'rgba(203, 213, 225, 0.4)'};
+                    box-shadow: 0 4px 12px ${dark ? 'rgba(0, 0, 0, 0.25)' : 'rgba(107, 114, 128, 0.15)'}, 0 2px 6px ${dark ? 'rgba(0, 0, 0, 0.15)' : 'rgba(107, 114, 128, 0.08)'};
+                    transform: translateY(-1px);
                 }
+                @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.5; } }
+                @keyframes buttonPress { 0% { transform: scale(1); } 50% { transform: scale(0.98); } 100% { transform: scale(1); } }
+                .button-press { animation: buttonPress 200ms ease-out; }
+            </style>`;
+    }
+
+    function createPanelContent() {
+        const colors = getColors();
+
+        return `
+            ${createCSS()}
+
+            <div class="panel-header">
+                <div class="header-content">
+                    <div class="header-left">
+                        <div class="header-text">
+                            <h3>Search Filters</h3>
+                            <p>${getSearchVertical() === 'web' ? 'Advanced search controls' : `${VERTICALS[getSearchVertical()].name} tab controls`}</p>
+                        </div>
+                    </div>
+                    ${getShortcut('togglePanel') ? `<div class="keyboard-badge">${sanitizeHTML(formatShortcut(getShortcut('togglePanel')).toUpperCase())}</div>` : ''}
+                </div>
+            </div>
+
+            <div class="panel-content">
+                ${createProfileSection(colors)}
+                ${createLanguageRegionSection(colors)}
+                ${isFilterSupported('time') ? createFilterSection('time', 'Time Filter', colors) : ''}
+                ${isFilterSupported('image') ? createFilterSection('image', 'Image Filters', colors) : ''}
+                ${isFilterSupported('site') ? createFilterSection('site', 'Site Filter', colors) : ''}
+                ${isFilterSupported('site') ? createQueryOperatorSection(colors) : ''}
+                ${createSearchBehaviorSection(colors)}
+                ${createResultRulesSection(colors)}
+                ${createQueryRulesSection(colors)}
+                ${createSearchPrefixSection(colors)}
+                ${searchHistoryEnabled || searchHistory.length > 0 ? createSearchHistorySection(colors) : ''}
+
+                <div class="settings-section">
+                    <div class="settings-header" id="settings-toggle">
+                        <div>
+                            <div class="settings-title">Persistence Settings</div>
+                            <div class="settings-subtitle">Control filter memory behavior</div>
+                        </div>
+                        <div class="settings-toggle ${globalState.settingsCollapsed ? 'collapsed' : ''}">
+                            ${getSVGIcon('chevronDown', 12, colors.textSoft)}
+                        </div>
+                    </div>
+
+                    <div class="settings-content ${globalState.settingsCollapsed ? 'collapsed' : ''}">
+                        <div class="flex-col">
+                            ${Object.keys(persistenceSettings).map(filterType => {
+                                const isEnabled = persistenceSettings[filterType];
+                                const filterName = getFilterName(filterType);
+
+                                return `
+                                    <div class="settings-row">
+                                        <div class="settings-label">
+                                            ${filterName}
+                                        </div>
+                                        <div class="toggle-switch ${isEnabled ? 'active' : ''}" data-filter="${filterType}" data-enabled="${isEnabled}">
+                                            <div class="toggle-knob"></div>
+                                        </div>
+                                    </div>
+                                `;
+                            }).join('')}
+
+                            <div class="settings-divider">
+                                <div class="settings-row">
+                                    <div class="settings-label">
+                                        Always Open Panel
+                                    </div>
+                                    <div class="toggle-switch ${autoOpenPanel ? 'active auto-open' : ''}" data-filter="autoOpen" data-enabled="${autoOpenPanel}">
+                                        <div class="toggle-knob"></div>
+                                    </div>
+                                </div>
+                                <div class="settings-row">
+                                    <div class="settings-label" title="Keep a list of your searches and their filters on this device">
+                                        Search History
+                                    </div>
+                                    <div class="toggle-switch ${searchHistoryEnabled ? 'active' : ''}" data-filter="searchHistory" data-enabled="${searchHistoryEnabled}">
+                                        <div class="toggle-knob"></div>
+                                    </div>
+                                </div>
+                                <div class="settings-row">
+                                    <div class="settings-label" title="Older searches are deleted">
+                                        History Retention
+                                    </div>
+                                    <select id="history-retention" class="time-form-input history-retention">
+                                        ${Object.entries(HISTORY_RETENTION_OPTIONS).map(([days, label]) =>
+                                            `<option value="${days}" ${days === historyRetention ? 'selected' : ''}>${label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="settings-row">
+                                    <div class="settings-label" title="Redirect searches on other Google domains to this one">
+                                        Home Domain
+                                    </div>
+                                    ${getHomeDomain() ? `
+                                        <div class="flex gap-1">
+                                            <span class="home-domain-value">${getHomeDomain().replace(/^www\./, '')}</span>
+                                            <button id="clear-home-domain-btn" class="btn btn-xs btn-ghost" title="Stop redirecting">×</button>
+                                        </div>
+                                    ` : '<button id="set-home-domain-btn" class="btn btn-xs btn-ghost" title="Always search on one Google domain">Set</button>'}
+                                </div>
+                            </div>
+
+                            <div class="settings-divider">
+                                <div class="settings-transfer">
+                                    <button id="export-settings-btn" class="btn btn-xs btn-ghost" title="Download all settings as a JSON file">Export</button>
+                                    <button id="import-settings-btn" class="btn btn-xs btn-ghost" title="Load settings from an exported JSON file">Import</button>
+                                    <input type="file" id="import-settings-file" accept="application/json,.json" hidden>
+                                    <button id="reset-settings-btn" class="btn btn-xs btn-ghost" title="Reset every setting to its default">Reset</button>
+                                </div>
+                                ${Object.keys(unenforcedFilters).length > 0 ? `
+                                    <div class="quarantine-row" title="${sanitizeHTML(Object.values(unenforcedFilters).join('\n'))}">
+                                        <span>Not enforced: ${Object.keys(unenforcedFilters).map(getEnforcementLabel).join(', ')}</span>
+                                        <button id="resume-enforcing-btn" class="btn btn-xs btn-ghost" title="Re-apply these filters when Google drops them">Resume</button>
+                                    </div>
+                                ` : ''}
+                                ${stateDocument.quarantine.length > 0 ? `
+                                    <div class="quarantine-row">
+                                        <span>${stateDocument.quarantine.length} unreadable setting${stateDocument.quarantine.length === 1 ? '' : 's'} set aside</span>
+                                        <div class="flex gap-1">
+                                            <button id="download-quarantine-btn" class="btn btn-xs btn-ghost" title="Download the set-aside data">Save</button>
+                                            <button id="discard-quarantine-btn" class="btn btn-xs btn-ghost" title="Discard the set-aside data">Discard</button>
+                                        </div>
+                                    </div>
+                                ` : ''}
+                                ${createImportPreview()}
+                            </div>
+                        </div>
+
+                        <div class="settings-note">
+                            <strong style="color: ${colors.text};">Note:</strong> Enabled filters persist across searches, disabled ones reset after each search
+                        </div>
+                    </div>
+                </div>
+
+                ${createKeymapSection(colors)}
+            </div>
+
+            <div class="panel-footer">
+                ${hasActiveFilters() ? `
+                    <div class="clear-all-container">
+                        <button id="clear-filters" class="btn btn-md btn-danger uppercase tracking-wider">
+                            ${getSVGIcon('x', 12, 'white')}
+                            Clear All
+                        </button>
+                    </div>
+                ` : ''}
+                ${createShortcutFooter()}
+            </div>
+        `;
+    }
+
+    function getFilterName(filterType) {
+        const names = {
+            searchLang: 'Results Language',
+            interfaceLang: 'Interface Language',
+            region: 'Geographic Region',
+            site: 'Site Filter',
+            time: 'Time Filter',
+            image: 'Image Filters',
+            verbatim: 'Verbatim',
+            safeSearch: 'SafeSearch',
+            resultsPerPage: 'Results Per Page',
+            omitted: 'Omitted Results',
+            autocorrect: 'Auto-correction'
+        };
+        return names[filterType];
+    }
+
+
+    function createFaviconImg(iconUrl, domain) {
+        const colors = getColors();
+        const fallbackIcon = iconUrl && iconUrl !== 'null' ? iconUrl : `https://${domain}/favicon.ico`;
+        const iconSize = CONFIG.SITE_FILTER_COLUMNS >= 3 ? 12 : 14;
+
+        return `<img src="${fallbackIcon}"
+                     style="width: ${iconSize}px; height: ${iconSize}px; border-radius: 3px; object-fit: cover;"
+                     onerror="this.style.display='none'; this.nextElementSibling.style.display='inline';"
+                     loading="lazy" />
+                <span style="display: none;">${getSVGIcon('globe', iconSize, colors.textMuted)}</span>`;
+    }
+
+    function addCustomSite() {
+        return safeExecute(() => {
+            // Check if we've reached the maximum number of custom sites
+            const customSiteCount = Object.keys(filters.site).length - DEFAULT_SITES.length;
+            if (customSiteCount >= CONFIG.MAX_CUSTOM_SITES) {
+                showToast('Maximum number of custom sites reached', 'warning');
+                return;
+            }
+
+            const siteName = prompt('Enter site name (e.g., Twitter):');
+            if (!siteName || siteName.trim() === '') {
+                return;
+            }
+
+            // Validate site name
+            if (!isValidNonEmptyString(siteName)) return;
+
+            const trimmedName = siteName.trim();
+            if (trimmedName.length > CONFIG.MAX_SITE_NAME_LENGTH) {
+                showToast('Site name too long', 'warning');
+                return;
+            }
+
+            // Sanitize site name to prevent XSS
+            const sanitizedName = sanitizeHTML(trimmedName);
+            if (sanitizedName !== trimmedName) {
+                showToast('Invalid characters in site name', 'warning');
+                return;
+            }
+
+            const siteUrl = prompt('Enter site URL (e.g., twitter.com):');
+            if (!isValidNonEmptyString(siteUrl)) return;
+
+            const cleanUrl = cleanURLDomain(siteUrl);
+            if (!isValidURL(siteUrl)) {
+                showToast('Invalid URL format', 'warning');
+                return;
+            }
+
+            const siteKey = cleanUrl.replace(/\./g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+
+            // Check if site already exists
+            if (filters.site[siteKey]) {
+                showToast('Site already exists', 'warning');
+                return;
+            }
+
+            // Create site object with sanitized data
+            const siteData = {
+                name: sanitizedName,
+                short: sanitizedName.toUpperCase().substring(0, 12),
+                query: `site:${cleanUrl}`,
+                domain: cleanUrl,
+                icon: `https://${cleanUrl}/favicon.ico`
+            };
+
+            filters.site[siteKey] = siteData;
+            saveCustomSites();
+            addSiteToDOM(siteKey, siteData);
+            showToast(`${sanitizedName} added successfully`, 'success');
+
+        }, 'addCustomSite');
+    }
+
+    function addSiteToDOM(siteKey, siteData) {
+        const colors = getColors();
+        const siteContainer = document.querySelector('.site-container.site-filters-container');
+
+        if (!siteContainer) return;
+
+        const isActive = getSelectedSiteKeys().includes(siteKey);
+        const defaultSites = ['reddit', 'github', 'eksisozluk', 'donanimhaber'];
+        const isCustomSite = !defaultSites.includes(siteKey);
+
+        const siteElement = document.createElement('div');
+        siteElement.className = `filter-option site-filter ${isActive ? 'active' : ''}`;
+        siteElement.dataset.type = 'site';
+        siteElement.dataset.value = siteKey;
+
+        siteElement.innerHTML = `
+            <div class="site-content">
+                ${createFaviconImg(siteData.icon, siteData.domain)}
+                <span class="site-name">${siteData.short}</span>
+            </div>
+            <div class="site-actions">
+                ${isActive ? `<div class="site-indicator"></div>` : ''}
+                ${isCustomSite ? `
+                    <button class="remove-btn" data-site="${siteKey}"
+                           style="background: ${isActive ? 'rgba(255,255,255,0.2)' : colors.borderLight}; color: ${isActive ? 'white' : colors.textMuted};"
+                           title="Remove" onclick="event.stopPropagation();">×</button>
+                ` : ''}
+            </div>
+        `;
 
-                .header-content { display: flex; justify-content: space-between; align-items: center; }
-                .header-left { display: flex; align-items: center; gap: 10px; }
-                .header-icon { background: ${colors.primaryLight}; padding: 8px; border-radius: 10px; box-shadow: ${colors.shadowSoft}; }
-                .header-text h3 { margin: 0; font-size: 16px; font-weight: 700; color: ${colors.text}; letter-spacing: -0.2px; }
-                .header-text p { margin: 2px 0 0 0; font-size: 11px; color: ${colors.textMuted}; font-weight: 500; }
-                .keyboard-badge {
-                    background: ${colors.bgCard}; color: ${colors.textAccent}; padding: 4px 8px; border-radius: 6px;
-                    font-size: 9px; font-weight: 700; letter-spacing: 0.8px; border: 1px solid ${colors.borderLight}; box-shadow: ${colors.shadowSoft};
-                }
-                .status-dot { background: ${colors.primary}; color: white; width: 5px; height: 5px; border-radius: 50%; animation: pulse 2s infinite; }
-                .persistent-badge {
-                    background: ${dark ? 'linear-gradient(135deg, #52525b, #374151)' : colors.success};
-                    color: white; padding: 2px 6px; border-radius: 6px;
-                    font-size: 8px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.3px;
-                    box-shadow: 0 1px 2px rgba(0, 0, 0, 0.1);
-                }
-                .active-indicator { position: absolute; top: -1px; right: -1px; width: 6px; height: 6px; background: white; border-radius: 50%; box-shadow: 0 0 0 1px ${colors.primary}; }
-                .btn {
-                    border: none; border-radius: 8px; cursor: pointer; font-weight: 600; display: inline-flex;
-                    align-items: center; gap: 4px; font-family: inherit; text-decoration: none; user-select: none;
-                    transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-                }
-                .btn-xs { padding: 5px 10px; font-size: 10px; border-radius: 6px; gap: 3px; min-height: 26px; }
-                .btn-sm { padding: 6px 12px; font-size: 10px; gap: 4px; min-height: 28px; }
-                .btn-md { padding: 6px 12px; font-size: 11px; }
-                .btn-danger { background: #ff4757; color: white; box-shadow: 0 1px 3px rgba(255, 71, 87, 0.2); }
-                .btn-danger:hover { background: #ff3742; transform: translateY(-1px); box-shadow: 0 2px 6px rgba(255, 71, 87, 0.3); }
-                .btn-warning {
-                    background: linear-gradient(135deg, ${dark ? '#64748b' : '#94a3b8'}, ${dark ? '#475569' : '#64748b'});
-                    color: white; border: 1px solid ${dark ? 'rgba(71, 85, 105, 0.4)' : 'rgba(100, 116, 139, 0.3)'};
-                    box-shadow: 0 2px 6px ${dark ? 'rgba(0, 0, 0, 0.3)' : 'rgba(100, 116, 139, 0.2)'};
-                }
-                .btn-warning:hover {
-                    background: linear-gradient(135deg, ${dark ? '#475569' : '#64748b'}, ${dark ? '#334155' : '#475569'});
-                    transform: translateY(-1px); box-shadow: 0 4px 10px ${dark ? 'rgba(0, 0, 0, 0.4)' : 'rgba(100, 116, 139, 0.3)'};
-                }
-                .btn-ghost { background: ${colors.hover}; color: ${colors.text}; border: 1px solid ${colors.border}; }
-                .btn-ghost:hover { background: ${colors.hoverStrong}; border-color: ${colors.primary}; color: ${colors.primary}; }
-                .filter-option {
-                    padding: 9px 11px; border-radius: 8px; cursor: pointer; font-weight: 500; position: relative;
-                    user-select: none; display: flex; align-items: center; gap: 7px; background: ${colors.bgCard}; color: ${colors.text};
-                    border: 1px solid ${dark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.06)'};
-                    box-shadow: 0 1px 3px rgba(0, 0, 0, ${dark ? '0.15' : '0.05'}); transition: all 0.2s ease;
-                }
-                .filter-option.active { background: ${colors.primary}; color: white; border-color: ${colors.primary}; box-shadow: 0 2px 6px rgba(37, 99, 235, 0.25); }
-                .filter-option:not(.active):hover {
-                    background: ${colors.hoverStrong}; border-color: ${dark ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.12)'};
-                    box-shadow: 0 2px 6px rgba(0, 0, 0, ${dark ? '0.2' : '0.08'});
-                }
-                .filter-option.site-filter { padding: 10px 12px; border: 1px solid transparent; gap: 10px; width: 100%; box-sizing: border-box; min-width: 0; }
-                .filter-option.site-filter.active { border-color: ${colors.primary}; }
-                .filter-option.site-filter:not(.active):hover { background: ${colors.hoverStrong}; }
-                .filter-option.language-filter { text-align: center; flex-direction: column; gap: 2px; }
+        siteContainer.appendChild(siteElement);
 
-                .segment-control-container {
-                    background: ${colors.bgCard}; border-radius: 12px; padding: 4px; border: 1px solid ${colors.borderLight};
-                    box-shadow: ${colors.shadowSoft}; backdrop-filter: blur(12px); margin-bottom: 16px;
-                }
-                .segment-control-header { display: flex; align-items: center; justify-content: space-between; padding: 8px 12px; border-bottom: 1px solid ${colors.divider}; margin-bottom: 8px; }
-                .segment-control-title { display: flex; align-items: center; gap: 6px; font-size: 13px; font-weight: 600; color: ${colors.text}; }
-                .segment-row { display: flex; align-items: center; gap: 8px; padding: 6px 8px; margin-bottom: 8px; }
-                .segment-row:last-child { margin-bottom: 0; }
-                .segment-label-container { display: flex; flex-direction: column; align-items: flex-start; min-width: 70px; flex-shrink: 0; }
-                .segment-label { font-size: 10px; font-weight: 600; color: ${colors.textSoft}; text-align: left; margin-bottom: 2px; }
-                .segment-persistent-badge { font-size: 7px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.2px; }
-                .segment-buttons { display: flex; background: ${colors.bgInput}; border-radius: 8px; padding: 2px; gap: 2px; flex: 1; box-shadow: ${colors.shadowInner}; border: 1px solid ${colors.borderSoft}; }
-                .segment-button {
-                    flex: 1; padding: 6px 8px; border: none; border-radius: 6px; cursor: pointer; font-size: 9px; font-weight: 600;
-                    background: transparent; color: ${colors.textSoft}; display: flex; align-items: center; justify-content: center;
-                    gap: 4px; user-select: none; position: relative; min-height: 28px; transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
-                }
-                .segment-button:hover:not(.active) { background: ${colors.hover}; color: ${colors.text}; }
-                .segment-button.active { background: ${colors.primary}; color: white; box-shadow: 0 2px 8px rgba(37, 99, 235, 0.25); }
-                .segment-button .flag-icon { font-size: 12px; }
-                .segment-button .text-content { font-size: 9px; font-weight: 600; letter-spacing: 0.2px; }
-                @media (max-width: 450px) {
-                    .segment-label { min-width: 60px; font-size: 9px; }
-                    .segment-button { padding: 5px 6px; font-size: 8px; min-height: 22px; }
-                    .segment-button .text-content { font-size: 8px; }
-                }
-                .site-content { display: flex; align-items: center; gap: 8px; flex: 1; min-width: 0; }
-                .site-actions { display: flex; align-items: center; gap: 6px; }
-                .site-name { font-size: 11px; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-                .site-indicator { width: 6px; height: 6px; background: white; border-radius: 50%; opacity: 0.9; }
-                .remove-btn { border: none; cursor: pointer; font-size: 10px; padding: 3px 5px; border-radius: 4px; font-weight: 700; line-height: 1; z-index: 10; position: relative; transition: all 0.2s ease; }
-                .remove-btn:hover { background: #ff4444 !important; color: white !important; }
-                .toggle-switch {
-                    position: relative; display: inline-block; width: 34px; height: 18px; cursor: pointer; border-radius: 18px;
-                    background: ${dark ? 'rgba(16, 17, 19, 0.7)' : 'rgba(156, 163, 175, 0.5)'}; box-shadow: ${colors.shadowInner}; transition: background-color 0.3s ease;
-                }
-                .toggle-switch.active { background: ${colors.success}; }
-                .toggle-switch.auto-open { background: ${colors.warning}; }
-                .toggle-knob {
-                    position: absolute; height: 14px; width: 14px; top: 2px; left: 2px; background-color: white; border-radius: 50%;
-                    box-shadow: ${colors.shadowSoft}; border: 1px solid ${colors.borderLight}; transition: left 0.3s cubic-bezier(0.4, 0, 0.2, 1), transform 0.2s ease;
-                }
-                .toggle-switch.active .toggle-knob { left: 18px; }
-                .toggle-switch:hover .toggle-knob { transform: scale(1.05); box-shadow: ${colors.shadow}; }
-                .settings-card { background: ${colors.bgCard}; border-radius: 8px; padding: 12px; border: 1px solid ${colors.borderLight}; }
-                .settings-row {
-                    display: flex; justify-content: space-between; align-items: center; padding: 4px 6px; border-radius: 8px; margin-bottom: 8px;
-                    background: ${dark ? 'rgba(56, 59, 64, 0.3)' : 'rgba(203, 213, 225, 0.3)'}; border: 1px solid ${colors.borderLight}; transition: all 0.2s ease;
-                }
-                .settings-row:last-child { margin-bottom: 0; }
-                .settings-row:hover { background: ${colors.hoverStrong}; border-color: ${colors.borderSoft}; }
-                .settings-label { display: flex; align-items: center; gap: 8px; font-size: 11px; font-weight: 500; color: ${colors.text}; }
-                .settings-title { font-size: 13px; font-weight: 700; color: ${colors.text}; letter-spacing: -0.1px; }
-                .settings-subtitle { font-size: 10px; color: ${colors.textMuted}; margin-top: 1px; }
-                .settings-note {
-                    font-size: 10px; color: ${colors.textSoft}; margin-top: 12px; line-height: 1.4; padding: 8px; border-radius: 8px;
-                    background: ${dark ? 'rgba(71, 85, 105, 0.25)' : 'rgba(156, 163, 175, 0.15)'};
-                    border: 1px solid ${dark ? 'rgba(71, 85, 105, 0.2)' : 'rgba(156, 163, 175, 0.2)'};
-                }
-                .settings-divider { border-top: 1px solid ${colors.divider}; margin: 8px 0; padding-top: 12px; }
-                .action-buttons { display: flex; gap: 8px; padding-top: 16px; border-top: 1px solid ${colors.borderLight}; }
-                .clear-btn { opacity: 0; visibility: hidden; transform: scale(0.8); transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1); }
-                .clear-btn.visible { opacity: 1; visibility: visible; transform: scale(1); }
-                .clear-all-container { margin-bottom: 16px; text-align: center; }
-                .text-xs { font-size: 8px; } .text-sm { font-size: 10px; } .text-base { font-size: 12px; } .text-lg { font-size: 14px; }
-                .font-medium { font-weight: 500; } .font-semibold { font-weight: 600; } .font-bold { font-weight: 700; }
-                .uppercase { text-transform: uppercase; } .tracking-wide { letter-spacing: 0.3px; } .tracking-wider { letter-spacing: 0.5px; }
-                .flex { display: flex; } .flex-col { display: flex; flex-direction: column; }
-                .flex-center { display: flex; align-items: center; justify-content: center; }
-                .flex-between { display: flex; align-items: center; justify-content: space-between; }
-                .gap-1 { gap: 4px; } .gap-2 { gap: 8px; } .gap-3 { gap: 12px; }
-                .p-1 { padding: 4px; } .p-2 { padding: 8px; } .px-2 { padding-left: 8px; padding-right: 8px; }
-                .py-1 { padding-top: 4px; padding-bottom: 4px; } .m-0 { margin: 0; }
-                .mb-2 { margin-bottom: 8px; } .mb-3 { margin-bottom: 12px; } .mb-4 { margin-bottom: 16px; }
-                kbd {
-                    background: ${colors.bgInput}; color: ${colors.text}; padding: 2px 6px; border-radius: 4px; font-size: 9px;
-                    font-weight: 700; font-family: 'Courier New', monospace; border: 1px solid ${colors.borderLight}; box-shadow: ${colors.shadowSoft}; margin-right: 4px;
-                }
-                .shortcuts-text { font-size: 10px; color: ${colors.textSoft}; text-align: center; line-height: 1.4; }
-                .shortcuts-container { margin-top: 6px; display: flex; justify-content: center; gap: 8px; flex-wrap: wrap; }
-                .shortcuts-label { opacity: 0.7; }
-                .site-filters-container::-webkit-scrollbar { width: 8px; }
-                .site-filters-container::-webkit-scrollbar-track { background: ${colors.bgInput}; border-radius: 4px; }
-                .site-filters-container::-webkit-scrollbar-thumb { background: ${colors.borderSoft}; border-radius: 4px; border: 1px solid ${colors.borderLight}; }
-                .site-filters-container::-webkit-scrollbar-thumb:hover { background: ${colors.border}; }
-                .panel-open { opacity: 1 !important; visibility: visible !important; transform: translateY(0) scale(1) !important; }
-                .button-active { transform: translateY(-2px) !important; box-shadow: ${colors.shadow} !important; border-color: ${colors.primary} !important; }
-                .advanced-filter-btn {
-                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.3)' : 'rgba(156, 163, 175, 0.25)'}, ${dark ? 'rgba(55, 65, 81, 0.2)' : 'rgba(107, 114, 128, 0.15)'});
-                    backdrop-filter: blur(20px); border: 1px solid ${dark ? 'rgba(156, 163, 175, 0.15)' : 'rgba(203, 213, 225, 0.3)'};
-                    color: ${colors.textSoft}; padding: 10px 16px; border-radius: 12px; cursor: pointer; display: flex; align-items: center;
-                    gap: 8px; font-size: 12px; font-weight: 500; transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1); outline: none;
-                    box-shadow: 0 2px 8px ${dark ? 'rgba(0, 0, 0, 0.2)' : 'rgba(107, 114, 128, 0.1)'}, 0 1px 3px ${dark ? 'rgba(0, 0, 0, 0.1)' : 'rgba(107, 114, 128, 0.05)'};
-                    position: relative; user-select: none; min-width: 120px;
+        // Check if container needs scrollable class
+        const siteElements = siteContainer.querySelectorAll('.filter-option.site-filter');
+        if (siteElements.length > 5) {
+            siteContainer.classList.add('scrollable');
+        }
+    }
+
+    function removeCustomSite(siteKey) {
+        if (!siteKey || typeof siteKey !== 'string') {
+            console.warn('[Advanced Search] Invalid site key for removal');
+            return;
+        }
+
+        safeExecute(() => {
+            const site = filters.site[siteKey];
+            if (!site) {
+                showToast('Site not found', 'warning');
+                return;
+            }
+
+            // Prevent removal of default sites
+            if (DEFAULT_SITES.includes(siteKey)) {
+                showToast('Cannot remove default sites', 'warning');
+                return;
+            }
+
+            const siteName = sanitizeHTML(site.name || 'Unknown Site');
+            if (confirm(`Are you sure you want to remove ${siteName}?`)) {
+                delete filters.site[siteKey];
+
+                // Drop the removed site from the active selection; groups skip missing sites on their own
+                const remainingKeys = getSiteKeys(currentFilters.site);
+                const nextSiteValue = remainingKeys.length === 0 ? 'all' :
+                    (currentFilters.site.startsWith('group:') ? currentFilters.site : remainingKeys.join('|'));
+                if (currentFilters.site !== nextSiteValue) {
+                    currentFilters.site = nextSiteValue;
+                    if (persistenceSettings.site) {
+                        storage.setItem('googleSearchSite', nextSiteValue);
+                    }
                 }
-                .advanced-filter-btn:hover {
-                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.4)' : 'rgba(156, 163, 175, 0.35)'}, ${dark ? 'rgba(55, 65, 81, 0.3)' : 'rgba(107, 114, 128, 0.25)'});
-                    border-color: ${dark ? 'rgba(156, 163, 175, 0.25)' : 'rgba(203, 213, 225, 0.4)'};
-                    box-shadow: 0 4px 12px ${dark ? 'rgba(0, 0, 0, 0.25)' : 'rgba(107, 114, 128, 0.15)'}, 0 2px 6px ${dark ? 'rgba(0, 0, 0, 0.15)' : 'rgba(107, 114, 128, 0.08)'};
-                    transform: translateY(-1px);
+                globalState.siteSelection.delete(siteKey);
+
+                saveCustomSites();
+
+                // Remove the site element from DOM
+                const siteElement = document.querySelector(`[data-value="${siteKey}"]`);
+                if (siteElement && siteElement.parentNode) {
+                    siteElement.parentNode.removeChild(siteElement);
                 }
-                .advanced-filter-btn.button-active {
-                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.5)' : 'rgba(156, 163, 175, 0.4)'}, ${dark ? 'rgba(55, 65, 81, 0.35)' : 'rgba(107, 114, 128, 0.3)'});
-                    border-color: ${colors.primary}; color: ${colors.text}; transform: translateY(-2px);
-                    box-shadow: 0 6px 16px ${dark ? 'rgba(0, 0, 0, 0.3)' : 'rgba(107, 114, 128, 0.2)'}, 0 2px 8px ${dark ? 'rgba(0, 0, 0, 0.2)' : 'rgba(107, 114, 128, 0.1)'};
+
+                // Update scrollable class if needed
+                const siteContainer = document.querySelector('.site-container.site-filters-container');
+                if (siteContainer) {
+                    const remainingSites = siteContainer.querySelectorAll('.filter-option.site-filter');
+                    if (remainingSites.length <= CONFIG.PANEL_MAX_SITES_BEFORE_SCROLL) {
+                        siteContainer.classList.remove('scrollable');
+                    }
                 }
-                .filter-btn-icon, .filter-btn-text, .filter-btn-chevron { display: flex; align-items: center; }
-                .filter-btn-text { color: ${colors.textSoft}; font-weight: 500; }
-                .filter-btn-count {
-                    position: absolute; top: -2px; right: -2px; min-width: 16px; height: 16px; background: ${colors.primary}; color: white;
-                    border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 9px; font-weight: 700;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.2), 0 0 0 2px ${dark ? 'rgba(75, 85, 99, 0.5)' : 'rgba(255, 255, 255, 0.8)'};
+
+                updateButton();
+                showToast('Site removed successfully', 'success');
+            }
+        }, 'removeCustomSite');
+    }
+
+    function promptProfileName(message, defaultName = '') {
+        const profileName = prompt(message, defaultName);
+        if (!isValidNonEmptyString(profileName)) return null;
+
+        const trimmedName = profileName.trim();
+        if (trimmedName.length > CONFIG.MAX_PROFILE_NAME_LENGTH) {
+            showToast('Profile name too long', 'warning');
+            return null;
+        }
+
+        // Sanitize profile name to prevent XSS
+        if (sanitizeHTML(trimmedName) !== trimmedName) {
+            showToast('Invalid characters in profile name', 'warning');
+            return null;
+        }
+
+        const isDuplicate = Object.values(profiles).some(profile =>
+            profile.name.toLowerCase() === trimmedName.toLowerCase() && profile.name !== defaultName);
+        if (isDuplicate) {
+            showToast('Profile already exists', 'warning');
+            return null;
+        }
+
+        return trimmedName;
+    }
+
+    function createProfile() {
+        return safeExecute(() => {
+            if (Object.keys(profiles).length >= CONFIG.MAX_PROFILES) {
+                showToast('Maximum number of profiles reached', 'warning');
+                return;
+            }
+
+            const profileName = promptProfileName('Enter profile name (e.g., US news this week):');
+            if (!profileName) return;
+
+            const profileId = `p${Date.now().toString(36)}`;
+            profiles[profileId] = {
+                name: profileName,
+                filters: { ...currentFilters },
+                persistence: { ...persistenceSettings },
+                createdAt: Date.now()
+            };
+
+            saveProfiles();
+            updatePanel();
+            showToast(`${profileName} profile saved`, 'success');
+        }, 'createProfile');
+    }
+
+    function renameProfile(profileId) {
+        return safeExecute(() => {
+            const profile = profiles[profileId];
+            if (!profile) {
+                showToast('Profile not found', 'warning');
+                return;
+            }
+
+            const profileName = promptProfileName('Enter new profile name:', profile.name);
+            if (!profileName || profileName === profile.name) return;
+
+            profile.name = profileName;
+            saveProfiles();
+            updatePanel();
+            showToast(`Profile renamed to ${profileName}`, 'success');
+        }, 'renameProfile');
+    }
+
+    function deleteProfile(profileId) {
+        return safeExecute(() => {
+            const profile = profiles[profileId];
+            if (!profile) {
+                showToast('Profile not found', 'warning');
+                return;
+            }
+
+            if (confirm(`Are you sure you want to delete the ${profile.name} profile?`)) {
+                delete profiles[profileId];
+                saveProfiles();
+                updatePanel();
+                showToast('Profile deleted successfully', 'success');
+            }
+        }, 'deleteProfile');
+    }
+
+    function activateProfile(profileId) {
+        return safeExecute(() => {
+            const profile = profiles[profileId];
+            if (!profile) {
+                showToast('Profile not found', 'warning');
+                return;
+            }
+
+            // Values that no longer exist (e.g. a removed custom site) fall back to the default
+            forgetSearchOverrides(Object.keys(currentFilters));
+            Object.keys(currentFilters).forEach(filterType => {
+                const value = profile.filters[filterType];
+                currentFilters[filterType] = isKnownFilterValue(filterType, value) ? value : getDefaultFilterValue(filterType);
+            });
+
+            Object.keys(persistenceSettings).forEach(filterType => {
+                if (typeof profile.persistence[filterType] === 'boolean') {
+                    persistenceSettings[filterType] = profile.persistence[filterType];
                 }
-                .advanced-filter-btn.hover-active {
-                    background: linear-gradient(135deg, ${dark ? 'rgba(75, 85, 99, 0.4)' : 'rgba(156, 163, 175, 0.35)'}, ${dark ? 'rgba(55, 65, 81, 0.3)' : 'rgba(107, 114, 128, 0.25)'});
-                    border-color: ${dark ? 'rgba(156, 163, 175, 0.25)' : 'rgba(203, 213, 225, 0.4)'};
-                    box-shadow: 0 4px 12px ${dark ? 'rgba(0, 0, 0, 0.25)' : 'rgba(107, 114, 128, 0.15)'}, 0 2px 6px ${dark ? 'rgba(0, 0, 0, 0.15)' : 'rgba(107, 114, 128, 0.08)'};
-                    transform: translateY(-1px);
+
+                storage.setItem(getPersistStorageKey(filterType), persistenceSettings[filterType].toString());
+                if (persistenceSettings[filterType]) {
+                    storage.setItem(getStorageKey(filterType), currentFilters[filterType]);
+                } else {
+                    storage.removeItem(getStorageKey(filterType));
                 }
-                @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.5; } }
-                @keyframes buttonPress { 0% { transform: scale(1); } 50% { transform: scale(0.98); } 100% { transform: scale(1); } }
-                .button-press { animation: buttonPress 200ms ease-out; }
-            </style>`;
+            });
+
+            updatePanel();
+            updateButton();
+
+            // applyFilters() rewrites q/lr/tbs/hl/gl together, so the whole bundle lands in one navigation
+            if (isSearchPage()) {
+                setTimeout(() => {
+                    applyFilters();
+                }, 200);
+            }
+
+            showToast(`${profile.name} profile activated`, 'success');
+        }, 'activateProfile');
     }
 
-    function createPanelContent() {
-        const colors = getColors();
+    function getMatchingProfileId() {
+        const match = Object.entries(profiles).find(([, profile]) =>
+            Object.keys(currentFilters).every(filterType =>
+                (profile.filters[filterType] || getDefaultFilterValue(filterType)) === currentFilters[filterType]));
+        return match ? match[0] : null;
+    }
+
+    function clearFilter(filterType) {
+        const defaultValue = getDefaultFilterValue(filterType);
+
+        currentFilters[filterType] = defaultValue;
+        forgetSearchOverrides([filterType]);
+
+        if (persistenceSettings[filterType]) {
+            storage.setItem(getStorageKey(filterType), defaultValue);
+        }
+
+        updateButton();
+        updateFilterSelection(filterType, defaultValue);
+
+        if (isSearchPage()) {
+            setTimeout(() => {
+                applyFilters();
+            }, 200);
+        }
+
+        const filterName = getFilterName(filterType);
+        showToast(`${filterName} cleared`, 'success');
+    }
+
+    function clearSiteFilter() { clearFilter('site'); }
+    function clearTimeFilter() { clearFilter('time'); }
+    function clearImageFilter() { clearFilter('image'); updatePanel(); }
+
+    function toggleImageOption(category, option) {
+        const selection = getImageSelection(currentFilters.image);
+        selection[category] = selection[category] === option ? null : option;
+        selectFilter('image', createImageFilterValue(selection));
+        updatePanel();
+    }
+
+    function createFilterSection(filterType, title, colors) {
+        const sectionGenerators = {
+            searchLang: () => createLanguageFilterSection(filterType, title, colors, 'flag', 'all'),
+            interfaceLang: () => createLanguageFilterSection(filterType, title, colors, 'world', 'auto'),
+            region: () => createLanguageFilterSection(filterType, title, colors, 'location', 'auto'),
+            time: () => createTimeFilterSection(filterType, title, colors),
+            site: () => createSiteFilterSection(filterType, title, colors),
+            image: () => createImageFilterSection(filterType, title, colors)
+        };
+
+        return sectionGenerators[filterType]?.() || '';
+    }
+
+    function createLanguageFilterSection(filterType, title, colors, icon, defaultValue) {
+        const isPersistent = persistenceSettings[filterType];
+        const isActive = currentFilters[filterType] !== defaultValue;
+        const sectionData = Object.entries(filters[filterType]);
 
         return `
-            ${createCSS()}
+            <div class="filter-section">
+                ${createSectionHeader(title, icon, colors, isPersistent, isActive)}
+                <div class="filter-grid">
+                    ${sectionData.map(([code, filter]) =>
+                        createLanguageFilterOption(filterType, code, filter, colors)
+                    ).join('')}
+                </div>
+            </div>
+        `;
+    }
 
-            <div class="panel-header">
-                <div class="header-content">
-                    <div class="header-left">
-                        <div class="header-text">
-                            <h3>Search Filters</h3>
-                            <p>Advanced search controls</p>
-                        </div>
+    function createTimeFilterSection(filterType, title, colors) {
+        const isPersistent = persistenceSettings[filterType];
+        const hasTimeFilter = currentFilters[filterType] !== 'all';
+        const sectionData = Object.entries(filters[filterType]).filter(([code]) => code === 'all' || isTimeValueSupported(code));
+        const allowsRanges = VERTICALS[getSearchVertical()].timeRanges;
+
+        return `
+            <div class="filter-section" data-filter-type="time">
+                <div class="section-header">
+                    ${createSectionTitle(title, 'clock', colors, isPersistent, hasTimeFilter)}
+                    <div class="flex gap-1">
+                        <button id="clear-time-filter" class="btn btn-xs btn-warning clear-btn ${hasTimeFilter ? 'visible' : ''}" title="Clear time filter">
+                            ${getSVGIcon('x', 8, 'white')}
+                        </button>
+                        ${allowsRanges ? `
+                            <button class="btn btn-xs btn-ghost time-form-toggle ${globalState.openTimeForm === 'relative' ? 'open' : ''}" data-time-form="relative" title="Rolling time window">Last N</button>
+                            <button class="btn btn-xs btn-ghost time-form-toggle ${globalState.openTimeForm === 'range' ? 'open' : ''}" data-time-form="range" title="Custom date range">Range</button>
+                        ` : ''}
                     </div>
-                    <div class="keyboard-badge">ALT+F</div>
                 </div>
+                <div class="time-controls">
+                    ${sectionData.slice(1).map(([code, filter]) => {
+                        const isActive = currentFilters[filterType] === code;
+                        return `<div class="time-filter ${isActive ? 'active' : ''}" data-type="${filterType}" data-value="${code}">
+                                    <span class="font-semibold">${filter.short}</span>
+                                </div>`;
+                    }).join('')}
+                </div>
+                ${createTimeCustomSummary()}
+                ${allowsRanges ? createRelativeTimeForm() : ''}
+                ${allowsRanges ? createDateRangeForm() : ''}
             </div>
+        `;
+    }
 
-            <div class="panel-content">
-                ${createLanguageRegionSection(colors)}
-                ${createFilterSection('time', 'Time Filter', colors)}
-                ${createFilterSection('site', 'Site Filter', colors)}
+    function createImageFilterSection(filterType, title, colors) {
+        const isPersistent = persistenceSettings[filterType];
+        const hasImageFilter = currentFilters[filterType] !== 'all';
+        const selection = getImageSelection(currentFilters[filterType]);
 
-                <div class="settings-section">
-                    <div class="settings-header" id="settings-toggle">
-                        <div>
-                            <div class="settings-title">Persistence Settings</div>
-                            <div class="settings-subtitle">Control filter memory behavior</div>
-                        </div>
-                        <div class="settings-toggle ${globalState.settingsCollapsed ? 'collapsed' : ''}">
-                            ${getSVGIcon('chevronDown', 12, colors.textSoft)}
+        return `
+            <div class="filter-section" data-filter-type="image">
+                <div class="section-header">
+                    ${createSectionTitle(title, 'filter', colors, isPersistent, hasImageFilter)}
+                    <button id="clear-image-filter" class="btn btn-xs btn-warning clear-btn ${hasImageFilter ? 'visible' : ''}" title="Clear image filters">
+                        ${getSVGIcon('x', 8, 'white')}
+                    </button>
+                </div>
+                ${Object.entries(IMAGE_FILTER_OPTIONS).map(([category, { name, options }]) => `
+                    <div class="image-filter-row">
+                        <span class="image-filter-label">${name}</span>
+                        <div class="image-filter-options">
+                            ${Object.entries(options).map(([option, label]) =>
+                                `<button class="image-option ${selection[category] === option ? 'active' : ''}" data-category="${category}" data-option="${option}">${label}</button>`
+                            ).join('')}
                         </div>
                     </div>
+                `).join('')}
+            </div>
+        `;
+    }
 
-                    <div class="settings-content ${globalState.settingsCollapsed ? 'collapsed' : ''}">
-                        <div class="flex-col">
-                            ${Object.keys(persistenceSettings).map(filterType => {
-                                const isEnabled = persistenceSettings[filterType];
-                                const filterName = getFilterName(filterType);
+    // Shows the active value when it isn't one of the preset buttons (e.g. a custom date range)
+    function createTimeCustomSummary() {
+        const value = currentFilters.time;
+        const isCustom = value !== 'all' && !filters.time[value];
+        const filterData = isCustom ? getFilterData('time', value) : null;
 
-                                return `
-                                    <div class="settings-row">
-                                        <div class="settings-label">
-                                            ${filterName}
-                                        </div>
-                                        <div class="toggle-switch ${isEnabled ? 'active' : ''}" data-filter="${filterType}" data-enabled="${isEnabled}">
-                                            <div class="toggle-knob"></div>
-                                        </div>
-                                    </div>
-                                `;
-                            }).join('')}
+        return `<div class="time-custom-summary ${filterData ? 'visible' : ''}">
+            ${getSVGIcon('clock', 10, 'white')}
+            <span class="time-custom-text">${filterData ? filterData.name : ''}</span>
+        </div>`;
+    }
 
-                            <div class="settings-divider">
-                                <div class="settings-row">
-                                    <div class="settings-label">
-                                        Always Open Panel
-                                    </div>
-                                    <div class="toggle-switch ${autoOpenPanel ? 'active auto-open' : ''}" data-filter="autoOpen" data-enabled="${autoOpenPanel}">
-                                        <div class="toggle-knob"></div>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
+    function createRelativeTimeForm() {
+        const relative = parseRelativeTimeValue(currentFilters.time) || { amount: 6, unit: 'm' };
 
-                        <div class="settings-note">
-                            <strong style="color: ${colors.text};">Note:</strong> Enabled filters persist across searches, disabled ones reset after each search
+        return `
+            <div class="time-custom-form ${globalState.openTimeForm === 'relative' ? 'open' : ''}" data-time-form="relative">
+                <div class="time-form-row">
+                    <label class="time-form-label">Last
+                        <input type="number" id="time-relative-amount" class="time-form-input" value="${relative.amount}"
+                               min="1" max="${CONFIG.MAX_RELATIVE_TIME_AMOUNT}" step="1">
+                    </label>
+                    <label class="time-form-label">Unit
+                        <select id="time-relative-unit" class="time-form-input">
+                            ${Object.entries(RELATIVE_TIME_UNITS).map(([unit, unitName]) =>
+                                `<option value="${unit}" ${relative.unit === unit ? 'selected' : ''}>${unitName}s</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="time-form-actions">
+                    <button id="apply-time-relative" class="btn btn-xs btn-primary">Apply Window</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function createDateRangeForm() {
+        const range = parseDateRangeValue(currentFilters.time) || { start: '', end: '' };
+        const today = toISODate(new Date());
+
+        return `
+            <div class="time-custom-form ${globalState.openTimeForm === 'range' ? 'open' : ''}" data-time-form="range">
+                <div class="time-form-row">
+                    <label class="time-form-label">From
+                        <input type="date" id="time-range-start" class="time-form-input" value="${range.start}" max="${today}">
+                    </label>
+                    <label class="time-form-label">To
+                        <input type="date" id="time-range-end" class="time-form-input" value="${range.end}" max="${today}">
+                    </label>
+                </div>
+                <div class="time-form-actions">
+                    <button id="apply-time-range" class="btn btn-xs btn-primary">Apply Range</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function toggleTimeForm(formType) {
+        globalState.openTimeForm = globalState.openTimeForm === formType ? null : formType;
+        updatePanel();
+    }
+
+    function applyCustomDateRange() {
+        return safeExecute(() => {
+            const start = document.getElementById('time-range-start')?.value || '';
+            const end = document.getElementById('time-range-end')?.value || '';
+
+            if (!start && !end) {
+                showToast('Pick a start or end date', 'warning');
+                return;
+            }
+
+            const rangeValue = createDateRangeValue(start, end);
+            if (!parseDateRangeValue(rangeValue)) {
+                showToast('Start date must be before end date', 'warning');
+                return;
+            }
+
+            globalState.openTimeForm = null;
+            selectFilter('time', rangeValue);
+            updatePanel();
+        }, 'applyCustomDateRange');
+    }
+
+    function applyRelativeTimeWindow() {
+        return safeExecute(() => {
+            const amount = Number(document.getElementById('time-relative-amount')?.value);
+            const unit = document.getElementById('time-relative-unit')?.value;
+
+            if (!Number.isInteger(amount) || amount < 1 || amount > CONFIG.MAX_RELATIVE_TIME_AMOUNT || !RELATIVE_TIME_UNITS[unit]) {
+                showToast(`Enter a whole number between 1 and ${CONFIG.MAX_RELATIVE_TIME_AMOUNT}`, 'warning');
+                return;
+            }
+
+            globalState.openTimeForm = null;
+            selectFilter('time', createRelativeTimeValue(amount, unit));
+            updatePanel();
+        }, 'applyRelativeTimeWindow');
+    }
+
+    function updateTimeCustomSummary(value) {
+        const summary = document.querySelector('.time-custom-summary');
+        if (!summary) return;
+
+        const isCustom = value !== 'all' && !filters.time[value];
+        const filterData = isCustom ? getFilterData('time', value) : null;
+        summary.classList.toggle('visible', Boolean(filterData));
+        summary.querySelector('.time-custom-text').textContent = filterData ? filterData.name : '';
+    }
+
+    function createSiteFilterSection(filterType, title, colors) {
+        const isPersistent = persistenceSettings[filterType];
+        const hasSiteFilter = currentFilters.site !== 'all';
+        const sectionData = Object.entries(filters.site);
+        const defaultSites = ['reddit', 'github', 'eksisozluk', 'donanimhaber'];
+        const shouldScroll = sectionData.length > 5;
+
+        return `
+            <div class="filter-section" data-filter-type="site">
+                <div class="section-header">
+                    ${createSectionTitle(title, 'location', colors, isPersistent, hasSiteFilter)}
+                    <div class="flex gap-1">
+                        <button id="clear-site-filter" class="btn btn-xs btn-warning clear-btn ${hasSiteFilter ? 'visible' : ''}" title="Clear site filter">
+                            ${getSVGIcon('x', 8, 'white')}
+                        </button>
+                        <button id="site-multi-toggle" class="btn btn-xs btn-ghost ${globalState.siteMultiSelect ? 'open' : ''}"
+                                title="Select several sites (Ctrl/Cmd+click also works)">Multi</button>
+                        <button id="add-site-btn" class="btn btn-xs btn-ghost" title="Add new site">+</button>
+                    </div>
+                </div>
+                ${createSiteGroupRow()}
+                ${globalState.siteMultiSelect ? `
+                    <div class="site-multi-bar">
+                        <span class="site-multi-count">${globalState.siteSelection.size} selected</span>
+                        <div class="flex gap-1">
+                            <button id="save-site-group-btn" class="btn btn-xs btn-ghost" title="Save selection as a group">Save Group</button>
+                            <button id="apply-site-selection" class="btn btn-xs btn-primary">Apply</button>
                         </div>
                     </div>
+                ` : ''}
+                <div class="site-container ${shouldScroll ? 'scrollable' : ''} site-filters-container">
+                    ${sectionData.map(([code, filter]) =>
+                        createSiteFilterOption(code, filter, colors, defaultSites)
+                    ).join('')}
                 </div>
+                ${createBlockedSiteRow()}
+            </div>
+        `;
+    }
+
+    function createBlockedSiteRow() {
+        return `<div class="blocked-site-container">
+            <div class="blocked-site-header">
+                <span class="blocked-site-label">Excluded${blockedSites.length > 0 ? ` (${blockedSites.length})` : ''}</span>
+                <button id="add-blocked-site-btn" class="btn btn-xs btn-ghost" title="Exclude a site from every search">+</button>
             </div>
+            ${blockedSites.length > 0 ? `<div class="site-group-container">
+                ${blockedSites.map(domain => `<div class="blocked-site-chip" title="-site:${domain}">
+                    <span class="profile-name">${domain}</span>
+                    <button class="profile-action-btn unblock-site-btn" data-domain="${domain}" title="Stop excluding">×</button>
+                </div>`).join('')}
+            </div>` : ''}
+        </div>`;
+    }
+
+    function addBlockedSite() {
+        return safeExecute(() => {
+            if (blockedSites.length >= CONFIG.MAX_BLOCKED_SITES) {
+                showToast('Maximum number of excluded sites reached', 'warning');
+                return;
+            }
+
+            const siteUrl = prompt('Enter site to exclude from every search (e.g., pinterest.com):');
+            if (!isValidNonEmptyString(siteUrl)) return;
+
+            if (!isValidURL(siteUrl)) {
+                showToast('Invalid URL format', 'warning');
+                return;
+            }
+
+            const domain = cleanURLDomain(siteUrl).toLowerCase();
+            if (blockedSites.includes(domain)) {
+                showToast('Site is already excluded', 'warning');
+                return;
+            }
+
+            blockedSites.push(domain);
+            saveBlockedSites();
+            updatePanel();
+            showToast(`${domain} excluded from searches`, 'success');
+
+            if (isSearchPage()) {
+                setTimeout(() => applyFilters(), 200);
+            }
+        }, 'addBlockedSite');
+    }
+
+    function removeBlockedSite(domain) {
+        return safeExecute(() => {
+            const index = blockedSites.indexOf(domain);
+            if (index === -1) {
+                showToast('Site not found', 'warning');
+                return;
+            }
+
+            blockedSites.splice(index, 1);
+            saveBlockedSites();
+            updatePanel();
+            showToast(`${domain} no longer excluded`, 'success');
+
+            // The removed domain's term is still in the query and would otherwise read as the user's own exclusion
+            if (isSearchPage()) {
+                setTimeout(() => applyFilters([domain]), 200);
+            }
+        }, 'removeBlockedSite');
+    }
+
+    function createSiteGroupRow() {
+        const groupEntries = Object.entries(siteGroups);
+        if (groupEntries.length === 0) return '';
+
+        return `<div class="site-group-container">
+            ${groupEntries.map(([id, group]) => {
+                const isActive = currentFilters.site === `group:${id}`;
+                const siteNames = getSiteKeys(`group:${id}`).map(key => filters.site[key].name).join(', ');
+                return `<div class="profile-chip site-group-chip ${isActive ? 'active' : ''}" data-group-id="${id}" title="${siteNames}">
+                    <span class="profile-name">${group.name}</span>
+                    <button class="profile-action-btn site-group-delete-btn" data-group-id="${id}" title="Delete group">×</button>
+                </div>`;
+            }).join('')}
+        </div>`;
+    }
+
+    function getSelectedSiteKeys() {
+        return globalState.siteMultiSelect ? [...globalState.siteSelection] : getSiteKeys(currentFilters.site);
+    }
 
-            <div class="panel-footer">
-                ${hasActiveFilters() ? `
-                    <div class="clear-all-container">
-                        <button id="clear-filters" class="btn btn-md btn-danger uppercase tracking-wider">
-                            ${getSVGIcon('x', 12, 'white')}
-                            Clear All
-                        </button>
-                    </div>
-                ` : ''}
-                <div class="shortcuts-text">
-                    <strong>Keyboard Shortcuts:</strong><br>
-                    <div class="shortcuts-container">
-                        <kbd>Alt+F</kbd><span class="shortcuts-label">Toggle</span>
-                        <kbd>Alt+C</kbd><span class="shortcuts-label">Clear</span>
-                        <kbd>Esc</kbd><span class="shortcuts-label">Close</span>
-                    </div>
-                </div>
-            </div>
-        `;
+    function toggleSiteMultiSelect(initialKey = null) {
+        globalState.siteMultiSelect = !globalState.siteMultiSelect;
+        globalState.siteSelection = new Set(globalState.siteMultiSelect ? getSiteKeys(currentFilters.site) : []);
+        if (globalState.siteMultiSelect && initialKey) {
+            toggleSiteSelection(initialKey, false);
+        }
+        updatePanel();
     }
 
-    function getFilterName(filterType) {
-        const names = {
-            searchLang: 'Results Language',
-            interfaceLang: 'Interface Language',
-            region: 'Geographic Region',
-            site: 'Site Filter',
-            time: 'Time Filter'
-        };
-        return names[filterType];
+    function toggleSiteSelection(siteKey, render = true) {
+        if (!filters.site[siteKey]) return;
+
+        const selection = globalState.siteSelection;
+        if (selection.has(siteKey)) {
+            selection.delete(siteKey);
+        } else {
+            selection.add(siteKey);
+        }
+
+        if (render) {
+            updatePanel();
+        }
     }
 
+    function applySiteSelection() {
+        const siteKeys = Object.keys(filters.site).filter(key => globalState.siteSelection.has(key));
+        const groupEntry = Object.entries(siteGroups).find(([id]) => isSameSiteSelection(getSiteKeys(`group:${id}`), siteKeys));
+        const value = siteKeys.length === 0 ? 'all' : (groupEntry ? `group:${groupEntry[0]}` : siteKeys.join('|'));
 
-    function createFaviconImg(iconUrl, domain) {
-        const colors = getColors();
-        const fallbackIcon = iconUrl && iconUrl !== 'null' ? iconUrl : `https://${domain}/favicon.ico`;
-        const iconSize = CONFIG.SITE_FILTER_COLUMNS >= 3 ? 12 : 14;
+        globalState.siteMultiSelect = false;
+        globalState.siteSelection = new Set();
 
-        return `<img src="${fallbackIcon}"
-                     style="width: ${iconSize}px; height: ${iconSize}px; border-radius: 3px; object-fit: cover;"
-                     onerror="this.style.display='none'; this.nextElementSibling.style.display='inline';"
-                     loading="lazy" />
-                <span style="display: none;">${getSVGIcon('globe', iconSize, colors.textMuted)}</span>`;
+        if (currentFilters.site === value) {
+            updatePanel();
+            return;
+        }
+
+        selectFilter('site', value);
+        updatePanel();
     }
 
-    function addCustomSite() {
+    function saveSiteGroup() {
         return safeExecute(() => {
-            // Check if we've reached the maximum number of custom sites
-            const customSiteCount = Object.keys(filters.site).length - DEFAULT_SITES.length;
-            if (customSiteCount >= CONFIG.MAX_CUSTOM_SITES) {
-                showToast('Maximum number of custom sites reached', 'warning');
+            const siteKeys = Object.keys(filters.site).filter(key => globalState.siteSelection.has(key));
+            if (siteKeys.length < 2) {
+                showToast('Select at least two sites for a group', 'warning');
                 return;
             }
 
-            const siteName = prompt('Enter site name (e.g., Twitter):');
-            if (!siteName || siteName.trim() === '') {
+            if (Object.keys(siteGroups).length >= CONFIG.MAX_SITE_GROUPS) {
+                showToast('Maximum number of site groups reached', 'warning');
                 return;
             }
 
-            // Validate site name
-            if (!isValidNonEmptyString(siteName)) return;
+            const groupName = prompt('Enter group name (e.g., Forums):');
+            if (!isValidNonEmptyString(groupName)) return;
 
-            const trimmedName = siteName.trim();
+            const trimmedName = groupName.trim();
             if (trimmedName.length > CONFIG.MAX_SITE_NAME_LENGTH) {
-                showToast('Site name too long', 'warning');
+                showToast('Group name too long', 'warning');
                 return;
             }
 
-            // Sanitize site name to prevent XSS
-            const sanitizedName = sanitizeHTML(trimmedName);
-            if (sanitizedName !== trimmedName) {
-                showToast('Invalid characters in site name', 'warning');
+            // Sanitize group name to prevent XSS
+            if (sanitizeHTML(trimmedName) !== trimmedName) {
+                showToast('Invalid characters in group name', 'warning');
                 return;
             }
 
-            const siteUrl = prompt('Enter site URL (e.g., twitter.com):');
-            if (!isValidNonEmptyString(siteUrl)) return;
-
-            const cleanUrl = cleanURLDomain(siteUrl);
-            if (!isValidURL(siteUrl)) {
-                showToast('Invalid URL format', 'warning');
-                return;
-            }
+            const groupId = `g${Date.now().toString(36)}`;
+            siteGroups[groupId] = { name: trimmedName, sites: siteKeys };
+            saveSiteGroups();
 
-            const siteKey = cleanUrl.replace(/\./g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+            globalState.siteMultiSelect = false;
+            globalState.siteSelection = new Set();
+            selectFilter('site', `group:${groupId}`);
+            updatePanel();
+            showToast(`${trimmedName} group saved`, 'success');
+        }, 'saveSiteGroup');
+    }
 
-            // Check if site already exists
-            if (filters.site[siteKey]) {
-                showToast('Site already exists', 'warning');
+    function deleteSiteGroup(groupId) {
+        return safeExecute(() => {
+            const group = siteGroups[groupId];
+            if (!group) {
+                showToast('Group not found', 'warning');
                 return;
             }
 
-            // Create site object with sanitized data
-            const siteData = {
-                name: sanitizedName,
-                short: sanitizedName.toUpperCase().substring(0, 12),
-                query: `site:${cleanUrl}`,
-                domain: cleanUrl,
-                icon: `https://${cleanUrl}/favicon.ico`
-            };
+            if (confirm(`Are you sure you want to delete the ${group.name} group?`)) {
+                const wasActive = currentFilters.site === `group:${groupId}`;
+                const siteKeys = getSiteKeys(`group:${groupId}`);
+                delete siteGroups[groupId];
+                saveSiteGroups();
 
-            filters.site[siteKey] = siteData;
-            saveCustomSites();
-            addSiteToDOM(siteKey, siteData);
-            showToast(`${sanitizedName} added successfully`, 'success');
+                // Keep the same sites selected, just no longer as a named group
+                if (wasActive) {
+                    currentFilters.site = siteKeys.length > 0 ? siteKeys.join('|') : 'all';
+                    if (persistenceSettings.site) {
+                        storage.setItem('googleSearchSite', currentFilters.site);
+                    }
+                }
 
-        }, 'addCustomSite');
+                updatePanel();
+                showToast('Group deleted successfully', 'success');
+            }
+        }, 'deleteSiteGroup');
     }
 
-    function addSiteToDOM(siteKey, siteData) {
-        const colors = getColors();
-        const siteContainer = document.querySelector('.site-container.site-filters-container');
+    function createProfileSection(colors) {
+        const profileEntries = Object.entries(profiles);
+        const activeProfileId = getMatchingProfileId();
 
-        if (!siteContainer) return;
+        return `
+            <div class="filter-section" data-filter-type="profile">
+                <div class="section-header">
+                    ${createSectionTitle('Profiles', 'pin', colors, false, activeProfileId !== null)}
+                    <button id="add-profile-btn" class="btn btn-xs btn-ghost" title="Save current filters as a profile">+</button>
+                </div>
+                <div class="profile-container">
+                    ${profileEntries.length === 0 ?
+                        '<div class="profile-empty">Save the current filters as a profile to switch with one click</div>' :
+                        profileEntries.map(([id, profile]) => createProfileChip(id, profile, id === activeProfileId)).join('')}
+                </div>
+            </div>
+        `;
+    }
 
-        const isActive = currentFilters.site === siteKey;
-        const defaultSites = ['reddit', 'github', 'eksisozluk', 'donanimhaber'];
-        const isCustomSite = !defaultSites.includes(siteKey);
+    function createProfileChip(id, profile, isActive) {
+        return `<div class="profile-chip ${isActive ? 'active' : ''}" data-profile-id="${id}" title="Activate ${profile.name}">
+            <span class="profile-name">${profile.name}</span>
+            <button class="profile-action-btn profile-rename-btn" data-profile-id="${id}" title="Rename">✎</button>
+            <button class="profile-action-btn profile-delete-btn" data-profile-id="${id}" title="Delete">×</button>
+        </div>`;
+    }
 
-        const siteElement = document.createElement('div');
-        siteElement.className = `filter-option site-filter ${isActive ? 'active' : ''}`;
-        siteElement.dataset.type = 'site';
-        siteElement.dataset.value = siteKey;
+    function createQueryOperatorSection(colors) {
+        const operatorTerms = compileOperatorTerms(queryOperators);
 
-        siteElement.innerHTML = `
-            <div class="site-content">
-                ${createFaviconImg(siteData.icon, siteData.domain)}
-                <span class="site-name">${siteData.short}</span>
+        return `
+            <div class="filter-section" data-filter-type="queryOperators">
+                <div class="section-header">
+                    ${createSectionTitle('Query Operators', 'filter', colors, true, operatorTerms.length > 0)}
+                    <div class="flex gap-1">
+                        <button id="clear-query-operators" class="btn btn-xs btn-warning clear-btn ${operatorTerms.length > 0 ? 'visible' : ''}" title="Clear query operators">
+                            ${getSVGIcon('x', 8, 'white')}
+                        </button>
+                        <button id="query-operator-form-toggle" class="btn btn-xs btn-ghost ${globalState.queryOperatorFormOpen ? 'open' : ''}" title="Edit query operators">Edit</button>
+                    </div>
+                </div>
+                ${globalState.queryOperatorFormOpen ? createQueryOperatorForm() : ''}
+                <div class="query-operator-preview ${operatorTerms.length > 0 ? '' : 'empty'}">
+                    ${operatorTerms.length > 0 ? sanitizeHTML(operatorTerms.join(' ')) : 'Phrases, excluded words, file type, title/URL words and dates added to every search'}
+                </div>
             </div>
-            <div class="site-actions">
-                ${isActive ? `<div class="site-indicator"></div>` : ''}
-                ${isCustomSite ? `
-                    <button class="remove-btn" data-site="${siteKey}"
-                           style="background: ${isActive ? 'rgba(255,255,255,0.2)' : colors.borderLight}; color: ${isActive ? 'white' : colors.textMuted};"
-                           title="Remove" onclick="event.stopPropagation();">×</button>
-                ` : ''}
+        `;
+    }
+
+    function createQueryOperatorForm() {
+        const field = (id, label, value, placeholder, type = 'text') => `
+                    <label class="time-form-label">${label}
+                        <input type="${type}" id="${id}" class="time-form-input" value="${sanitizeHTML(value)}"
+                               maxlength="${CONFIG.MAX_RULE_PATTERN_LENGTH}" placeholder="${placeholder}">
+                    </label>`;
+
+        return `
+            <div class="time-custom-form open query-operator-form">
+                <div class="time-form-row">
+                    ${field('query-operator-phrases', 'Exact phrases', queryOperators.phrases.join(', '), 'open source, user guide')}
+                </div>
+                <div class="time-form-row query-operator-row">
+                    ${field('query-operator-excludes', 'Exclude words', queryOperators.excludes.join(', '), 'pinterest, quora')}
+                </div>
+                <div class="time-form-row query-operator-row">
+                    ${field('query-operator-filetype', 'File type', queryOperators.filetype, 'pdf')}
+                    ${field('query-operator-intitle', 'In title', queryOperators.intitle, 'review')}
+                    ${field('query-operator-inurl', 'In URL', queryOperators.inurl, 'docs')}
+                </div>
+                <div class="time-form-row query-operator-row">
+                    ${field('query-operator-after', 'After', queryOperators.after, '', 'date')}
+                    ${field('query-operator-before', 'Before', queryOperators.before, '', 'date')}
+                </div>
+                <div class="time-form-actions">
+                    <button id="save-query-operators-btn" class="btn btn-xs btn-primary">Save Operators</button>
+                </div>
             </div>
         `;
+    }
 
-        siteContainer.appendChild(siteElement);
+    function readQueryOperatorForm() {
+        const readValue = id => document.getElementById(id)?.value || '';
+        const readList = id => readValue(id).split(',');
 
-        // Check if container needs scrollable class
-        const siteElements = siteContainer.querySelectorAll('.filter-option.site-filter');
-        if (siteElements.length > 5) {
-            siteContainer.classList.add('scrollable');
+        return {
+            phrases: readList('query-operator-phrases'),
+            excludes: readList('query-operator-excludes'),
+            filetype: readValue('query-operator-filetype'),
+            intitle: readValue('query-operator-intitle'),
+            inurl: readValue('query-operator-inurl'),
+            after: readValue('query-operator-after'),
+            before: readValue('query-operator-before')
+        };
+    }
+
+    // Live preview of the compiled operators while the form is being edited
+    function updateQueryOperatorPreview() {
+        const preview = document.querySelector('.query-operator-preview');
+        if (!preview) return;
+
+        const operatorTerms = compileOperatorTerms(normalizeQueryOperators(readQueryOperatorForm()));
+        preview.textContent = operatorTerms.length > 0 ? operatorTerms.join(' ') : 'No operators';
+        preview.classList.toggle('empty', operatorTerms.length === 0);
+    }
+
+    function toggleQueryOperatorForm() {
+        globalState.queryOperatorFormOpen = !globalState.queryOperatorFormOpen;
+        updatePanel();
+
+        if (globalState.queryOperatorFormOpen) {
+            document.getElementById('query-operator-phrases')?.focus();
         }
     }
 
-    function removeCustomSite(siteKey) {
-        if (!siteKey || typeof siteKey !== 'string') {
-            console.warn('[Advanced Search] Invalid site key for removal');
-            return;
+    // Replacing the operators strips the previous terms from the current query before the new ones are appended
+    function setQueryOperators(operators, message) {
+        const previousTerms = compileOperatorTerms(queryOperators);
+        Object.assign(queryOperators, operators);
+        saveQueryOperators();
+        globalState.queryOperatorFormOpen = false;
+        updatePanel();
+
+        if (isSearchPage()) {
+            setTimeout(() => applyFilters([], previousTerms), 200);
         }
+        showToast(message, 'success');
+    }
 
-        safeExecute(() => {
-            const site = filters.site[siteKey];
-            if (!site) {
-                showToast('Site not found', 'warning');
+    function saveQueryOperatorForm() {
+        return safeExecute(() => {
+            const formValues = readQueryOperatorForm();
+            const values = [...formValues.phrases, ...formValues.excludes, ...QUERY_OPERATOR_FIELDS.map(field => formValues[field])];
+
+            if (values.some(value => value && sanitizeHTML(value) !== value)) {
+                showToast('Invalid characters in operators', 'warning');
                 return;
             }
 
-            // Prevent removal of default sites
-            if (DEFAULT_SITES.includes(siteKey)) {
-                showToast('Cannot remove default sites', 'warning');
+            const operators = normalizeQueryOperators(formValues);
+
+            if (formValues.filetype.trim() && !operators.filetype) {
+                showToast('Invalid file type', 'warning');
                 return;
             }
 
-            const siteName = sanitizeHTML(site.name || 'Unknown Site');
-            if (confirm(`Are you sure you want to remove ${siteName}?`)) {
-                delete filters.site[siteKey];
-
-                // Reset current filter if removing active site
-                if (currentFilters.site === siteKey) {
-                    currentFilters.site = 'all';
-                    if (persistenceSettings.site) {
-                        localStorage.setItem('googleSearchSite', 'all');
-                    }
-                }
+            if ([formValues.phrases, formValues.excludes].some(list => list.filter(value => value.trim()).length > CONFIG.MAX_QUERY_OPERATOR_TERMS)) {
+                showToast(`At most ${CONFIG.MAX_QUERY_OPERATOR_TERMS} phrases or excluded words`, 'warning');
+                return;
+            }
 
-                saveCustomSites();
+            if (operators.after && operators.before && operators.after > operators.before) {
+                showToast('The after date must come before the before date', 'warning');
+                return;
+            }
 
-                // Remove the site element from DOM
-                const siteElement = document.querySelector(`[data-value="${siteKey}"]`);
-                if (siteElement && siteElement.parentNode) {
-                    siteElement.parentNode.removeChild(siteElement);
-                }
+            setQueryOperators(operators, 'Query operators saved');
+        }, 'saveQueryOperatorForm');
+    }
 
-                // Update scrollable class if needed
-                const siteContainer = document.querySelector('.site-container.site-filters-container');
-                if (siteContainer) {
-                    const remainingSites = siteContainer.querySelectorAll('.filter-option.site-filter');
-                    if (remainingSites.length <= CONFIG.PANEL_MAX_SITES_BEFORE_SCROLL) {
-                        siteContainer.classList.remove('scrollable');
-                    }
-                }
+    function clearQueryOperators() {
+        return safeExecute(() => {
+            if (compileOperatorTerms(queryOperators).length === 0) return;
+            setQueryOperators({ ...QUERY_OPERATOR_DEFAULTS }, 'Query operators cleared');
+        }, 'clearQueryOperators');
+    }
 
-                updateButton();
-                showToast('Site removed successfully', 'success');
-            }
-        }, 'removeCustomSite');
+    function createResultRulesSection(colors) {
+        return `
+            <div class="filter-section" data-filter-type="resultRules">
+                <div class="section-header">
+                    ${createSectionTitle('Result Rules', 'filter', colors, false, resultRules.length > 0)}
+                    <button id="result-rule-form-toggle" class="btn btn-xs btn-ghost ${globalState.resultRuleFormOpen ? 'open' : ''}" title="Add a result rule">+</button>
+                </div>
+                ${globalState.resultRuleFormOpen ? createResultRuleForm() : ''}
+                <div class="result-rule-list">
+                    ${resultRules.length === 0 ?
+                        '<div class="profile-empty">Hide, dim or highlight results by domain, URL pattern or title keyword</div>' :
+                        resultRules.map(rule => `<div class="result-rule-item" data-action="${rule.action}">
+                            <span class="result-rule-action">${RESULT_RULE_ACTIONS[rule.action]}</span>
+                            <span class="result-rule-pattern" title="${RESULT_RULE_MATCH_TYPES[rule.matchType]}: ${rule.pattern}">
+                                ${RESULT_RULE_MATCH_TYPES[rule.matchType]}: ${rule.pattern}
+                            </span>
+                            <button class="profile-action-btn remove-result-rule-btn" data-rule-id="${rule.id}" title="Remove rule">×</button>
+                        </div>`).join('')}
+                </div>
+            </div>
+        `;
     }
 
-    function clearFilter(filterType) {
-        const defaultValue = (filterType === 'interfaceLang' || filterType === 'region') ? 'auto' : 'all';
+    function createResultRuleForm() {
+        return `
+            <div class="time-custom-form open">
+                <div class="time-form-row">
+                    <label class="time-form-label">Action
+                        <select id="result-rule-action" class="time-form-input">
+                            ${Object.entries(RESULT_RULE_ACTIONS).map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="time-form-label">Match
+                        <select id="result-rule-match" class="time-form-input">
+                            ${Object.entries(RESULT_RULE_MATCH_TYPES).map(([matchType, label]) => `<option value="${matchType}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="time-form-row result-rule-pattern-row">
+                    <label class="time-form-label">Pattern
+                        <input type="text" id="result-rule-pattern" class="time-form-input" maxlength="${CONFIG.MAX_RULE_PATTERN_LENGTH}"
+                               placeholder="pinterest.com, */amp/*, sponsored">
+                    </label>
+                </div>
+                <div class="time-form-actions">
+                    <button id="add-result-rule-btn" class="btn btn-xs btn-primary">Add Rule</button>
+                </div>
+            </div>
+        `;
+    }
 
-        currentFilters[filterType] = defaultValue;
+    function toggleResultRuleForm() {
+        globalState.resultRuleFormOpen = !globalState.resultRuleFormOpen;
+        updatePanel();
 
-        if (persistenceSettings[filterType]) {
-            localStorage.setItem(getStorageKey(filterType), defaultValue);
+        if (globalState.resultRuleFormOpen) {
+            document.getElementById('result-rule-pattern')?.focus();
         }
+    }
 
-        updateButton();
-        updateFilterSelection(filterType, defaultValue);
+    function addResultRule() {
+        return safeExecute(() => {
+            if (resultRules.length >= CONFIG.MAX_RESULT_RULES) {
+                showToast('Maximum number of result rules reached', 'warning');
+                return;
+            }
 
-        if (isSearchPage()) {
-            setTimeout(() => {
-                applyFilters();
-            }, 200);
-        }
+            const rule = {
+                id: `r${Date.now().toString(36)}`,
+                action: document.getElementById('result-rule-action')?.value,
+                matchType: document.getElementById('result-rule-match')?.value,
+                pattern: (document.getElementById('result-rule-pattern')?.value || '').trim()
+            };
 
-        const filterName = getFilterName(filterType);
-        showToast(`${filterName} cleared`, 'success');
-    }
+            if (!rule.pattern) {
+                showToast('Enter a pattern for the rule', 'warning');
+                return;
+            }
 
-    function clearSiteFilter() { clearFilter('site'); }
-    function clearTimeFilter() { clearFilter('time'); }
+            if (sanitizeHTML(rule.pattern) !== rule.pattern) {
+                showToast('Invalid characters in pattern', 'warning');
+                return;
+            }
 
-    function createFilterSection(filterType, title, colors) {
-        const sectionGenerators = {
-            searchLang: () => createLanguageFilterSection(filterType, title, colors, 'flag', 'all'),
-            interfaceLang: () => createLanguageFilterSection(filterType, title, colors, 'world', 'auto'),
-            region: () => createLanguageFilterSection(filterType, title, colors, 'location', 'auto'),
-            time: () => createTimeFilterSection(filterType, title, colors),
-            site: () => createSiteFilterSection(filterType, title, colors)
-        };
+            if (rule.matchType === 'domain' && !isValidURL(rule.pattern)) {
+                showToast('Invalid domain format', 'warning');
+                return;
+            }
+
+            if (!isValidResultRuleData(rule)) {
+                showToast('Invalid rule', 'warning');
+                return;
+            }
+
+            if (resultRules.some(existing => existing.matchType === rule.matchType && existing.pattern.toLowerCase() === rule.pattern.toLowerCase())) {
+                showToast('A rule for this pattern already exists', 'warning');
+                return;
+            }
+
+            resultRules.push(rule);
+            saveResultRules();
+            globalState.resultRuleFormOpen = false;
+            updatePanel();
+            applyResultRules();
+            showToast('Result rule added', 'success');
+        }, 'addResultRule');
+    }
+
+    function removeResultRule(ruleId) {
+        return safeExecute(() => {
+            const index = resultRules.findIndex(rule => rule.id === ruleId);
+            if (index === -1) {
+                showToast('Rule not found', 'warning');
+                return;
+            }
 
-        return sectionGenerators[filterType]?.() || '';
+            resultRules.splice(index, 1);
+            saveResultRules();
+            updatePanel();
+            applyResultRules();
+            showToast('Result rule removed', 'success');
+        }, 'removeResultRule');
     }
 
-    function createLanguageFilterSection(filterType, title, colors, icon, defaultValue) {
-        const isPersistent = persistenceSettings[filterType];
-        const isActive = currentFilters[filterType] !== defaultValue;
-        const sectionData = Object.entries(filters[filterType]);
-
+    function createQueryRulesSection(colors) {
         return `
-            <div class="filter-section">
-                ${createSectionHeader(title, icon, colors, isPersistent, isActive)}
-                <div class="filter-grid">
-                    ${sectionData.map(([code, filter]) =>
-                        createLanguageFilterOption(filterType, code, filter, colors)
-                    ).join('')}
+            <div class="filter-section" data-filter-type="queryRules">
+                <div class="section-header">
+                    ${createSectionTitle('Query Rules', 'filter', colors, false, queryRules.length > 0)}
+                    <button id="query-rule-form-toggle" class="btn btn-xs btn-ghost ${globalState.queryRuleFormOpen ? 'open' : ''}" title="Add a query rule">+</button>
+                </div>
+                ${globalState.queryRuleFormOpen ? createQueryRuleForm() : ''}
+                <div class="result-rule-list">
+                    ${queryRules.length === 0 ?
+                        '<div class="profile-empty">Pick filters automatically for queries matching keywords, a regex or a script</div>' :
+                        queryRules.map(rule => {
+                            const matchLabel = rule.matchType === 'script' ? QUERY_SCRIPTS[rule.pattern].name : rule.pattern;
+                            return `<div class="result-rule-item query-rule-item ${firedQueryRule?.rule.id === rule.id ? 'fired' : ''}">
+                                <span class="result-rule-action">${QUERY_RULE_MATCH_TYPES[rule.matchType]}</span>
+                                <span class="result-rule-pattern" title="${sanitizeHTML(matchLabel)} → ${sanitizeHTML(describeQueryRuleValues(rule))}">
+                                    ${sanitizeHTML(rule.name)} → ${sanitizeHTML(describeQueryRuleValues(rule))}
+                                </span>
+                                <button class="profile-action-btn remove-query-rule-btn" data-rule-id="${rule.id}" title="Remove rule">×</button>
+                            </div>`;
+                        }).join('')}
                 </div>
             </div>
         `;
     }
 
-    function createTimeFilterSection(filterType, title, colors) {
-        const isPersistent = persistenceSettings[filterType];
-        const hasTimeFilter = currentFilters[filterType] !== 'all';
-        const sectionData = Object.entries(filters[filterType]);
-
+    // The rule captures values from the current selection; changed filters start out ticked
+    function createQueryRuleForm() {
         return `
-            <div class="filter-section" data-filter-type="time">
-                <div class="section-header">
-                    ${createSectionTitle(title, 'clock', colors, isPersistent, hasTimeFilter)}
-                    <button id="clear-time-filter" class="btn btn-xs btn-warning clear-btn ${hasTimeFilter ? 'visible' : ''}" title="Clear time filter">
-                        ${getSVGIcon('x', 8, 'white')}
-                    </button>
+            <div class="time-custom-form open query-rule-form">
+                <div class="time-form-row">
+                    <label class="time-form-label">Name
+                        <input type="text" id="query-rule-name" class="time-form-input" maxlength="${CONFIG.MAX_PROFILE_NAME_LENGTH}" placeholder="Stack traces">
+                    </label>
+                    <label class="time-form-label">Match
+                        <select id="query-rule-match" class="time-form-input">
+                            ${Object.entries(QUERY_RULE_MATCH_TYPES).map(([matchType, label]) => `<option value="${matchType}">${label}</option>`).join('')}
+                        </select>
+                    </label>
                 </div>
-                <div class="time-controls">
-                    ${sectionData.slice(1).map(([code, filter]) => {
-                        const isActive = currentFilters[filterType] === code;
-                        return `<div class="time-filter ${isActive ? 'active' : ''}" data-type="${filterType}" data-value="${code}">
-                                    <span class="font-semibold">${filter.short}</span>
-                                </div>`;
+                <div class="time-form-row result-rule-pattern-row">
+                    <label class="time-form-label query-rule-pattern-field">Pattern
+                        <input type="text" id="query-rule-pattern" class="time-form-input" maxlength="${CONFIG.MAX_RULE_PATTERN_LENGTH}"
+                               placeholder="exception, traceback">
+                    </label>
+                    <label class="time-form-label query-rule-script-field" hidden>Script
+                        <select id="query-rule-script" class="time-form-input">
+                            ${Object.entries(QUERY_SCRIPTS).map(([script, { name }]) => `<option value="${script}">${name}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <div class="query-rule-filters">
+                    <div class="time-form-label">Sets (current selection)</div>
+                    ${Object.keys(currentFilters).map(filterType => {
+                        const value = currentFilters[filterType];
+                        const isDefault = value === getDefaultFilterValue(filterType);
+                        const valueName = getFilterData(filterType, value)?.name || (isDefault ? 'Default' : value);
+                        return `<label class="query-rule-filter">
+                                    <input type="checkbox" data-rule-filter="${filterType}" ${isDefault ? '' : 'checked'}>
+                                    <span>${getFilterName(filterType)}: ${sanitizeHTML(valueName)}</span>
+                                </label>`;
                     }).join('')}
                 </div>
+                <div class="time-form-actions">
+                    <button id="add-query-rule-btn" class="btn btn-xs btn-primary">Add Rule</button>
+                </div>
             </div>
         `;
     }
 
-    function createSiteFilterSection(filterType, title, colors) {
-        const isPersistent = persistenceSettings[filterType];
-        const hasSiteFilter = currentFilters.site !== 'all';
-        const sectionData = Object.entries(filters.site);
-        const defaultSites = ['reddit', 'github', 'eksisozluk', 'donanimhaber'];
-        const shouldScroll = sectionData.length > 5;
+    function toggleQueryRuleForm() {
+        globalState.queryRuleFormOpen = !globalState.queryRuleFormOpen;
+        updatePanel();
+
+        if (globalState.queryRuleFormOpen) {
+            document.getElementById('query-rule-name')?.focus();
+        }
+    }
+
+    // Script rules pick from a list instead of taking a typed pattern
+    function updateQueryRuleMatchFields(matchType) {
+        const patternField = document.querySelector('.query-rule-pattern-field');
+        const scriptField = document.querySelector('.query-rule-script-field');
+        if (patternField) patternField.hidden = matchType === 'script';
+        if (scriptField) scriptField.hidden = matchType !== 'script';
+    }
+
+    function addQueryRule() {
+        return safeExecute(() => {
+            if (queryRules.length >= CONFIG.MAX_QUERY_RULES) {
+                showToast('Maximum number of query rules reached', 'warning');
+                return;
+            }
+
+            const matchType = document.getElementById('query-rule-match')?.value;
+            const pattern = matchType === 'script' ?
+                document.getElementById('query-rule-script')?.value || '' :
+                (document.getElementById('query-rule-pattern')?.value || '').trim();
+            const selectedTypes = [...document.querySelectorAll('.query-rule-filter input:checked')].map(input => input.dataset.ruleFilter);
+
+            const rule = {
+                id: `q${Date.now().toString(36)}`,
+                name: (document.getElementById('query-rule-name')?.value || '').trim() || pattern.slice(0, CONFIG.MAX_PROFILE_NAME_LENGTH),
+                matchType,
+                pattern,
+                filters: Object.fromEntries(selectedTypes.map(filterType => [filterType, currentFilters[filterType]]))
+            };
+
+            if (!rule.pattern) {
+                showToast('Enter a pattern for the rule', 'warning');
+                return;
+            }
+
+            if (sanitizeHTML(rule.pattern) !== rule.pattern || sanitizeHTML(rule.name) !== rule.name) {
+                showToast('Invalid characters in rule', 'warning');
+                return;
+            }
+
+            if (matchType === 'regex' && !isValidRegexPattern(rule.pattern)) {
+                showToast('Invalid regular expression', 'warning');
+                return;
+            }
+
+            if (selectedTypes.length === 0) {
+                showToast('Tick at least one filter for the rule to set', 'warning');
+                return;
+            }
+
+            if (!isValidQueryRuleData(rule)) {
+                showToast('Invalid rule', 'warning');
+                return;
+            }
+
+            queryRules.push(rule);
+            saveQueryRules();
+            globalState.queryRuleFormOpen = false;
+            updatePanel();
+            showToast(`Query rule "${rule.name}" added`, 'success');
+        }, 'addQueryRule');
+    }
+
+    function removeQueryRule(ruleId) {
+        return safeExecute(() => {
+            const index = queryRules.findIndex(rule => rule.id === ruleId);
+            if (index === -1) {
+                showToast('Rule not found', 'warning');
+                return;
+            }
+
+            queryRules.splice(index, 1);
+            saveQueryRules();
+            updatePanel();
+            showToast('Query rule removed', 'success');
+        }, 'removeQueryRule');
+    }
 
+    function createSearchHistorySection(colors) {
         return `
-            <div class="filter-section" data-filter-type="site">
+            <div class="filter-section" data-filter-type="searchHistory">
                 <div class="section-header">
-                    ${createSectionTitle(title, 'location', colors, isPersistent, hasSiteFilter)}
-                    <div class="flex gap-1">
-                        <button id="clear-site-filter" class="btn btn-xs btn-warning clear-btn ${hasSiteFilter ? 'visible' : ''}" title="Clear site filter">
-                            ${getSVGIcon('x', 8, 'white')}
-                        </button>
-                        <button id="add-site-btn" class="btn btn-xs btn-ghost" title="Add new site">+</button>
-                    </div>
-                </div>
-                <div class="site-container ${shouldScroll ? 'scrollable' : ''} site-filters-container">
-                    ${sectionData.map(([code, filter]) =>
-                        createSiteFilterOption(code, filter, colors, defaultSites)
-                    ).join('')}
+                    ${createSectionTitle('Search History', 'clock', colors, false, searchHistoryEnabled)}
+                    ${searchHistory.length > 0 ? '<button id="purge-history-btn" class="btn btn-xs btn-ghost" title="Delete every recorded search">Purge</button>' : ''}
                 </div>
+                ${searchHistory.length > 0 ? `
+                    <input type="text" id="history-search" class="picker-search" placeholder="Search history..."
+                           value="${sanitizeHTML(globalState.historyQuery)}" autocomplete="off">
+                ` : ''}
+                <div class="history-list">${createHistoryList()}</div>
             </div>
         `;
     }
 
+    function getHistoryDayLabel(time) {
+        const day = new Date(time).setHours(0, 0, 0, 0);
+        const today = new Date().setHours(0, 0, 0, 0);
+        if (day === today) return 'Today';
+        if (day === today - 24 * 60 * 60 * 1000) return 'Yesterday';
+        return new Date(time).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+
+    // The filters that differ from the defaults, plus the tab when it isn't Web
+    function describeHistoryFilters(entry) {
+        return [
+            ...(entry.vertical === 'web' ? [] : [VERTICALS[entry.vertical].name]),
+            ...Object.entries(entry.filters)
+                .filter(([filterType, value]) => value !== getDefaultFilterValue(filterType))
+                .map(([filterType, value]) => getFilterData(filterType, value)?.short || value)
+        ].join(' · ');
+    }
+
+    function createHistoryList() {
+        if (searchHistory.length === 0) {
+            return `<div class="profile-empty">${searchHistoryEnabled ?
+                'Searches you run will show up here with their filters' :
+                'Turn on Search History in Persistence Settings to record searches'}</div>`;
+        }
+
+        const normalizedQuery = globalState.historyQuery.trim().toLowerCase();
+        const matches = searchHistory.filter(entry => !normalizedQuery ||
+            `${entry.query} ${describeHistoryFilters(entry)}`.toLowerCase().includes(normalizedQuery));
+        if (matches.length === 0) {
+            return '<div class="profile-empty">No matching searches</div>';
+        }
+
+        let lastDayLabel = null;
+        return matches.slice(0, CONFIG.MAX_HISTORY_SHOWN).map(entry => {
+            const dayLabel = getHistoryDayLabel(entry.time);
+            const dayHeader = dayLabel === lastDayLabel ? '' : `<div class="history-day">${dayLabel}</div>`;
+            const filterSummary = describeHistoryFilters(entry);
+            lastDayLabel = dayLabel;
+
+            return `${dayHeader}<div class="history-item" data-history-id="${entry.id}" title="Run again with these filters">
+                <span class="history-query">${sanitizeHTML(entry.query)}</span>
+                ${filterSummary ? `<span class="history-filters">${sanitizeHTML(filterSummary)}</span>` : ''}
+                <span class="history-time">${new Date(entry.time).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}</span>
+            </div>`;
+        }).join('');
+    }
+
+    // Typing in the search box only redraws the list so the input keeps focus
+    function updateHistoryList(query) {
+        globalState.historyQuery = query;
+        const historyList = document.querySelector('.history-list');
+        if (historyList) historyList.innerHTML = createHistoryList();
+    }
+
+    function toggleSearchHistory() {
+        searchHistoryEnabled = !searchHistoryEnabled;
+        storage.setItem('googleSearchHistoryEnabled', searchHistoryEnabled.toString());
+        updatePanel();
+        showToast(`Search history ${searchHistoryEnabled ? 'enabled' : 'disabled'}`, 'success');
+    }
+
+    function setHistoryRetention(days) {
+        if (!Object.prototype.hasOwnProperty.call(HISTORY_RETENTION_OPTIONS, days)) return;
+
+        historyRetention = days;
+        storage.setItem('googleSearchHistoryRetention', days);
+        if (pruneSearchHistory()) {
+            saveSearchHistory();
+            updatePanel();
+        }
+        showToast(`Searches are kept for ${HISTORY_RETENTION_OPTIONS[days]}`, 'success');
+    }
+
+    function purgeSearchHistory() {
+        if (!confirm(`Delete all ${searchHistory.length} recorded searches?`)) return;
+
+        searchHistory.length = 0;
+        globalState.historyQuery = '';
+        saveSearchHistory();
+        updatePanel();
+        showToast('Search history purged', 'success');
+    }
+
+    // Makes the entry's filters the current ones (saving those that persist, for the entry's tab) and searches again
+    function rerunHistoryEntry(entryId) {
+        return safeExecute(() => {
+            const entry = searchHistory.find(historyEntry => historyEntry.id === entryId);
+            if (!entry) {
+                showToast('Search not found', 'warning');
+                return;
+            }
+
+            const filterValues = Object.fromEntries(Object.keys(FILTER_DEFAULTS).map(filterType => {
+                const value = entry.filters[filterType];
+                return [filterType, isKnownFilterValue(filterType, value) ? value : getDefaultFilterValue(filterType)];
+            }));
+
+            const searchUrl = new URL('/search', window.location.origin);
+            searchUrl.searchParams.set('q', entry.query);
+            if (VERTICALS[entry.vertical].tbm) {
+                searchUrl.searchParams.set('tbm', VERTICALS[entry.vertical].tbm);
+            }
+            writeSearchParams(searchUrl.searchParams, compileSearchParams({ ...getFilterState(), filters: filterValues }, {
+                query: entry.query,
+                vertical: entry.vertical
+            }));
+
+            // The entry's filters apply to this search only, like one-off prefixes: the results page records it in
+            // the history and brings the saved filters back for the next search
+            writeFormSearch({
+                query: entry.query,
+                vertical: entry.vertical,
+                values: filterValues,
+                stickyTypes: [],
+                filters: filterValues
+            });
+            window.location.href = searchUrl.toString();
+        }, 'rerunHistoryEntry');
+    }
+
     function createSectionHeader(title, icon, colors, isPersistent, isActive) {
         return `<div class="section-header">${createSectionTitle(title, icon, colors, isPersistent, isActive)}</div>`;
     }
@@ -1432,8 +5038,7 @@
 
     function createLanguageFilterOption(filterType, code, filter, colors) {
         const isActive = currentFilters[filterType] === code;
-        const icon = (filter.icon === '🇹🇷' || filter.icon === '🇺🇸') ?
-            filter.icon : getSVGIcon(filter.icon, 14, isActive ? 'white' : colors.primary);
+        const icon = renderFilterIcon(filter.icon, 14, isActive ? 'white' : colors.primary);
 
         return `<div class="filter-option language-filter ${isActive ? 'active' : ''}" data-type="${filterType}" data-value="${code}">
             <div class="text-base">${icon}</div>
@@ -1443,7 +5048,7 @@
     }
 
     function createSiteFilterOption(code, filter, colors, defaultSites) {
-        const isActive = currentFilters.site === code;
+        const isActive = getSelectedSiteKeys().includes(code);
         const isCustomSite = !defaultSites.includes(code);
 
         return `<div class="filter-option site-filter ${isActive ? 'active' : ''}" data-type="site" data-value="${code}">
@@ -1462,7 +5067,7 @@
 
     function createLanguageRegionSection(colors) {
         const hasActiveLanguageFilters = (
-            currentFilters.searchLang !== 'all' ||
+            (currentFilters.searchLang !== 'all' && isFilterSupported('searchLang')) ||
             currentFilters.interfaceLang !== 'auto' ||
             currentFilters.region !== 'auto'
         );
@@ -1478,86 +5083,320 @@
                 </div>
 
                 <!-- Search Results Language Row -->
-                <div class="segment-row" data-filter-type="searchLang">
-                    <div class="segment-label-container">
-                        <div class="segment-label">Search Results</div>
-                        ${persistenceSettings.searchLang ? '<div class="persistent-badge segment-persistent-badge" title="This filter is persistently remembered">Persistent</div>' : ''}
-                    </div>
-                    <div class="segment-buttons">
-                        ${Object.entries(filters.searchLang).map(([code, filter]) => {
-                            const isActive = currentFilters.searchLang === code;
-                            return `
-                                <button class="segment-button ${isActive ? 'active' : ''}"
-                                        data-type="searchLang"
-                                        data-value="${code}"
-                                        title="${filter.name}">
-                                    <span class="flag-icon">
-                                        ${filter.icon === '🇹🇷' || filter.icon === '🇺🇸' ?
-                                          filter.icon :
-                                          getSVGIcon(filter.icon, 10, isActive ? 'white' : colors.textSoft)}
-                                    </span>
-                                    <span class="text-content">${filter.short}</span>
-                                </button>
-                            `;
-                        }).join('')}
+                ${isFilterSupported('searchLang') ? createSegmentRow('searchLang', 'Search Results', getSegmentEntries('searchLang'), colors) : ''}
+
+                <!-- Interface Language Row -->
+                ${createSegmentRow('interfaceLang', 'Interface', getSegmentEntries('interfaceLang'), colors)}
+
+                <!-- Geolocation Row -->
+                ${createSegmentRow('region', 'Geolocation', getSegmentEntries('region'), colors)}
+            </div>
+        `;
+    }
+
+    function createSearchBehaviorSection(colors) {
+        const behaviorTypes = ['verbatim', 'safeSearch', 'resultsPerPage', 'omitted', 'autocorrect'];
+        const hasActiveBehavior = behaviorTypes.some(filterType => currentFilters[filterType] !== getDefaultFilterValue(filterType));
+
+        return `
+            <div class="segment-control-container">
+                <div class="segment-control-header">
+                    <div class="segment-control-title">
+                        ${getSVGIcon('filter', 16, colors.textMuted)}
+                        <span>Search Behavior</span>
+                        ${hasActiveBehavior ? `<div class="status-dot"></div>` : ''}
                     </div>
                 </div>
 
-                <!-- Interface Language Row -->
-                <div class="segment-row" data-filter-type="interfaceLang">
+                ${behaviorTypes.map(filterType =>
+                    createSegmentRow(filterType, getFilterName(filterType), Object.entries(filters[filterType]), colors)
+                ).join('')}
+            </div>
+        `;
+    }
+
+    // Quick buttons for a picker-backed row: the default, pinned/recent values, and the current value if missing
+    function getSegmentEntries(filterType) {
+        const defaultValue = getDefaultFilterValue(filterType);
+        const values = [defaultValue, ...getQuickValues(filterType)];
+        if (!values.includes(currentFilters[filterType]) && isKnownFilterValue(filterType, currentFilters[filterType])) {
+            values.push(currentFilters[filterType]);
+        }
+        return values.map(value => [value, getFilterData(filterType, value)]).filter(([, filter]) => filter);
+    }
+
+    function createSegmentRow(filterType, label, entries, colors) {
+        const picker = pickerConfigs[filterType];
+        const isPickerOpen = globalState.openPicker === filterType;
+
+        return `
+                <div class="segment-row" data-filter-type="${filterType}">
                     <div class="segment-label-container">
-                        <div class="segment-label">Interface</div>
-                        ${persistenceSettings.interfaceLang ? '<div class="persistent-badge segment-persistent-badge" title="This filter is persistently remembered">Persistent</div>' : ''}
+                        <div class="segment-label">${label}</div>
+                        ${persistenceSettings[filterType] ? '<div class="persistent-badge segment-persistent-badge" title="This filter is persistently remembered">Persistent</div>' : ''}
                     </div>
                     <div class="segment-buttons">
-                        ${Object.entries(filters.interfaceLang).map(([code, filter]) => {
-                            const isActive = currentFilters.interfaceLang === code;
-                            return `
-                                <button class="segment-button ${isActive ? 'active' : ''}"
-                                        data-type="interfaceLang"
-                                        data-value="${code}"
-                                        title="${filter.name}">
-                                    <span class="flag-icon">
-                                        ${filter.icon === '🇹🇷' || filter.icon === '🇺🇸' ?
-                                          filter.icon :
-                                          getSVGIcon(filter.icon, 10, isActive ? 'white' : colors.textSoft)}
-                                    </span>
-                                    <span class="text-content">${filter.short}</span>
-                                </button>
-                            `;
-                        }).join('')}
+                        ${entries.map(([code, filter]) => createSegmentButton(filterType, code, filter, colors)).join('')}
+                        ${picker ? `
+                            <button class="segment-button picker-toggle ${isPickerOpen ? 'open' : ''}"
+                                    data-picker="${filterType}"
+                                    title="${picker.toggleTitle}">
+                                ${getSVGIcon('chevronDown', 10, colors.textSoft)}
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
+                ${picker ? createCatalogPicker(filterType, colors) : ''}
+        `;
+    }
 
-                <!-- Geolocation Row -->
-                <div class="segment-row" data-filter-type="region">
-                    <div class="segment-label-container">
-                        <div class="segment-label">Geolocation</div>
-                        ${persistenceSettings.region ? '<div class="persistent-badge segment-persistent-badge" title="This filter is persistently remembered">Persistent</div>' : ''}
-                    </div>
-                    <div class="segment-buttons">
-                        ${Object.entries(filters.region).map(([code, filter]) => {
-                            const isActive = currentFilters.region === code;
-                            return `
+    function createSegmentButton(filterType, code, filter, colors) {
+        const isActive = currentFilters[filterType] === code;
+        const icon = renderFilterIcon(filter.icon, 10, isActive ? 'white' : colors.textSoft);
+
+        return `
                                 <button class="segment-button ${isActive ? 'active' : ''}"
-                                        data-type="region"
+                                        data-type="${filterType}"
                                         data-value="${code}"
                                         title="${filter.name}">
-                                    <span class="flag-icon">
-                                        ${filter.icon === '🇹🇷' || filter.icon === '🇺🇸' ?
-                                          filter.icon :
-                                          getSVGIcon(filter.icon, 10, isActive ? 'white' : colors.textSoft)}
-                                    </span>
+                                    ${icon ? `<span class="flag-icon">${icon}</span>` : ''}
                                     <span class="text-content">${filter.short}</span>
                                 </button>
-                            `;
-                        }).join('')}
-                    </div>
+        `;
+    }
+
+    function renderFilterIcon(icon, size, color) {
+        if (!isValidNonEmptyString(icon)) return '';
+        // Anything that isn't a known SVG icon name is an emoji (e.g. a flag)
+        return getSVGIcon(icon, size, color) || icon;
+    }
+
+    // Searchable catalog pickers attached to segment rows, keyed by filter type
+    const pickerConfigs = {
+        searchLang: {
+            toggleTitle: 'More languages',
+            placeholder: 'Search languages...',
+            multi: true,
+            pinnable: true,
+            defaultQuickValues: DEFAULT_PINNED_SEARCH_LANGS,
+            getItems: () => SEARCH_LANGUAGES.map(({ code, name, native, icon }) => ({
+                value: code,
+                label: name,
+                sublabel: native,
+                icon: icon || '',
+                search: `${name} ${native} ${code}`
+            }))
+        },
+        region: {
+            toggleTitle: 'More countries',
+            placeholder: 'Search countries...',
+            multi: false,
+            pinnable: true,
+            defaultQuickValues: DEFAULT_PINNED_REGIONS,
+            getItems: () => COUNTRIES.map(({ code, name }) => ({
+                value: code.toLowerCase(),
+                label: name,
+                sublabel: code,
+                icon: getFlagEmoji(code),
+                search: `${name} ${code}`
+            }))
+        },
+        interfaceLang: {
+            toggleTitle: 'More interface languages',
+            placeholder: 'Search interface languages...',
+            multi: false,
+            pinnable: false,
+            defaultQuickValues: ['tr', 'en'],
+            getItems: () => INTERFACE_LANGUAGES.map(({ code, name }) => ({
+                value: code.toLowerCase(),
+                label: name,
+                sublabel: code,
+                icon: filters.interfaceLang[code.toLowerCase()].icon,
+                search: `${name} ${code}`
+            }))
+        }
+    };
+
+    // Pinnable pickers show pinned values as quick buttons, the others show recent selections
+    function getQuickValues(filterType) {
+        const picker = pickerConfigs[filterType];
+        if (!picker) return [];
+        return picker.pinnable ? loadPinnedValues(filterType) : loadRecentValues(filterType);
+    }
+
+    function getRecentStorageKey(filterType) {
+        return `googleSearchRecent${filterType.charAt(0).toUpperCase() + filterType.slice(1)}`;
+    }
+
+    function loadRecentValues(filterType) {
+        return safeExecute(() => {
+            const defaultValues = [...(pickerConfigs[filterType]?.defaultQuickValues || [])];
+            const stored = storage.getItem(getRecentStorageKey(filterType));
+            if (!stored) return defaultValues;
+
+            const parsed = JSON.parse(stored);
+            return Array.isArray(parsed) ?
+                parsed.filter(value => value !== getDefaultFilterValue(filterType) && filters[filterType][value]) : defaultValues;
+        }, 'loadRecentValues', []);
+    }
+
+    function recordRecentValue(filterType, value) {
+        return safeExecute(() => {
+            if (value === getDefaultFilterValue(filterType) || !filters[filterType][value]) return;
+
+            const recent = [value, ...loadRecentValues(filterType).filter(recentValue => recentValue !== value)];
+            storage.setItem(getRecentStorageKey(filterType), JSON.stringify(recent.slice(0, CONFIG.MAX_RECENT_INTERFACE_LANGS)));
+        }, 'recordRecentValue');
+    }
+
+    function getPinnedStorageKey(filterType) {
+        return `googleSearchPinned${filterType.charAt(0).toUpperCase() + filterType.slice(1)}`;
+    }
+
+    function loadPinnedValues(filterType) {
+        const picker = pickerConfigs[filterType];
+        if (!picker) return [];
+
+        return safeExecute(() => {
+            const stored = storage.getItem(getPinnedStorageKey(filterType));
+            if (!stored) return [...picker.defaultQuickValues];
+
+            const parsed = JSON.parse(stored);
+            return Array.isArray(parsed) ?
+                parsed.filter(value => value !== getDefaultFilterValue(filterType) && filters[filterType][value]) :
+                [...picker.defaultQuickValues];
+        }, 'loadPinnedValues', [...picker.defaultQuickValues]);
+    }
+
+    function savePinnedValues(filterType, values) {
+        return safeExecute(() => {
+            storage.setItem(getPinnedStorageKey(filterType), JSON.stringify(values));
+        }, 'savePinnedValues');
+    }
+
+    function createCatalogPicker(pickerType, colors) {
+        const picker = pickerConfigs[pickerType];
+        const isOpen = globalState.openPicker === pickerType;
+        const pinned = getQuickValues(pickerType);
+        const selected = isOpen && picker.multi ? globalState.pickerSelection : new Set([currentFilters[pickerType]]);
+
+        // Pinned entries first, then the rest of the catalog in its own order
+        const items = picker.getItems();
+        items.sort((a, b) => Number(pinned.includes(b.value)) - Number(pinned.includes(a.value)));
+
+        return `
+            <div class="catalog-picker ${isOpen ? 'open' : ''}" data-picker="${pickerType}">
+                <input type="text" class="picker-search" data-picker="${pickerType}" placeholder="${picker.placeholder}" autocomplete="off" spellcheck="false">
+                <div class="picker-list">
+                    ${items.map(item => createPickerItem(pickerType, item, selected.has(item.value), pinned.includes(item.value), colors)).join('')}
                 </div>
+                ${picker.multi ? `
+                    <div class="picker-footer">
+                        <span class="picker-count">${selected.size} selected</span>
+                        <div class="flex gap-1">
+                            <button class="btn btn-xs btn-ghost picker-clear-btn" data-picker="${pickerType}">Clear</button>
+                            <button class="btn btn-xs btn-primary picker-apply-btn" data-picker="${pickerType}">Apply</button>
+                        </div>
+                    </div>
+                ` : ''}
             </div>
         `;
     }
 
+    function createPickerItem(pickerType, item, isSelected, isPinned, colors) {
+        const icon = renderFilterIcon(item.icon, 12, colors.textSoft);
+
+        return `<div class="picker-item ${isSelected ? 'selected' : ''}" data-picker="${pickerType}" data-value="${item.value}"
+                     data-search="${sanitizeHTML(item.search.toLowerCase())}" title="${item.label}">
+            ${pickerConfigs[pickerType].multi ? '<span class="picker-check"></span>' : ''}
+            ${icon ? `<span class="picker-icon">${icon}</span>` : ''}
+            <span class="picker-label">${item.label}</span>
+            ${item.sublabel ? `<span class="picker-sublabel">${item.sublabel}</span>` : ''}
+            ${pickerConfigs[pickerType].pinnable ? `
+                <button class="picker-pin-btn ${isPinned ? 'pinned' : ''}" data-picker="${pickerType}" data-value="${item.value}"
+                        title="${isPinned ? 'Unpin from quick buttons' : 'Pin to quick buttons'}">${isPinned ? '★' : '☆'}</button>
+            ` : ''}
+        </div>`;
+    }
+
+    function togglePicker(pickerType) {
+        if (!pickerConfigs[pickerType]) return;
+
+        const isOpening = globalState.openPicker !== pickerType;
+        globalState.openPicker = isOpening ? pickerType : null;
+        globalState.pickerSelection = new Set(isOpening && pickerType === 'searchLang' ? parseSearchLangValue(currentFilters.searchLang) : []);
+
+        updatePanel();
+
+        if (isOpening) {
+            const searchInput = document.querySelector(`.picker-search[data-picker="${pickerType}"]`);
+            if (searchInput) searchInput.focus();
+        }
+    }
+
+    function togglePickerItem(pickerType, value) {
+        const picker = pickerConfigs[pickerType];
+        if (!picker || !filters[pickerType][value]) return;
+
+        if (!picker.multi) {
+            globalState.openPicker = null;
+            selectFilter(pickerType, value);
+            updatePanel();
+            return;
+        }
+
+        const selection = globalState.pickerSelection;
+        if (selection.has(value)) {
+            selection.delete(value);
+        } else {
+            selection.add(value);
+        }
+
+        const item = document.querySelector(`.picker-item[data-picker="${pickerType}"][data-value="${value}"]`);
+        if (item) item.classList.toggle('selected', selection.has(value));
+        updatePickerCount(pickerType);
+    }
+
+    function updatePickerCount(pickerType) {
+        const count = document.querySelector(`.catalog-picker[data-picker="${pickerType}"] .picker-count`);
+        if (count) count.textContent = `${globalState.pickerSelection.size} selected`;
+    }
+
+    function clearPickerSelection(pickerType) {
+        globalState.pickerSelection.clear();
+        document.querySelectorAll(`.picker-item[data-picker="${pickerType}"]`).forEach(item => item.classList.remove('selected'));
+        updatePickerCount(pickerType);
+    }
+
+    function applyPickerSelection(pickerType) {
+        if (pickerType !== 'searchLang') return;
+
+        const value = normalizeSearchLangCodes([...globalState.pickerSelection]);
+        globalState.openPicker = null;
+        globalState.pickerSelection = new Set();
+
+        selectFilter(pickerType, value);
+        updatePanel();
+    }
+
+    function togglePickerPin(pickerType, value) {
+        if (!pickerConfigs[pickerType]?.pinnable || !filters[pickerType][value]) return;
+
+        const pinned = loadPinnedValues(pickerType);
+        const isPinned = pinned.includes(value);
+        savePinnedValues(pickerType, isPinned ? pinned.filter(pinnedValue => pinnedValue !== value) : [...pinned, value]);
+
+        updatePanel();
+        showToast(`${getFilterData(pickerType, value).name} ${isPinned ? 'unpinned' : 'pinned'}`, 'success');
+    }
+
+    function filterPickerItems(pickerType, query) {
+        const normalizedQuery = query.trim().toLowerCase();
+        document.querySelectorAll(`.picker-item[data-picker="${pickerType}"]`).forEach(item => {
+            item.style.display = !normalizedQuery || item.dataset.search.includes(normalizedQuery) ? '' : 'none';
+        });
+    }
+
     function setupPanelEvents() {
         const panel = document.getElementById('filter-panel');
 
@@ -1565,6 +5404,14 @@
             // Handle filter selections (segment buttons, options, time filters)
             const filterElement = e.target.closest('.segment-button, .filter-option, .time-filter');
             if (filterElement?.dataset.type && filterElement?.dataset.value) {
+                if (filterElement.dataset.type === 'site' && (globalState.siteMultiSelect || e.ctrlKey || e.metaKey)) {
+                    if (globalState.siteMultiSelect) {
+                        toggleSiteSelection(filterElement.dataset.value);
+                    } else {
+                        toggleSiteMultiSelect(filterElement.dataset.value);
+                    }
+                    return;
+                }
                 selectFilter(filterElement.dataset.type, filterElement.dataset.value);
                 return;
             }
@@ -1575,8 +5422,58 @@
                 '#clear-filters': clearAllFilters,
                 '#clear-site-filter': clearSiteFilter,
                 '#clear-time-filter': clearTimeFilter,
+                '#clear-image-filter': clearImageFilter,
+                '.image-option': (el) => toggleImageOption(el.dataset.category, el.dataset.option),
                 '#add-site-btn': () => { e.stopPropagation(); e.preventDefault(); addCustomSite(); },
-                '#settings-toggle': () => { e.stopPropagation(); toggleSettingsCollapse(); }
+                '.profile-rename-btn': (el) => { e.stopPropagation(); renameProfile(el.dataset.profileId); },
+                '.profile-delete-btn': (el) => { e.stopPropagation(); deleteProfile(el.dataset.profileId); },
+                '.profile-chip[data-profile-id]': (el) => activateProfile(el.dataset.profileId),
+                '#add-profile-btn': () => { e.stopPropagation(); e.preventDefault(); createProfile(); },
+                '#site-multi-toggle': () => toggleSiteMultiSelect(),
+                '#apply-site-selection': applySiteSelection,
+                '#save-site-group-btn': () => { e.stopPropagation(); e.preventDefault(); saveSiteGroup(); },
+                '.site-group-delete-btn': (el) => { e.stopPropagation(); deleteSiteGroup(el.dataset.groupId); },
+                '.site-group-chip': (el) => selectFilter('site', `group:${el.dataset.groupId}`),
+                '#query-operator-form-toggle': toggleQueryOperatorForm,
+                '#save-query-operators-btn': saveQueryOperatorForm,
+                '#clear-query-operators': clearQueryOperators,
+                '#result-rule-form-toggle': toggleResultRuleForm,
+                '#add-result-rule-btn': addResultRule,
+                '.remove-result-rule-btn': (el) => { e.stopPropagation(); removeResultRule(el.dataset.ruleId); },
+                '#query-rule-form-toggle': toggleQueryRuleForm,
+                '#add-query-rule-btn': addQueryRule,
+                '.remove-query-rule-btn': (el) => { e.stopPropagation(); removeQueryRule(el.dataset.ruleId); },
+                '#prefix-alias-form-toggle': togglePrefixAliasForm,
+                '#add-prefix-alias-btn': addPrefixAlias,
+                '.remove-prefix-alias-btn': (el) => { e.stopPropagation(); removePrefixAlias(el.dataset.token); },
+                '#add-blocked-site-btn': () => { e.stopPropagation(); e.preventDefault(); addBlockedSite(); },
+                '.unblock-site-btn': (el) => { e.stopPropagation(); removeBlockedSite(el.dataset.domain); },
+                '.picker-toggle': (el) => togglePicker(el.dataset.picker),
+                '.time-form-toggle': (el) => toggleTimeForm(el.dataset.timeForm),
+                '#apply-time-range': applyCustomDateRange,
+                '#apply-time-relative': applyRelativeTimeWindow,
+                '.picker-pin-btn': (el) => { e.stopPropagation(); togglePickerPin(el.dataset.picker, el.dataset.value); },
+                '.picker-item': (el) => togglePickerItem(el.dataset.picker, el.dataset.value),
+                '.picker-clear-btn': (el) => clearPickerSelection(el.dataset.picker),
+                '.picker-apply-btn': (el) => applyPickerSelection(el.dataset.picker),
+                '#export-settings-btn': exportSettings,
+                '#import-settings-btn': () => document.getElementById('import-settings-file')?.click(),
+                '#merge-import-btn': () => applyPendingImport('merge'),
+                '#replace-import-btn': () => applyPendingImport('replace'),
+                '#cancel-import-btn': cancelPendingImport,
+                '#reset-settings-btn': resetSettings,
+                '#set-home-domain-btn': setHomeDomain,
+                '#clear-home-domain-btn': clearHomeDomain,
+                '#download-quarantine-btn': downloadQuarantine,
+                '#discard-quarantine-btn': discardQuarantine,
+                '#resume-enforcing-btn': resumeEnforcing,
+                '#purge-history-btn': purgeSearchHistory,
+                '.history-item': (el) => rerunHistoryEntry(el.dataset.historyId),
+                '#settings-toggle': () => { e.stopPropagation(); toggleSettingsCollapse(); },
+                '#keymap-toggle': () => { e.stopPropagation(); toggleKeymapCollapse(); },
+                '.keymap-key': (el) => startRecordingShortcut(el.dataset.actionId),
+                '.keymap-unbind-btn': (el) => setShortcut(el.dataset.actionId, ''),
+                '#reset-keymap-btn': resetKeymap
             };
 
             for (const [selector, handler] of Object.entries(buttonHandlers)) {
@@ -1591,14 +5488,50 @@
             const toggleSwitch = e.target.closest('.toggle-switch');
             if (toggleSwitch?.dataset.filter) {
                 const filterType = toggleSwitch.dataset.filter;
-                filterType === 'autoOpen' ? toggleAutoOpen() : togglePersistence(filterType);
+                if (filterType === 'autoOpen') {
+                    toggleAutoOpen();
+                } else if (filterType === 'searchHistory') {
+                    toggleSearchHistory();
+                } else {
+                    togglePersistence(filterType);
+                }
+            }
+        });
+
+        panel.addEventListener('input', (e) => {
+            const searchInput = e.target.closest('.picker-search');
+            if (searchInput?.dataset.picker) {
+                filterPickerItems(searchInput.dataset.picker, searchInput.value);
+            }
+
+            if (e.target.closest('.query-operator-form')) {
+                updateQueryOperatorPreview();
+            }
+
+            if (e.target.id === 'history-search') {
+                updateHistoryList(e.target.value);
+            }
+        });
+
+        panel.addEventListener('change', (e) => {
+            if (e.target.id === 'query-rule-match') {
+                updateQueryRuleMatchFields(e.target.value);
+            }
+
+            if (e.target.id === 'history-retention') {
+                setHistoryRetention(e.target.value);
+            }
+
+            if (e.target.id === 'import-settings-file') {
+                importSettingsFile(e.target.files[0]);
+                e.target.value = '';
             }
         });
     }
 
     function toggleAutoOpen() {
         autoOpenPanel = !autoOpenPanel;
-        localStorage.setItem('googleSearchAutoOpen', autoOpenPanel.toString());
+        storage.setItem('googleSearchAutoOpen', autoOpenPanel.toString());
 
         // Update only the specific toggle switch
         const toggleSwitch = document.querySelector('[data-filter="autoOpen"]');
@@ -1620,17 +5553,303 @@
         }
     }
 
+    function isBooleanString(value) {
+        return value === 'true' || value === 'false';
+    }
+
+    function isValidRecord(value, isValidEntry) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+               Object.entries(value).every(([key, entry]) => isValidNonEmptyString(key) && isValidEntry(entry));
+    }
+
+    function isValidStringArray(value) {
+        return Array.isArray(value) && value.every(isValidNonEmptyString);
+    }
+
+    // Every stored setting that travels with an export; json entries are stored stringified
+    function getSettingsEntries() {
+        const filterTypes = Object.keys(currentFilters);
+        const getVerticals = filterType => VERTICAL_FILTER_TYPES.includes(filterType) ?
+            Object.keys(VERTICALS).filter(vertical => isFilterSupported(filterType, vertical)) : ['web'];
+
+        return [
+            ...filterTypes.flatMap(filterType => getVerticals(filterType).map(vertical => ({
+                key: getStorageKey(filterType, vertical),
+                label: `${getFilterName(filterType)} value${vertical === 'web' ? '' : ` (${VERTICALS[vertical].name})`}`,
+                validate: isValidNonEmptyString
+            }))),
+            ...filterTypes.map(filterType => ({
+                key: getPersistStorageKey(filterType), label: `${getFilterName(filterType)} persistence`, validate: isBooleanString
+            })),
+            { key: 'googleSearchAutoOpen', label: 'Always open panel', validate: isBooleanString },
+            { key: 'googleSearchHistoryEnabled', label: 'Search history', validate: isBooleanString },
+            { key: 'googleSearchHistoryRetention', label: 'History retention', validate: value => Object.prototype.hasOwnProperty.call(HISTORY_RETENTION_OPTIONS, value) },
+            { key: 'googleSearchHomeDomain', label: 'Home domain', validate: value => normalizeGoogleHost(value) === value },
+            { key: 'googleSearchCustomSites', label: 'Custom sites', json: true, validate: value => isValidRecord(value, isValidSiteData) },
+            { key: 'googleSearchBlockedSites', label: 'Excluded sites', json: true, validate: value => Array.isArray(value) && value.every(isValidURL) },
+            { key: 'googleSearchSiteGroups', label: 'Site groups', json: true, validate: value => isValidRecord(value, isValidSiteGroupData) },
+            { key: 'googleSearchProfiles', label: 'Profiles', json: true, validate: value => isValidRecord(value, isValidProfileData) },
+            { key: 'googleSearchResultRules', label: 'Result rules', json: true, validate: value => Array.isArray(value) && value.every(isValidResultRuleData) },
+            { key: 'googleSearchQueryOperators', label: 'Query operators', json: true, validate: isValidQueryOperatorsData },
+            { key: 'googleSearchQueryRules', label: 'Query rules', json: true, validate: value => Array.isArray(value) && value.every(isValidQueryRuleData) },
+            { key: 'googleSearchRecentCommands', label: 'Recent commands', json: true, validate: isValidStringArray },
+            { key: 'googleSearchKeymap', label: 'Keyboard shortcuts', json: true, validate: value => isValidRecord(value, isValidShortcut) },
+            { key: 'googleSearchPrefixAliases', label: 'Prefix aliases', json: true, validate: value => isValidRecord(value, isValidNonEmptyString) && Object.keys(value).every(isValidPrefixAliasToken) },
+            { key: 'googleSearchUnenforcedFilters', label: 'Filters not enforced', json: true, validate: value => isValidRecord(value, isValidNonEmptyString) },
+            ...Object.keys(pickerConfigs).filter(filterType => pickerConfigs[filterType].pinnable).map(filterType => ({
+                key: getPinnedStorageKey(filterType), label: `Pinned ${getFilterName(filterType)}`, json: true, validate: isValidStringArray
+            })),
+            { key: getRecentStorageKey('interfaceLang'), label: `Recent ${getFilterName('interfaceLang')}`, json: true, validate: isValidStringArray }
+        ];
+    }
+
+    function readStoredSetting(entry) {
+        const stored = storage.getItem(entry.key);
+        if (stored === null) return undefined;
+        if (!entry.json) return stored;
+
+        try {
+            return JSON.parse(stored);
+        } catch {
+            return undefined;
+        }
+    }
+
+    function exportSettings() {
+        return safeExecute(() => {
+            const settings = {};
+            getSettingsEntries().forEach(entry => {
+                const value = readStoredSetting(entry);
+                if (value !== undefined) {
+                    settings[entry.key] = value;
+                }
+            });
+
+            const exportData = {
+                format: CONFIG.SETTINGS_FILE_FORMAT,
+                version: CONFIG.SETTINGS_FILE_VERSION,
+                exportedAt: new Date().toISOString(),
+                settings
+            };
+
+            downloadJSON(exportData, `google-search-filters-${toISODate(new Date())}.json`);
+            showToast(`Exported ${Object.keys(settings).length} settings`, 'success');
+        }, 'exportSettings');
+    }
+
+    function downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    function downloadQuarantine() {
+        return safeExecute(() => {
+            downloadJSON(stateDocument.quarantine, `google-search-filters-unreadable-${toISODate(new Date())}.json`);
+        }, 'downloadQuarantine');
+    }
+
+    function parseSettingsFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            return { error: 'File is not valid JSON' };
+        }
+
+        if (!data || data.format !== CONFIG.SETTINGS_FILE_FORMAT || typeof data.settings !== 'object' || data.settings === null) {
+            return { error: 'Not a settings export from this script' };
+        }
+
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return { error: 'Missing settings file version' };
+        }
+
+        if (data.version > CONFIG.SETTINGS_FILE_VERSION) {
+            return { error: 'Settings file is from a newer version of the script' };
+        }
+
+        // Reject the whole file rather than importing half of it
+        const settings = {};
+        for (const entry of getSettingsEntries()) {
+            if (!Object.prototype.hasOwnProperty.call(data.settings, entry.key)) continue;
+
+            const value = data.settings[entry.key];
+            if (!entry.validate(value)) {
+                return { error: `Invalid data in ${entry.label}` };
+            }
+            settings[entry.key] = value;
+        }
+
+        return { settings };
+    }
+
+    function describeSettingChange(entry, localValue, importedValue) {
+        if (importedValue === undefined) return { status: 'local', detail: 'only here' };
+        if (localValue === undefined) return { status: 'new', detail: 'new' };
+        if (JSON.stringify(localValue) === JSON.stringify(importedValue)) return { status: 'same', detail: 'unchanged' };
+
+        if (Array.isArray(importedValue) && Array.isArray(localValue)) {
+            const localItems = localValue.map(item => JSON.stringify(item));
+            const added = importedValue.filter(item => !localItems.includes(JSON.stringify(item))).length;
+            return { status: 'changed', detail: added > 0 ? `+${added} new` : 'reordered' };
+        }
+
+        if (entry.json && typeof importedValue === 'object') {
+            const importedKeys = Object.keys(importedValue);
+            const added = importedKeys.filter(key => !(key in localValue)).length;
+            const changed = importedKeys.filter(key => key in localValue &&
+                JSON.stringify(localValue[key]) !== JSON.stringify(importedValue[key])).length;
+            return { status: 'changed', detail: [added && `+${added} new`, changed && `${changed} changed`].filter(Boolean).join(', ') };
+        }
+
+        return { status: 'changed', detail: `${localValue} → ${importedValue}` };
+    }
+
+    function getImportDiff(settings) {
+        return getSettingsEntries()
+            .map(entry => {
+                const localValue = readStoredSetting(entry);
+                const importedValue = settings[entry.key];
+                if (localValue === undefined && importedValue === undefined) return null;
+                return { label: entry.label, ...describeSettingChange(entry, localValue, importedValue) };
+            })
+            .filter(Boolean);
+    }
+
+    function importSettingsFile(file) {
+        if (!file) return;
+
+        file.text().then(text => {
+            const { settings, error } = parseSettingsFile(text);
+            if (error) {
+                showToast(error, 'warning');
+                return;
+            }
+
+            globalState.pendingImport = { settings, diff: getImportDiff(settings) };
+            globalState.settingsCollapsed = false;
+            updatePanel();
+        }).catch(error => {
+            console.warn('[Advanced Search] Failed to read settings file:', error);
+            showToast('Could not read settings file', 'warning');
+        });
+    }
+
+    function mergeSettingValue(key, localValue, importedValue) {
+        if (localValue === undefined) return importedValue;
+
+        if (Array.isArray(localValue) && Array.isArray(importedValue)) {
+            // Result and query rules are matched by id, plain lists by value
+            if (key === 'googleSearchResultRules' || key === 'googleSearchQueryRules') {
+                const importedIds = importedValue.map(rule => rule.id);
+                return [...localValue.filter(rule => !importedIds.includes(rule.id)), ...importedValue];
+            }
+            return [...new Set([...localValue, ...importedValue])];
+        }
+
+        if (typeof localValue === 'object' && typeof importedValue === 'object') {
+            return { ...localValue, ...importedValue };
+        }
+
+        return importedValue;
+    }
+
+    function applyPendingImport(mode) {
+        return safeExecute(() => {
+            const pending = globalState.pendingImport;
+            if (!pending) return;
+
+            if (mode === 'replace' && !confirm('Replace all current settings with the imported ones?')) {
+                return;
+            }
+
+            const writes = getSettingsEntries().map(entry => {
+                const importedValue = pending.settings[entry.key];
+                if (importedValue === undefined) {
+                    return mode === 'replace' ? storage.removeItem(entry.key) : null;
+                }
+
+                const value = mode === 'merge' ? mergeSettingValue(entry.key, readStoredSetting(entry), importedValue) : importedValue;
+                return storage.setItem(entry.key, entry.json ? JSON.stringify(value) : value);
+            });
+
+            globalState.pendingImport = null;
+            showToast(`Settings ${mode === 'merge' ? 'merged' : 'replaced'}, reloading`, 'success');
+
+            // Everything is read from storage at startup, so reloading once the writes are stored picks up the new state
+            Promise.all(writes).then(() => window.location.reload());
+        }, 'applyPendingImport');
+    }
+
+    function cancelPendingImport() {
+        globalState.pendingImport = null;
+        updatePanel();
+    }
+
+    function resetSettings() {
+        return safeExecute(() => {
+            if (!confirm('Reset all filters, sites, profiles and rules to their defaults?')) return;
+
+            const writes = [
+                updateStateDocument(state => {
+                    state.settings = {};
+                }),
+                deleteBackendValue(HISTORY_STORAGE_KEY)
+            ];
+            showToast('Settings reset to defaults, reloading', 'success');
+            Promise.all(writes).then(() => window.location.reload());
+        }, 'resetSettings');
+    }
+
+    function discardQuarantine() {
+        if (!confirm('Permanently discard the unreadable settings that were set aside?')) return;
+
+        updateStateDocument(state => {
+            state.quarantine = [];
+        });
+        updatePanel();
+    }
+
+    function createImportPreview() {
+        const pending = globalState.pendingImport;
+        if (!pending) return '';
+
+        return `
+            <div class="import-preview">
+                <div class="import-preview-title">Import preview</div>
+                ${pending.diff.length === 0 ? '<div class="profile-empty">The file contains no settings</div>' :
+                    pending.diff.map(row => `<div class="import-preview-row">
+                        <span class="import-preview-label">${sanitizeHTML(row.label)}</span>
+                        <span class="import-preview-status" data-status="${row.status}">${sanitizeHTML(row.detail)}</span>
+                    </div>`).join('')}
+                <div class="settings-note">Merge keeps settings that only exist here, Replace drops them</div>
+                <div class="import-preview-actions">
+                    <button id="cancel-import-btn" class="btn btn-xs btn-ghost">Cancel</button>
+                    <button id="replace-import-btn" class="btn btn-xs btn-ghost">Replace</button>
+                    <button id="merge-import-btn" class="btn btn-xs btn-primary">Merge</button>
+                </div>
+            </div>
+        `;
+    }
+
     function togglePersistence(filterType) {
         persistenceSettings[filterType] = !persistenceSettings[filterType];
-        localStorage.setItem(getPersistStorageKey(filterType), persistenceSettings[filterType].toString());
+        forgetSearchOverrides([filterType]);
+        storage.setItem(getPersistStorageKey(filterType), persistenceSettings[filterType].toString());
 
         if (!persistenceSettings[filterType]) {
-            const defaultValue = (filterType === 'interfaceLang' || filterType === 'region') ? 'auto' : 'all';
+            const defaultValue = getDefaultFilterValue(filterType);
             currentFilters[filterType] = defaultValue;
-            localStorage.removeItem(getStorageKey(filterType));
+            storage.removeItem(getStorageKey(filterType));
         } else {
             const currentValue = currentFilters[filterType];
-            localStorage.setItem(getStorageKey(filterType), currentValue);
+            storage.setItem(getStorageKey(filterType), currentValue);
         }
 
         // Update only the specific toggle switch instead of recreating entire panel
@@ -1711,26 +5930,28 @@
         }
 
         currentFilters[filterType] = value;
+        forgetSearchOverrides([filterType]);
 
         // Handle interface language changes with simple approach
         if (filterType === 'interfaceLang') {
             if (persistenceSettings[filterType]) {
-                localStorage.setItem(getStorageKey(filterType), value);
+                storage.setItem(getStorageKey(filterType), value);
             }
+            recordRecentValue(filterType, value);
             applyInterfaceLanguage(value);
             return;
         }
 
         if (filterType === 'region') {
             if (persistenceSettings[filterType]) {
-                localStorage.setItem(getStorageKey(filterType), value);
+                storage.setItem(getStorageKey(filterType), value);
             }
             applyRegionChange(value);
             return;
         }
 
         if (persistenceSettings[filterType]) {
-            localStorage.setItem(getStorageKey(filterType), value);
+            storage.setItem(getStorageKey(filterType), value);
         }
 
         updateButton();
@@ -1742,7 +5963,7 @@
             }, 200);
         }
 
-        const filterName = filters[filterType][value].name;
+        const filterName = getFilterData(filterType, value)?.name || value;
         showToast(`${filterName} selected`, 'success');
     }
 
@@ -1750,12 +5971,13 @@
         if (!hasActiveFilters()) return;
 
         // Clear ALL filters regardless of persistence settings
+        forgetSearchOverrides(Object.keys(currentFilters));
         Object.keys(currentFilters).forEach(filterType => {
-            const defaultValue = (filterType === 'interfaceLang' || filterType === 'region') ? 'auto' : 'all';
+            const defaultValue = getDefaultFilterValue(filterType);
             currentFilters[filterType] = defaultValue;
 
             if (persistenceSettings[filterType]) {
-                localStorage.setItem(getStorageKey(filterType), defaultValue);
+                storage.setItem(getStorageKey(filterType), defaultValue);
             }
 
             updateFilterSelection(filterType, defaultValue);
@@ -1773,10 +5995,7 @@
     }
 
     function hasActiveFilters() {
-        return Object.entries(currentFilters).some(([key, val]) => {
-            const defaultVal = (key === 'interfaceLang' || key === 'region') ? 'auto' : 'all';
-            return val !== defaultVal;
-        });
+        return Object.entries(currentFilters).some(([key, val]) => val !== getDefaultFilterValue(key) && isFilterSupported(key));
     }
 
     function togglePanel() {
@@ -1816,8 +6035,9 @@
         }
 
         const filterOptions = document.querySelectorAll(filterSelector);
+        const selectedSiteKeys = filterType === 'site' ? getSiteKeys(value) : [];
         filterOptions.forEach(option => {
-            const isActive = option.dataset.value === value;
+            const isActive = filterType === 'site' ? selectedSiteKeys.includes(option.dataset.value) : option.dataset.value === value;
             if (isActive) {
                 option.classList.add('active');
             } else {
@@ -1825,13 +6045,36 @@
             }
         });
 
+        if (filterType === 'site') {
+            document.querySelectorAll('.site-group-chip').forEach(chip => {
+                chip.classList.toggle('active', value === `group:${chip.dataset.groupId}`);
+            });
+        }
+
+        if (filterType === 'time') {
+            updateTimeCustomSummary(value);
+        }
+
         // Update status dots and clear buttons visibility
         updateSectionIndicators(filterType, value);
         updateClearButtons();
+        updateProfileSelection();
+    }
+
+    function updateProfileSelection() {
+        const activeProfileId = getMatchingProfileId();
+        // Site group chips share the chip styling; only profile chips carry a profile id
+        document.querySelectorAll('.profile-chip[data-profile-id]').forEach(chip => {
+            if (chip.dataset.profileId === activeProfileId) {
+                chip.classList.add('active');
+            } else {
+                chip.classList.remove('active');
+            }
+        });
     }
 
     function updateSectionIndicators(filterType, value) {
-        const isActive = (filterType === 'interfaceLang' || filterType === 'region') ? (value !== 'auto') : (value !== 'all');
+        const isActive = value !== getDefaultFilterValue(filterType);
         const sectionHeader = document.querySelector(`[data-type="${filterType}"]`)?.closest('.filter-section')?.querySelector('.section-header');
 
         if (sectionHeader) {
@@ -1872,9 +6115,7 @@
         // Update Clear All button
         const clearAllBtn = document.getElementById('clear-filters');
         const clearAllContainer = document.querySelector('.clear-all-container');
-        const hasActiveFilters = Object.entries(currentFilters).some(([key, val]) => {
-            return (key === 'interfaceLang' || key === 'region') ? (val !== 'auto') : (val !== 'all');
-        });
+        const hasActiveFilters = Object.entries(currentFilters).some(([key, val]) => val !== getDefaultFilterValue(key) && isFilterSupported(key));
 
         if (hasActiveFilters && !clearAllBtn) {
             // Need to add Clear All button
@@ -1896,8 +6137,8 @@
     function updatePanel() {
         const panel = document.getElementById('filter-panel');
         if (panel) {
+            // Delegated listeners live on the panel itself, so re-rendering must not bind them again
             panel.innerHTML = createPanelContent();
-            setupPanelEvents();
         }
     }
 
@@ -1911,6 +6152,8 @@
 
     function updateTheme() {
         safeExecute(() => {
+            injectResultRuleStyles();
+
             const panel = document.getElementById('filter-panel');
             if (panel) {
                 const dark = isDarkMode();
@@ -1938,7 +6181,8 @@
         lastTimestamp: 0
     };
 
-    function showToast(message, type = 'info') {
+    // action ({ label, onClick }) adds a button and keeps the toast up longer
+    function showToast(message, type = 'info', action = null) {
         if (!isValidNonEmptyString(message)) return;
 
         safeExecute(() => {
@@ -1961,9 +6205,21 @@
                 background: ${bgColor}; color: white; padding: 10px 20px; border-radius: 20px; font-size: 13px;
                 font-family: -apple-system, BlinkMacSystemFont, "Google Sans", Roboto, sans-serif; font-weight: 500;
                 z-index: ${10001 + activeCount}; opacity: 0; transition: all ${CONFIG.ANIMATION_DURATION}ms cubic-bezier(0.16, 1, 0.3, 1);
-                box-shadow: 0 6px 24px rgba(0,0,0,0.2); pointer-events: none; backdrop-filter: blur(8px); max-width: 90vw; text-align: center;`;
+                box-shadow: 0 6px 24px rgba(0,0,0,0.2); pointer-events: ${action ? 'auto' : 'none'}; backdrop-filter: blur(8px); max-width: 90vw; text-align: center;`;
             toast.textContent = sanitizedMessage;
 
+            if (action) {
+                const actionButton = document.createElement('button');
+                actionButton.textContent = action.label;
+                actionButton.style.cssText = `margin-left: 12px; padding: 3px 10px; border: 1px solid rgba(255,255,255,0.6); border-radius: 12px;
+                    background: transparent; color: white; font: inherit; font-size: 12px; cursor: pointer;`;
+                actionButton.addEventListener('click', () => {
+                    removeToast(toast);
+                    safeExecute(action.onClick, 'toastAction');
+                });
+                toast.appendChild(actionButton);
+            }
+
             if (!document.body) return;
 
             document.body.appendChild(toast);
@@ -1977,7 +6233,7 @@
             const timeoutId = setTimeout(() => {
                 removeToast(toast);
                 globalState.timeouts.delete(timeoutId);
-            }, CONFIG.TOAST_DURATION);
+            }, action ? CONFIG.TOAST_DURATION * 3 : CONFIG.TOAST_DURATION);
             globalState.timeouts.add(timeoutId);
 
         }, 'showToast');
@@ -2021,90 +6277,117 @@
         }, 'clearAllToasts');
     }
 
-    function isSearchPage() {
-        return window.location.pathname === '/search' && window.location.search.includes('q=');
+    function isGoogleHost(hostname) {
+        return CONFIG.GOOGLE_DOMAINS.includes(hostname.replace(/^www\./, ''));
+    }
+
+    function normalizeGoogleHost(value) {
+        const host = cleanURLDomain(value).toLowerCase();
+        const wwwHost = host.startsWith('www.') ? host : `www.${host}`;
+        return isGoogleHost(wwwHost) ? wwwHost : null;
     }
 
-    function formatSearchDate(date) {
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const year = date.getFullYear();
-        return `${month}/${day}/${year}`;
+    function getHomeDomain() {
+        return storage.getItem('googleSearchHomeDomain');
     }
 
-    function createTimeFilterValue(timeParam) {
-        if (timeParam.startsWith('custom:')) {
-            const customType = timeParam.split(':')[1];
-            if (customType === '2y') {
-                const today = new Date();
-                const twoYearsAgo = new Date();
-                twoYearsAgo.setFullYear(today.getFullYear() - 2);
+    // Keeps searches on one Google domain so a VPN exit country hopping domains doesn't change results
+    function redirectToHomeDomain() {
+        const homeDomain = getHomeDomain();
+        const { hostname, pathname } = window.location;
+        if (!homeDomain || hostname === homeDomain || !isGoogleHost(hostname)) return false;
+        if (!isSearchPage() && pathname !== '/' && pathname !== '/webhp') return false;
+
+        // Landing back here right after redirecting away means the home domain sends us back (a country redirect,
+        // a consent page): stay on this domain instead of bouncing between the two
+        const guard = readRedirectGuard();
+        const attempts = guard ? guard.attempts : 0;
+        if (attempts >= CONFIG.MAX_ENFORCE_REDIRECTS) {
+            writeRedirectGuard(null);
+            console.warn(`[Advanced Search] ${homeDomain} keeps redirecting back to ${hostname}, staying here`);
+            return false;
+        }
+
+        const url = new URL(window.location.href);
+        url.hostname = homeDomain;
+        writeRedirectGuard({ attempts: attempts + 1, at: Date.now(), filters: ['homeDomain'] });
+        window.location.replace(url.href);
+        return true;
+    }
 
-                const startDate = formatSearchDate(twoYearsAgo);
-                const endDate = formatSearchDate(today);
+    function setHomeDomain() {
+        return safeExecute(() => {
+            const input = prompt('Always search on this Google domain (e.g. google.com):', window.location.hostname.replace(/^www\./, ''));
+            if (!isValidNonEmptyString(input)) return;
 
-                return `cdr:1,cd_min:${startDate},cd_max:${endDate}`;
+            const homeDomain = normalizeGoogleHost(input);
+            if (!homeDomain) {
+                showToast('Not a Google domain', 'warning');
+                return;
             }
-        }
-        return `qdr:${timeParam}`;
+
+            storage.setItem('googleSearchHomeDomain', homeDomain);
+            updatePanel();
+            showToast(`Searches will use ${homeDomain.replace(/^www\./, '')}`, 'success');
+            redirectToHomeDomain();
+        }, 'setHomeDomain');
     }
 
-    function applyFilters() {
-        const currentUrl = new URL(window.location.href);
-        const params = currentUrl.searchParams;
-        let searchQuery = params.get('q') || '';
-
-        // Clean existing site: queries from the search
-        const cleanQuery = searchQuery
-            .replace(/\s*site:\S+/g, '')
-            .replace(/\s+/g, ' ')
-            .trim();
-
-        // Add selected site filter
-        if (currentFilters.site !== 'all') {
-            const siteQuery = filters.site[currentFilters.site].query;
-            searchQuery = `${cleanQuery} ${siteQuery}`.trim();
-        } else {
-            searchQuery = cleanQuery;
-        }
+    function clearHomeDomain() {
+        storage.removeItem('googleSearchHomeDomain');
+        updatePanel();
+        showToast('Home domain cleared', 'success');
+    }
 
-        params.set('q', searchQuery);
+    function isSearchPage() {
+        return window.location.pathname === '/search' && window.location.search.includes('q=');
+    }
 
-        // Apply search language filter
-        if (currentFilters.searchLang !== 'all') {
-            params.set('lr', `lang_${currentFilters.searchLang}`);
-        } else {
-            params.delete('lr');
-        }
+    // applyFilters(), interceptSearchForm(), rewriteSearchUrl(), getUnsatisfiedFilters() and syncFiltersFromURL() all
+    // compile and parse through the codec, so they agree on every parameter
 
-        // Apply time filter
-        if (currentFilters.time !== 'all') {
-            params.set('tbs', createTimeFilterValue(filters.time[currentFilters.time].param));
-        } else {
-            params.delete('tbs');
-        }
+    function getFilterState() {
+        return {
+            filters: { ...currentFilters },
+            blockedSites: [...blockedSites],
+            operators: { ...queryOperators, phrases: [...queryOperators.phrases], excludes: [...queryOperators.excludes] }
+        };
+    }
 
-        // Apply interface language filter
-        if (currentFilters.interfaceLang !== 'auto') {
-            const interfaceData = filters.interfaceLang[currentFilters.interfaceLang];
-            if (interfaceData && interfaceData.googleLang) {
-                params.set('hl', interfaceData.googleLang);
-            }
-        } else {
-            params.delete('hl');
+    // State for a new search: values the last query rule or prefixes set are swapped back, a search on another tab
+    // takes that tab's own values, then the new query's rule applies
+    function getSearchFilterState(query, vertical = getSearchVertical()) {
+        const state = getFilterState();
+        Object.assign(state.filters, getOverriddenValues());
+        if (vertical !== getSearchVertical()) {
+            Object.assign(state.filters, getTabFilterValues(vertical));
         }
 
-        // Apply geolocation filter
-        if (currentFilters.region !== 'auto') {
-            const regionData = filters.region[currentFilters.region];
-            if (regionData && regionData.googleRegion) {
-                params.set('gl', regionData.googleRegion);
-            }
-        } else {
-            params.delete('gl');
-        }
+        const rule = findQueryRule(query);
+        if (rule) Object.assign(state.filters, getQueryRuleValues(rule));
+        return state;
+    }
+
+    function applyFilters(removedBlockedSites = [], removedOperatorTerms = []) {
+        const filteredUrl = buildFilteredUrl(removedBlockedSites, removedOperatorTerms);
+        recordSearch(new URL(filteredUrl).searchParams.get('q') || '', currentFilters, getSearchVertical());
+        window.location.href = filteredUrl;
+    }
+
+    function buildFilteredUrl(removedBlockedSites = [], removedOperatorTerms = []) {
+        const currentUrl = new URL(window.location.href);
+        const params = currentUrl.searchParams;
 
-        window.location.href = currentUrl.toString();
+        const searchParams = compileSearchParams(getFilterState(), {
+            query: params.get('q') || '',
+            tbs: params.get('tbs') || '',
+            vertical: getSearchVertical(currentUrl),
+            removedBlockedSites,
+            removedOperatorTerms
+        });
+        writeSearchParams(params, searchParams);
+
+        return currentUrl.toString();
     }
 
     function interceptSearchForm() {
@@ -2113,100 +6396,303 @@
 
         if (searchForm && !searchForm.hasAttribute('data-filter-intercepted')) {
             searchForm.setAttribute('data-filter-intercepted', 'true');
-            searchForm.addEventListener('submit', function(e) {
-                const searchInput = this.querySelector('input[name="q"]');
-                if (searchInput && currentFilters.site !== 'all') {
-                    const currentQuery = searchInput.value;
-                    const siteQuery = filters.site[currentFilters.site].query;
-
-                    if (!currentQuery.includes('site:')) {
-                        searchInput.value = `${currentQuery} ${siteQuery}`.trim();
-                    }
-                }
 
-                if (currentFilters.searchLang !== 'all') {
-                    const existingLr = this.querySelector('input[name="lr"]');
-                    if (existingLr) existingLr.remove();
-
-                    const lrInput = document.createElement('input');
-                    lrInput.type = 'hidden';
-                    lrInput.name = 'lr';
-                    lrInput.value = `lang_${currentFilters.searchLang}`;
-                    this.appendChild(lrInput);
+            // formdata fires for every way the form gets sent, including the form.submit() calls behind
+            // autocomplete suggestions, which never fire a submit event. It also fires whenever a script reads the
+            // form with new FormData(), so it only rewrites the params; see applyFormSearchForPage()
+            searchForm.addEventListener('formdata', (e) => {
+                const formData = e.formData;
+                const formUrl = new URL(`/search?${new URLSearchParams(formData)}`, window.location.href);
+                const vertical = getSearchVertical(formUrl);
+
+                // Prefixes (!gh, #week, ...) are taken out of the query and beat whatever a query rule picks
+                const prefixSearch = parseSearchPrefixes(formData.get('q') || '');
+                if (Object.keys(prefixSearch.values).length > 0) {
+                    formData.set('q', prefixSearch.query);
                 }
 
-                if (currentFilters.time !== 'all') {
-                    const existingTbs = this.querySelector('input[name="tbs"]');
-                    if (existingTbs) existingTbs.remove();
-
-                    const tbsInput = document.createElement('input');
-                    tbsInput.type = 'hidden';
-                    tbsInput.name = 'tbs';
-                    tbsInput.value = createTimeFilterValue(filters.time[currentFilters.time].param);
+                // site: terms typed into the box are only replaced when a site filter is active
+                const searchState = getSearchFilterState(prefixSearch.query);
+                Object.assign(searchState.filters, prefixSearch.values);
+                const searchParams = compileSearchParams(searchState, {
+                    query: prefixSearch.query,
+                    tbs: formData.get('tbs') || '',
+                    vertical,
+                    replaceSites: false
+                });
+                writeFormSearch({
+                    query: prefixSearch.query,
+                    vertical,
+                    values: prefixSearch.values,
+                    stickyTypes: prefixSearch.stickyTypes,
+                    filters: searchState.filters
+                });
 
-                    this.appendChild(tbsInput);
-                }
+                Object.entries(searchParams).forEach(([name, value]) => {
+                    if (value === null) {
+                        formData.delete(name);
+                    } else {
+                        formData.set(name, value);
+                    }
+                });
             });
         }
     }
 
-    function checkCurrentFilters(url) {
+    // Adds the filters to a search link without overriding what the link sets itself, so Google's own
+    // Tools links (which set tbs or lr on purpose) keep working
+    function rewriteSearchUrl(url) {
         const params = url.searchParams;
-        const query = params.get('q') || '';
-        const lr = params.get('lr') || '';
-        const tbs = params.get('tbs') || '';
-        const hl = params.get('hl') || '';
-        const gl = params.get('gl') || '';
+        const vertical = getSearchVertical(url);
+        const searchParams = compileSearchParams(getSearchFilterState(params.get('q') || '', vertical), {
+            query: params.get('q') || '',
+            tbs: params.get('tbs') || '',
+            vertical,
+            replaceSites: false
+        });
+
+        Object.entries(searchParams).forEach(([name, value]) => {
+            if (name === 'q') {
+                params.set(name, value);
+            } else if (value !== null && !params.has(name)) {
+                params.set(name, value);
+            }
+        });
+        return url;
+    }
 
-        if (currentFilters.site !== 'all') {
-            const expectedSite = filters.site[currentFilters.site].query;
-            if (!query.includes(expectedSite)) return false;
+    function getSearchLinkUrl(anchor) {
+        if (!anchor.getAttribute('href') || anchor.closest('#advanced-search-widget')) return null;
+        try {
+            const url = new URL(anchor.href, window.location.href);
+            return url.pathname === '/search' && url.searchParams.has('q') && isGoogleHost(url.hostname) ? url : null;
+        } catch {
+            return null;
         }
+    }
+
+    function rewriteSearchLink(anchor) {
+        const url = getSearchLinkUrl(anchor);
+        if (!url) return;
 
-        if (currentFilters.searchLang !== 'all') {
-            const expectedLr = `lang_${currentFilters.searchLang}`;
-            if (lr !== expectedLr) return false;
+        const rewrittenHref = rewriteSearchUrl(url).toString();
+        if (anchor.href !== rewrittenHref) {
+            anchor.href = rewrittenHref;
         }
+    }
 
-        if (currentFilters.time !== 'all') {
-            const timeParam = filters.time[currentFilters.time].param;
-            if (timeParam.startsWith('custom:')) {
-                const customType = timeParam.split(':')[1];
-                if (customType === '2y') {
-                    // For custom 2-year range, just check if tbs contains custom date range
-                    if (!tbs.startsWith('cdr:1,cd_min:')) return false;
-                }
+    // Related searches, "People also search for", pagination and tab links land with the filters already
+    // applied instead of loading once without them and again through enforceFilters()
+    function rewriteSearchLinks() {
+        return safeExecute(() => {
+            document.querySelectorAll('a[href*="/search"]').forEach(rewriteSearchLink);
+        }, 'rewriteSearchLinks');
+    }
+
+    const scheduleSearchLinkRewrite = debounce(rewriteSearchLinks);
+
+    function interceptSearchLinks() {
+        if (globalState.searchLinksIntercepted) return;
+        globalState.searchLinksIntercepted = true;
+
+        rewriteSearchLinks();
+
+        // Google swaps some hrefs on mousedown, so links are checked once more right before they are followed
+        const rewriteClickedLink = (e) => {
+            const anchor = e.target.closest?.('a[href]');
+            if (anchor) rewriteSearchLink(anchor);
+        };
+        addTrackedEventListener(document, 'click', rewriteClickedLink, true);
+        addTrackedEventListener(document, 'auxclick', rewriteClickedLink, true);
+    }
+
+    // Filters left at their default aren't enforced, so Google's own tools still work for a single search;
+    // the interface language and region are the exception, their default means "no hl/gl in the URL"
+    const URL_ENFORCED_DEFAULTS = ['interfaceLang', 'region'];
+
+    // Filter types (plus blockedSites/queryOperators for the query terms) the URL doesn't match,
+    // skipping any the user stopped enforcing
+    function getUnsatisfiedFilters(url) {
+        const vertical = getSearchVertical(url);
+        const query = url.searchParams.get('q') || '';
+        const urlFilters = parseSearchParams(url);
+        const unsatisfied = Object.entries(currentFilters).filter(([filterType, value]) => {
+            if (!isFilterSupported(filterType, vertical)) return false;
+            if (filterType === 'time' && value !== 'all' && !isTimeValueSupported(value, vertical)) return false;
+            if (value === getDefaultFilterValue(filterType) && !URL_ENFORCED_DEFAULTS.includes(filterType)) return false;
+
+            return !isSameFilterValue(filterType, value, urlFilters[filterType] ?? getDefaultFilterValue(filterType));
+        }).map(([filterType]) => filterType);
+
+        if (isFilterSupported('site', vertical)) {
+            if (!hasBlocklistOperators(query)) unsatisfied.push('blockedSites');
+            if (!hasOperatorTerms(query)) unsatisfied.push('queryOperators');
+        }
+
+        return unsatisfied.filter(filterType => !unenforcedFilters[filterType]);
+    }
+
+    // Redirects made to enforce filters in this tab. Landing on a URL that still fails right after one means
+    // Google strips or rewrites a parameter (hl, a regenerated date range, ...), so the loop is broken
+    const REDIRECT_GUARD_KEY = 'googleSearchRedirectGuard';
+
+    function readRedirectGuard() {
+        try {
+            const guard = JSON.parse(sessionStorage.getItem(REDIRECT_GUARD_KEY) || 'null');
+            return guard && Date.now() - guard.at < CONFIG.REDIRECT_GUARD_WINDOW ? guard : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function writeRedirectGuard(guard) {
+        try {
+            if (guard) {
+                sessionStorage.setItem(REDIRECT_GUARD_KEY, JSON.stringify(guard));
             } else {
-                const expectedTbs = `qdr:${timeParam}`;
-                if (tbs !== expectedTbs) return false;
+                sessionStorage.removeItem(REDIRECT_GUARD_KEY);
             }
+        } catch (error) {
+            console.warn('[Advanced Search] Redirect guard unavailable:', error);
         }
+    }
 
-        // Check interface language filter
-        if (currentFilters.interfaceLang !== 'auto') {
-            const interfaceData = filters.interfaceLang[currentFilters.interfaceLang];
-            if (interfaceData && interfaceData.googleLang) {
-                const expectedHl = interfaceData.googleLang;
-                if (hl !== expectedHl) return false;
-            }
-        } else {
-            // If filter is set to auto, URL should not have hl parameter
-            if (hl !== '') return false;
+    function getEnforcementLabel(filterType) {
+        return getFilterName(filterType) || { blockedSites: 'Site Exclusions', queryOperators: 'Query Operators' }[filterType] || filterType;
+    }
+
+    function describeEnforcementFailure(filterType, url) {
+        if (filterType === 'blockedSites' || filterType === 'queryOperators') {
+            return `${getEnforcementLabel(filterType)} were removed from the query`;
         }
 
-        // Check geolocation filter
-        if (currentFilters.region !== 'auto') {
-            const regionData = filters.region[currentFilters.region];
-            if (regionData && regionData.googleRegion) {
-                const expectedGl = regionData.googleRegion;
-                if (gl !== expectedGl) return false;
+        const describe = value => getFilterData(filterType, value)?.name || value;
+        const urlValue = parseSearchParams(url)[filterType];
+        return `${getEnforcementLabel(filterType)}: wanted ${describe(currentFilters[filterType])}, Google kept ${urlValue ? describe(urlValue) : 'none'}`;
+    }
+
+    // Re-applies filters the URL doesn't satisfy with a single history-replacing navigation;
+    // returns true when that navigation was started
+    function enforceFilters() {
+        return safeExecute(() => {
+            const currentUrl = new URL(window.location.href);
+            const failedFilters = getUnsatisfiedFilters(currentUrl);
+
+            if (failedFilters.length === 0) {
+                writeRedirectGuard(null);
+                return false;
             }
-        } else {
-            // If filter is set to auto, URL should not have gl parameter
-            if (gl !== '') return false;
+
+            const guard = readRedirectGuard();
+            const attempts = guard ? guard.attempts : 0;
+            const targetUrl = buildFilteredUrl();
+
+            // Nothing left to rewrite, or the last redirects didn't stick: reloading again would loop
+            if (targetUrl === currentUrl.toString() || attempts >= CONFIG.MAX_ENFORCE_REDIRECTS) {
+                writeRedirectGuard(null);
+                reportEnforcementLoop(failedFilters, currentUrl);
+                return false;
+            }
+
+            writeRedirectGuard({ attempts: attempts + 1, at: Date.now(), filters: failedFilters });
+            window.location.replace(targetUrl);
+            return true;
+        }, 'enforceFilters', false);
+    }
+
+    function reportEnforcementLoop(failedFilters, url) {
+        const reasons = Object.fromEntries(failedFilters.map(filterType => [filterType, describeEnforcementFailure(filterType, url)]));
+        console.warn('[Advanced Search] Stopped re-applying filters the URL keeps losing:', reasons);
+
+        const names = failedFilters.map(getEnforcementLabel).join(', ');
+        showToast(`Google keeps changing ${names}, stopped reloading`, 'warning', {
+            label: failedFilters.length === 1 ? 'Stop enforcing this filter' : 'Stop enforcing these filters',
+            onClick: () => stopEnforcing(reasons)
+        });
+    }
+
+    function stopEnforcing(reasons) {
+        Object.assign(unenforcedFilters, reasons);
+        saveUnenforcedFilters();
+        updatePanel();
+        showToast(`${Object.keys(reasons).map(getEnforcementLabel).join(', ')} no longer enforced`, 'success');
+    }
+
+    function resumeEnforcing() {
+        Object.keys(unenforcedFilters).forEach(filterType => delete unenforcedFilters[filterType]);
+        saveUnenforcedFilters();
+        updatePanel();
+        showToast('All filters are enforced again', 'success');
+    }
+
+    // Google changes the URL without reloading (tab switches, some result updates). The page's own history
+    // calls are wrapped so those changes re-sync the filters; popstate covers back/forward
+    let lastUrl = location.href;
+    let lastVertical = getSearchVertical();
+
+    const handleNavigation = debounce(() => {
+        safeExecute(() => {
+            if (location.href === lastUrl) return;
+            lastUrl = location.href;
+
+            restoreSearchOverrides();
+
+            // Tab-specific filters were loaded for the tab the page opened on; an in-page switch brings the new tab's own
+            const vertical = getSearchVertical();
+            if (vertical !== lastVertical) {
+                lastVertical = vertical;
+                loadFilterValues(VERTICAL_FILTER_TYPES);
+            }
+
+            applyFormSearchForPage();
+            applyQueryRuleForPage();
+            syncFiltersFromURL();
+            if (isSearchPage() && enforceFilters()) return;
+
+            interceptSearchForm();
+            rewriteSearchLinks();
+            observeResultChanges();
+            updatePosition();
+            updateButton();
+            updatePanel();
+            applyResultRules();
+        }, 'handleNavigation');
+    });
+
+    function hookHistoryNavigation() {
+        const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+        const pageHistory = pageWindow.history;
+
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = pageHistory[method];
+            const wrapped = function(...args) {
+                const result = original.apply(this, args);
+                handleNavigation();
+                return result;
+            };
+            // Firefox keeps the page and script worlds apart; exportFunction makes the wrapper callable by the page
+            pageHistory[method] = typeof exportFunction === 'function' ? exportFunction(wrapped, pageWindow) : wrapped;
+        });
+
+        addTrackedEventListener(window, 'popstate', handleNavigation);
+    }
+
+    // Only the results area is watched, for lazily loaded results and new search links
+    function observeResultChanges() {
+        if (globalState.mutationObserver) {
+            globalState.mutationObserver.disconnect();
         }
 
-        return true;
+        const resultsRoot = document.getElementById('main') || document.body;
+        if (!resultsRoot) return;
+
+        globalState.mutationObserver = new MutationObserver(() => {
+            if (resultRules.length > 0) {
+                scheduleResultRules();
+            }
+            scheduleSearchLinkRewrite();
+        });
+        globalState.mutationObserver.observe(resultsRoot, { subtree: true, childList: true });
     }
 
     function init() {
@@ -2217,7 +6703,7 @@
             }
 
             // Only run on Google search pages
-            if (!window.location.hostname.includes('google.')) {
+            if (!isGoogleHost(window.location.hostname)) {
                 console.log('[Advanced Search] Not a Google domain, skipping initialization');
                 return;
             }
@@ -2241,20 +6727,34 @@
             // Wait for Google's interface to load with timeout protection
             const timeoutId = setTimeout(() => {
                 safeExecute(() => {
+                    // Prefix and query rule overrides are noted before the URL is synced and enforced
+                    applyFormSearchForPage();
+                    applyQueryRuleForPage();
                     createWidget();
                     setupResponsiveHandlers();
 
-                    if (isSearchPage()) {
-                        const currentUrl = new URL(window.location.href);
-                        const hasCorrectFilters = checkCurrentFilters(currentUrl);
+                    if (quarantinedThisSession > 0) {
+                        showToast(`${quarantinedThisSession} unreadable setting${quarantinedThisSession === 1 ? ' was' : 's were'} set aside, see Persistence Settings`, 'warning');
+                    }
+
+                    if (firedQueryRule) {
+                        showToast(`Rule "${firedQueryRule.rule.name}" applied: ${describeQueryRuleValues(firedQueryRule.rule)}`, 'info');
+                    }
 
-                        if (!hasCorrectFilters) {
-                            applyFilters();
-                            return;
-                        }
+                    if (firedPrefixes) {
+                        showToast(`For this search only: ${describeFilterValues(firedPrefixes.values)}`, 'info');
+                    }
+
+                    if (isSearchPage() && enforceFilters()) {
+                        return;
                     }
 
                     interceptSearchForm();
+                    interceptSearchLinks();
+                    observeResultChanges();
+                    hookHistoryNavigation();
+                    injectResultRuleStyles();
+                    applyResultRules();
 
                     // System is now ready - interface language changes are handled simply through URL parameters
                     console.log('[Advanced Search] Interface language system initialized with clean approach');
@@ -2290,24 +6790,18 @@
         }, 'setupResponsiveHandlers');
     }
 
-    // Initialize the script when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
-    }
+    // Initialize the script when DOM is ready, once settings are loaded from storage
+    initStorage()
+        .catch(error => console.warn('[Advanced Search] Failed to load userscript storage:', error))
+        .then(() => {
+            loadStoredState();
+            if (redirectToHomeDomain()) return;
 
-    // Handle URL changes for single-page app navigation
-    let lastUrl = location.href;
-    new MutationObserver(() => {
-        const url = location.href;
-        if (url !== lastUrl) {
-            lastUrl = url;
-            setTimeout(() => {
-                interceptSearchForm();
-                updatePosition();
-            }, 200);
-        }
-    }).observe(document, { subtree: true, childList: true });
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', init);
+            } else {
+                init();
+            }
+        });
 
 })();
@@ -0,0 +1,1161 @@
+// Google Search Advanced Filters - search URL codec
+// Maps filter state to Google's q/lr/tbs/hl/gl/safe/num/filter/nfpr parameters and back. Nothing here touches the
+// DOM or the userscript's state: createFilterCatalog() builds the filter catalog, and the catalog and the clock are
+// handed to createSearchUrlCodec(), so the same code runs in the userscript (loaded with @require) and under Node
+// for the tests.
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GoogleSearchUrlCodec = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+    'use strict';
+
+    function isValidNonEmptyString(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    // Matches grouped (site:a OR site:b) blocks first, then lone site: tokens
+    const SITE_GROUP_PATTERN = /\(\s*site:[^\s()]+(?:\s+OR\s+site:[^\s()]+)*\s*\)/g;
+    const SITE_TOKEN_PATTERN = /(^|\s)site:([^\s()]+)/g;
+
+    // Units Google accepts in qdr:<unit><amount> (e.g. qdr:m6 = last 6 months)
+    const RELATIVE_TIME_UNITS = { h: 'hour', d: 'day', w: 'week', m: 'month', y: 'year' };
+
+    // Search tabs, detected from tbm (classic URLs) or udm (current ones), with the filters that apply on each
+    const VERTICALS = {
+        web: { name: 'Web', filters: ['searchLang', 'time', 'site'], timeRanges: true },
+        images: { name: 'Images', tbm: 'isch', udm: '2', filters: ['time', 'site', 'image'], timeRanges: false },
+        news: { name: 'News', tbm: 'nws', filters: ['searchLang', 'time', 'site'], timeRanges: true },
+        videos: { name: 'Videos', tbm: 'vid', udm: '7', filters: ['searchLang', 'time', 'site'], timeRanges: true },
+        shopping: { name: 'Shopping', tbm: 'shop', udm: '28', filters: [], timeRanges: false },
+        books: { name: 'Books', tbm: 'bks', udm: '36', filters: ['searchLang', 'site'], timeRanges: false }
+    };
+
+    // Filters that depend on the tab; the rest (interface language, region) apply everywhere
+    const VERTICAL_FILTER_TYPES = ['searchLang', 'time', 'site', 'image'];
+
+    // Image-only tbs options; colors other than gray/trans are sent as ic:specific,isc:<color>
+    const IMAGE_FILTER_OPTIONS = {
+        size: { param: 'isz', name: 'Size', options: { l: 'Large', m: 'Medium', i: 'Icon' } },
+        color: {
+            param: 'ic',
+            name: 'Color',
+            options: {
+                gray: 'B&W', trans: 'Clear', red: 'Red', orange: 'Orange', yellow: 'Yellow', green: 'Green',
+                teal: 'Teal', blue: 'Blue', purple: 'Purple', pink: 'Pink', white: 'White', black: 'Black', brown: 'Brown'
+            }
+        },
+        type: { param: 'itp', name: 'Type', options: { photo: 'Photo', clipart: 'Clip Art', lineart: 'Line Art', animated: 'GIF' } },
+        usage: { param: 'sur', name: 'Usage', options: { cl: 'Creative Commons', ol: 'Commercial' } }
+    };
+
+    const TIME_TBS_KEYS = ['qdr', 'cdr', 'cd_min', 'cd_max'];
+    const IMAGE_TBS_KEYS = ['isz', 'ic', 'isc', 'itp', 'sur'];
+
+    // Search behavior options that are plain URL parameters; verbatim lives in tbs as li:1
+    const SEARCH_BEHAVIOR_PARAMS = {
+        safeSearch: 'safe',
+        resultsPerPage: 'num',
+        omitted: 'filter',
+        autocorrect: 'nfpr'
+    };
+
+    function stripSiteOperators(query) {
+        return query
+            .replace(SITE_GROUP_PATTERN, ' ')
+            .replace(SITE_TOKEN_PATTERN, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function compileBlocklistQuery(domains) {
+        return domains.map(domain => `-site:${domain}`).join(' ');
+    }
+
+    // Removes only the -site: terms this script owns, so the user's own exclusions survive re-application
+    function stripBlocklistOperators(query, domains) {
+        return query
+            .replace(/(^|\s)-site:([^\s()]+)/g, (match, prefix, domain) => domains.includes(domain.toLowerCase()) ? ' ' : match)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function quoteOperatorValue(value) {
+        return /\s/.test(value) ? `"${value}"` : value;
+    }
+
+    function compileOperatorTerms(operators) {
+        return [
+            ...operators.phrases.map(phrase => `"${phrase}"`),
+            ...operators.excludes.map(word => `-${quoteOperatorValue(word)}`),
+            operators.filetype && `filetype:${operators.filetype}`,
+            operators.intitle && `intitle:${quoteOperatorValue(operators.intitle)}`,
+            operators.inurl && `inurl:${quoteOperatorValue(operators.inurl)}`,
+            operators.after && `after:${operators.after}`,
+            operators.before && `before:${operators.before}`
+        ].filter(Boolean);
+    }
+
+    // Removes whole terms only, so a word the user typed that merely contains a term is left alone
+    function stripOperatorTerms(query, terms) {
+        return terms
+            .reduce((result, term) => {
+                const source = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return result.replace(new RegExp(`(^|\\s)${source}(?=\\s|$)`, 'gi'), ' ');
+            }, query)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function parseSiteDomains(query) {
+        const groupMatch = query.match(SITE_GROUP_PATTERN);
+        const source = groupMatch ? groupMatch[0].replace(/[()]/g, ' ') : query;
+        return [...source.matchAll(SITE_TOKEN_PATTERN)].map(match => match[2].toLowerCase());
+    }
+
+    function isSameSiteSelection(siteKeysA, siteKeysB) {
+        const setB = new Set(siteKeysB);
+        return new Set(siteKeysA).size === setB.size && siteKeysA.every(key => setB.has(key));
+    }
+
+    // Custom date ranges are stored as range:<YYYY-MM-DD>:<YYYY-MM-DD>, either side may be open
+    function parseDateRangeValue(value) {
+        const match = /^range:(\d{4}-\d{2}-\d{2})?:(\d{4}-\d{2}-\d{2})?$/.exec(value || '');
+        if (!match || (!match[1] && !match[2])) return null;
+
+        const [start, end] = [match[1] || '', match[2] || ''];
+        if ((start && !parseISODate(start)) || (end && !parseISODate(end))) return null;
+        if (start && end && start > end) return null;
+
+        return { start, end };
+    }
+
+    function createDateRangeValue(start, end) {
+        return `range:${start || ''}:${end || ''}`;
+    }
+
+    function parseISODate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        const isValid = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+        return isValid ? date : null;
+    }
+
+    function toISODate(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function formatSearchDate(date) {
+        const month = date.getMonth() + 1;
+        const day = date.getDate();
+        const year = date.getFullYear();
+        return `${month}/${day}/${year}`;
+    }
+
+    function getSearchVertical(url) {
+        const tbm = url.searchParams.get('tbm');
+        const udm = url.searchParams.get('udm');
+        const match = Object.entries(VERTICALS).find(([, vertical]) =>
+            (tbm && vertical.tbm === tbm) || (udm && vertical.udm === udm));
+        return match ? match[0] : 'web';
+    }
+
+    function isFilterSupported(filterType, vertical) {
+        return !VERTICAL_FILTER_TYPES.includes(filterType) || VERTICALS[vertical].filters.includes(filterType);
+    }
+
+    // tbs is a comma-separated list of key:value pairs; order is kept so unrelated options survive a rewrite
+    function parseTbs(tbs) {
+        const entries = new Map();
+        (tbs || '').split(',').filter(Boolean).forEach(part => {
+            const separator = part.indexOf(':');
+            if (separator === -1) {
+                entries.set(part, '');
+            } else {
+                entries.set(part.slice(0, separator), part.slice(separator + 1));
+            }
+        });
+        return entries;
+    }
+
+    function composeTbs(entries) {
+        return [...entries].map(([key, value]) => value === '' ? key : `${key}:${value}`).join(',');
+    }
+
+    function getImageSelection(value) {
+        const entries = parseTbs(value === 'all' ? '' : value);
+        const color = entries.get('ic') === 'specific' ? entries.get('isc') : entries.get('ic');
+        return {
+            size: entries.get('isz') || null,
+            color: color || null,
+            type: entries.get('itp') || null,
+            usage: entries.get('sur') || null
+        };
+    }
+
+    function createImageFilterValue(selection) {
+        const entries = new Map();
+        Object.entries(IMAGE_FILTER_OPTIONS).forEach(([category, { param, options }]) => {
+            const option = selection[category];
+            if (!option || !options[option]) return;
+
+            if (category === 'color' && option !== 'gray' && option !== 'trans') {
+                entries.set(param, 'specific');
+                entries.set('isc', option);
+            } else {
+                entries.set(param, option);
+            }
+        });
+        return entries.size > 0 ? composeTbs(entries) : 'all';
+    }
+
+    function parseCustomDateRange(tbs) {
+        if (!isValidNonEmptyString(tbs) || !/(^|,)cdr:1(,|$)/.test(tbs)) return null;
+
+        const parseSearchDate = (dateStr) => {
+            const dateMatch = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(dateStr || '');
+            if (!dateMatch) return '';
+            const [, month, day, year] = dateMatch.map(Number);
+            const date = new Date(year, month - 1, day);
+            return date.getMonth() === month - 1 && date.getDate() === day ? toISODate(date) : '';
+        };
+
+        const start = parseSearchDate(tbs.match(/cd_min:([^,]*)/)?.[1]);
+        const end = parseSearchDate(tbs.match(/cd_max:([^,]*)/)?.[1]);
+        if (!start && !end) return null;
+        if (start && end && start > end) return null;
+
+        return { start, end };
+    }
+
+    function writeSearchParams(params, searchParams) {
+        Object.entries(searchParams).forEach(([name, value]) => {
+            if (value === null) {
+                params.delete(name);
+            } else {
+                params.set(name, value);
+            }
+        });
+    }
+
+    // Every language Google accepts in the lr parameter (lang_<code>)
+    const SEARCH_LANGUAGES = [
+        { code: 'af', name: 'Afrikaans', native: 'Afrikaans' },
+        { code: 'ar', name: 'Arabic', native: 'العربية' },
+        { code: 'hy', name: 'Armenian', native: 'Հայերեն' },
+        { code: 'be', name: 'Belarusian', native: 'Беларуская' },
+        { code: 'bg', name: 'Bulgarian', native: 'Български' },
+        { code: 'ca', name: 'Catalan', native: 'Català' },
+        { code: 'zh-CN', name: 'Chinese (Simplified)', native: '简体中文' },
+        { code: 'zh-TW', name: 'Chinese (Traditional)', native: '繁體中文' },
+        { code: 'hr', name: 'Croatian', native: 'Hrvatski' },
+        { code: 'cs', name: 'Czech', native: 'Čeština' },
+        { code: 'da', name: 'Danish', native: 'Dansk' },
+        { code: 'nl', name: 'Dutch', native: 'Nederlands' },
+        { code: 'en', name: 'English', native: 'English', icon: '🇺🇸' },
+        { code: 'eo', name: 'Esperanto', native: 'Esperanto' },
+        { code: 'et', name: 'Estonian', native: 'Eesti' },
+        { code: 'tl', name: 'Filipino', native: 'Filipino' },
+        { code: 'fi', name: 'Finnish', native: 'Suomi' },
+        { code: 'fr', name: 'French', native: 'Français' },
+        { code: 'de', name: 'German', native: 'Deutsch' },
+        { code: 'el', name: 'Greek', native: 'Ελληνικά' },
+        { code: 'iw', name: 'Hebrew', native: 'עברית' },
+        { code: 'hi', name: 'Hindi', native: 'हिन्दी' },
+        { code: 'hu', name: 'Hungarian', native: 'Magyar' },
+        { code: 'is', name: 'Icelandic', native: 'Íslenska' },
+        { code: 'id', name: 'Indonesian', native: 'Bahasa Indonesia' },
+        { code: 'it', name: 'Italian', native: 'Italiano' },
+        { code: 'ja', name: 'Japanese', native: '日本語' },
+        { code: 'ko', name: 'Korean', native: '한국어' },
+        { code: 'lv', name: 'Latvian', native: 'Latviešu' },
+        { code: 'lt', name: 'Lithuanian', native: 'Lietuvių' },
+        { code: 'no', name: 'Norwegian', native: 'Norsk' },
+        { code: 'fa', name: 'Persian', native: 'فارسی' },
+        { code: 'pl', name: 'Polish', native: 'Polski' },
+        { code: 'pt', name: 'Portuguese', native: 'Português' },
+        { code: 'ro', name: 'Romanian', native: 'Română' },
+        { code: 'ru', name: 'Russian', native: 'Русский' },
+        { code: 'sr', name: 'Serbian', native: 'Српски' },
+        { code: 'sk', name: 'Slovak', native: 'Slovenčina' },
+        { code: 'sl', name: 'Slovenian', native: 'Slovenščina' },
+        { code: 'es', name: 'Spanish', native: 'Español' },
+        { code: 'sw', name: 'Swahili', native: 'Kiswahili' },
+        { code: 'sv', name: 'Swedish', native: 'Svenska' },
+        { code: 'th', name: 'Thai', native: 'ไทย' },
+        { code: 'tr', name: 'Turkish', native: 'Türkçe', icon: '🇹🇷' },
+        { code: 'uk', name: 'Ukrainian', native: 'Українська' },
+        { code: 'vi', name: 'Vietnamese', native: 'Tiếng Việt' }
+    ];
+
+    // ISO 3166-1 alpha-2 countries accepted by Google's gl parameter
+    const COUNTRIES = [
+        { code: 'AF', name: 'Afghanistan' },
+        { code: 'AX', name: 'Åland Islands' },
+        { code: 'AL', name: 'Albania' },
+        { code: 'DZ', name: 'Algeria' },
+        { code: 'AS', name: 'American Samoa' },
+        { code: 'AD', name: 'Andorra' },
+        { code: 'AO', name: 'Angola' },
+        { code: 'AI', name: 'Anguilla' },
+        { code: 'AQ', name: 'Antarctica' },
+        { code: 'AG', name: 'Antigua and Barbuda' },
+        { code: 'AR', name: 'Argentina' },
+        { code: 'AM', name: 'Armenia' },
+        { code: 'AW', name: 'Aruba' },
+        { code: 'AU', name: 'Australia' },
+        { code: 'AT', name: 'Austria' },
+        { code: 'AZ', name: 'Azerbaijan' },
+        { code: 'BS', name: 'Bahamas' },
+        { code: 'BH', name: 'Bahrain' },
+        { code: 'BD', name: 'Bangladesh' },
+        { code: 'BB', name: 'Barbados' },
+        { code: 'BY', name: 'Belarus' },
+        { code: 'BE', name: 'Belgium' },
+        { code: 'BZ', name: 'Belize' },
+        { code: 'BJ', name: 'Benin' },
+        { code: 'BM', name: 'Bermuda' },
+        { code: 'BT', name: 'Bhutan' },
+        { code: 'BO', name: 'Bolivia' },
+        { code: 'BA', name: 'Bosnia and Herzegovina' },
+        { code: 'BW', name: 'Botswana' },
+        { code: 'BV', name: 'Bouvet Island' },
+        { code: 'BR', name: 'Brazil' },
+        { code: 'IO', name: 'British Indian Ocean Territory' },
+        { code: 'VG', name: 'British Virgin Islands' },
+        { code: 'BN', name: 'Brunei' },
+        { code: 'BG', name: 'Bulgaria' },
+        { code: 'BF', name: 'Burkina Faso' },
+        { code: 'BI', name: 'Burundi' },
+        { code: 'KH', name: 'Cambodia' },
+        { code: 'CM', name: 'Cameroon' },
+        { code: 'CA', name: 'Canada' },
+        { code: 'CV', name: 'Cape Verde' },
+        { code: 'BQ', name: 'Caribbean Netherlands' },
+        { code: 'KY', name: 'Cayman Islands' },
+        { code: 'CF', name: 'Central African Republic' },
+        { code: 'TD', name: 'Chad' },
+        { code: 'CL', name: 'Chile' },
+        { code: 'CN', name: 'China' },
+        { code: 'CX', name: 'Christmas Island' },
+        { code: 'CC', name: 'Cocos (Keeling) Islands' },
+        { code: 'CO', name: 'Colombia' },
+        { code: 'KM', name: 'Comoros' },
+        { code: 'CD', name: 'Congo (DRC)' },
+        { code: 'CG', name: 'Congo (Republic)' },
+        { code: 'CK', name: 'Cook Islands' },
+        { code: 'CR', name: 'Costa Rica' },
+        { code: 'CI', name: 'Côte d\'Ivoire' },
+        { code: 'HR', name: 'Croatia' },
+        { code: 'CU', name: 'Cuba' },
+        { code: 'CW', name: 'Curaçao' },
+        { code: 'CY', name: 'Cyprus' },
+        { code: 'CZ', name: 'Czechia' },
+        { code: 'DK', name: 'Denmark' },
+        { code: 'DJ', name: 'Djibouti' },
+        { code: 'DM', name: 'Dominica' },
+        { code: 'DO', name: 'Dominican Republic' },
+        { code: 'EC', name: 'Ecuador' },
+        { code: 'EG', name: 'Egypt' },
+        { code: 'SV', name: 'El Salvador' },
+        { code: 'GQ', name: 'Equatorial Guinea' },
+        { code: 'ER', name: 'Eritrea' },
+        { code: 'EE', name: 'Estonia' },
+        { code: 'SZ', name: 'Eswatini' },
+        { code: 'ET', name: 'Ethiopia' },
+        { code: 'FK', name: 'Falkland Islands' },
+        { code: 'FO', name: 'Faroe Islands' },
+        { code: 'FJ', name: 'Fiji' },
+        { code: 'FI', name: 'Finland' },
+        { code: 'FR', name: 'France' },
+        { code: 'GF', name: 'French Guiana' },
+        { code: 'PF', name: 'French Polynesia' },
+        { code: 'TF', name: 'French Southern Territories' },
+        { code: 'GA', name: 'Gabon' },
+        { code: 'GM', name: 'Gambia' },
+        { code: 'GE', name: 'Georgia' },
+        { code: 'DE', name: 'Germany' },
+        { code: 'GH', name: 'Ghana' },
+        { code: 'GI', name: 'Gibraltar' },
+        { code: 'GR', name: 'Greece' },
+        { code: 'GL', name: 'Greenland' },
+        { code: 'GD', name: 'Grenada' },
+        { code: 'GP', name: 'Guadeloupe' },
+        { code: 'GU', name: 'Guam' },
+        { code: 'GT', name: 'Guatemala' },
+        { code: 'GG', name: 'Guernsey' },
+        { code: 'GN', name: 'Guinea' },
+        { code: 'GW', name: 'Guinea-Bissau' },
+        { code: 'GY', name: 'Guyana' },
+        { code: 'HT', name: 'Haiti' },
+        { code: 'HM', name: 'Heard Island and McDonald Islands' },
+        { code: 'HN', name: 'Honduras' },
+        { code: 'HK', name: 'Hong Kong' },
+        { code: 'HU', name: 'Hungary' },
+        { code: 'IS', name: 'Iceland' },
+        { code: 'IN', name: 'India' },
+        { code: 'ID', name: 'Indonesia' },
+        { code: 'IR', name: 'Iran' },
+        { code: 'IQ', name: 'Iraq' },
+        { code: 'IE', name: 'Ireland' },
+        { code: 'IM', name: 'Isle of Man' },
+        { code: 'IL', name: 'Israel' },
+        { code: 'IT', name: 'Italy' },
+        { code: 'JM', name: 'Jamaica' },
+        { code: 'JP', name: 'Japan' },
+        { code: 'JE', name: 'Jersey' },
+        { code: 'JO', name: 'Jordan' },
+        { code: 'KZ', name: 'Kazakhstan' },
+        { code: 'KE', name: 'Kenya' },
+        { code: 'KI', name: 'Kiribati' },
+        { code: 'KW', name: 'Kuwait' },
+        { code: 'KG', name: 'Kyrgyzstan' },
+        { code: 'LA', name: 'Laos' },
+        { code: 'LV', name: 'Latvia' },
+        { code: 'LB', name: 'Lebanon' },
+        { code: 'LS', name: 'Lesotho' },
+        { code: 'LR', name: 'Liberia' },
+        { code: 'LY', name: 'Libya' },
+        { code: 'LI', name: 'Liechtenstein' },
+        { code: 'LT', name: 'Lithuania' },
+        { code: 'LU', name: 'Luxembourg' },
+        { code: 'MO', name: 'Macau' },
+        { code: 'MG', name: 'Madagascar' },
+        { code: 'MW', name: 'Malawi' },
+        { code: 'MY', name: 'Malaysia' },
+        { code: 'MV', name: 'Maldives' },
+        { code: 'ML', name: 'Mali' },
+        { code: 'MT', name: 'Malta' },
+        { code: 'MH', name: 'Marshall Islands' },
+        { code: 'MQ', name: 'Martinique' },
+        { code: 'MR', name: 'Mauritania' },
+        { code: 'MU', name: 'Mauritius' },
+        { code: 'YT', name: 'Mayotte' },
+        { code: 'MX', name: 'Mexico' },
+        { code: 'FM', name: 'Micronesia' },
+        { code: 'MD', name: 'Moldova' },
+        { code: 'MC', name: 'Monaco' },
+        { code: 'MN', name: 'Mongolia' },
+        { code: 'ME', name: 'Montenegro' },
+        { code: 'MS', name: 'Montserrat' },
+        { code: 'MA', name: 'Morocco' },
+        { code: 'MZ', name: 'Mozambique' },
+        { code: 'MM', name: 'Myanmar' },
+        { code: 'NA', name: 'Namibia' },
+        { code: 'NR', name: 'Nauru' },
+        { code: 'NP', name: 'Nepal' },
+        { code: 'NL', name: 'Netherlands' },
+        { code: 'NC', name: 'New Caledonia' },
+        { code: 'NZ', name: 'New Zealand' },
+        { code: 'NI', name: 'Nicaragua' },
+        { code: 'NE', name: 'Niger' },
+        { code: 'NG', name: 'Nigeria' },
+        { code: 'NU', name: 'Niue' },
+        { code: 'NF', name: 'Norfolk Island' },
+        { code: 'KP', name: 'North Korea' },
+        { code: 'MK', name: 'North Macedonia' },
+        { code: 'MP', name: 'Northern Mariana Islands' },
+        { code: 'NO', name: 'Norway' },
+        { code: 'OM', name: 'Oman' },
+        { code: 'PK', name: 'Pakistan' },
+        { code: 'PW', name: 'Palau' },
+        { code: 'PS', name: 'Palestine' },
+        { code: 'PA', name: 'Panama' },
+        { code: 'PG', name: 'Papua New Guinea' },
+        { code: 'PY', name: 'Paraguay' },
+        { code: 'PE', name: 'Peru' },
+        { code: 'PH', name: 'Philippines' },
+        { code: 'PN', name: 'Pitcairn Islands' },
+        { code: 'PL', name: 'Poland' },
+        { code: 'PT', name: 'Portugal' },
+        { code: 'PR', name: 'Puerto Rico' },
+        { code: 'QA', name: 'Qatar' },
+        { code: 'RE', name: 'Réunion' },
+        { code: 'RO', name: 'Romania' },
+        { code: 'RU', name: 'Russia' },
+        { code: 'RW', name: 'Rwanda' },
+        { code: 'BL', name: 'Saint Barthélemy' },
+        { code: 'SH', name: 'Saint Helena' },
+        { code: 'KN', name: 'Saint Kitts and Nevis' },
+        { code: 'LC', name: 'Saint Lucia' },
+        { code: 'MF', name: 'Saint Martin' },
+        { code: 'PM', name: 'Saint Pierre and Miquelon' },
+        { code: 'VC', name: 'Saint Vincent and the Grenadines' },
+        { code: 'WS', name: 'Samoa' },
+        { code: 'SM', name: 'San Marino' },
+        { code: 'ST', name: 'São Tomé and Príncipe' },
+        { code: 'SA', name: 'Saudi Arabia' },
+        { code: 'SN', name: 'Senegal' },
+        { code: 'RS', name: 'Serbia' },
+        { code: 'SC', name: 'Seychelles' },
+        { code: 'SL', name: 'Sierra Leone' },
+        { code: 'SG', name: 'Singapore' },
+        { code: 'SX', name: 'Sint Maarten' },
+        { code: 'SK', name: 'Slovakia' },
+        { code: 'SI', name: 'Slovenia' },
+        { code: 'SB', name: 'Solomon Islands' },
+        { code: 'SO', name: 'Somalia' },
+        { code: 'ZA', name: 'South Africa' },
+        { code: 'GS', name: 'South Georgia and the South Sandwich Islands' },
+        { code: 'KR', name: 'South Korea' },
+        { code: 'SS', name: 'South Sudan' },
+        { code: 'ES', name: 'Spain' },
+        { code: 'LK', name: 'Sri Lanka' },
+        { code: 'SD', name: 'Sudan' },
+        { code: 'SR', name: 'Suriname' },
+        { code: 'SJ', name: 'Svalbard and Jan Mayen' },
+        { code: 'SE', name: 'Sweden' },
+        { code: 'CH', name: 'Switzerland' },
+        { code: 'SY', name: 'Syria' },
+        { code: 'TW', name: 'Taiwan' },
+        { code: 'TJ', name: 'Tajikistan' },
+        { code: 'TZ', name: 'Tanzania' },
+        { code: 'TH', name: 'Thailand' },
+        { code: 'TL', name: 'Timor-Leste' },
+        { code: 'TG', name: 'Togo' },
+        { code: 'TK', name: 'Tokelau' },
+        { code: 'TO', name: 'Tonga' },
+        { code: 'TT', name: 'Trinidad and Tobago' },
+        { code: 'TN', name: 'Tunisia' },
+        { code: 'TR', name: 'Turkey' },
+        { code: 'TM', name: 'Turkmenistan' },
+        { code: 'TC', name: 'Turks and Caicos Islands' },
+        { code: 'TV', name: 'Tuvalu' },
+        { code: 'UM', name: 'U.S. Outlying Islands' },
+        { code: 'VI', name: 'U.S. Virgin Islands' },
+        { code: 'UG', name: 'Uganda' },
+        { code: 'UA', name: 'Ukraine' },
+        { code: 'AE', name: 'United Arab Emirates' },
+        { code: 'GB', name: 'United Kingdom' },
+        { code: 'US', name: 'United States' },
+        { code: 'UY', name: 'Uruguay' },
+        { code: 'UZ', name: 'Uzbekistan' },
+        { code: 'VU', name: 'Vanuatu' },
+        { code: 'VA', name: 'Vatican City' },
+        { code: 'VE', name: 'Venezuela' },
+        { code: 'VN', name: 'Vietnam' },
+        { code: 'WF', name: 'Wallis and Futuna' },
+        { code: 'EH', name: 'Western Sahara' },
+        { code: 'YE', name: 'Yemen' },
+        { code: 'ZM', name: 'Zambia' },
+        { code: 'ZW', name: 'Zimbabwe' }
+    ];
+
+    // Google interface locales accepted by the hl parameter, including regional variants
+    const INTERFACE_LANGUAGES = [
+        { code: 'af', name: 'Afrikaans' },
+        { code: 'ak', name: 'Akan' },
+        { code: 'sq', name: 'Albanian' },
+        { code: 'am', name: 'Amharic' },
+        { code: 'ar', name: 'Arabic' },
+        { code: 'hy', name: 'Armenian' },
+        { code: 'az', name: 'Azerbaijani' },
+        { code: 'eu', name: 'Basque' },
+        { code: 'be', name: 'Belarusian' },
+        { code: 'bem', name: 'Bemba' },
+        { code: 'bn', name: 'Bengali' },
+        { code: 'bh', name: 'Bihari' },
+        { code: 'bs', name: 'Bosnian' },
+        { code: 'br', name: 'Breton' },
+        { code: 'bg', name: 'Bulgarian' },
+        { code: 'ca', name: 'Catalan' },
+        { code: 'chr', name: 'Cherokee' },
+        { code: 'ny', name: 'Chichewa' },
+        { code: 'zh-HK', name: 'Chinese (Hong Kong)' },
+        { code: 'zh-CN', name: 'Chinese (Simplified)' },
+        { code: 'zh-TW', name: 'Chinese (Traditional)' },
+        { code: 'co', name: 'Corsican' },
+        { code: 'hr', name: 'Croatian' },
+        { code: 'cs', name: 'Czech' },
+        { code: 'da', name: 'Danish' },
+        { code: 'nl', name: 'Dutch' },
+        { code: 'en', name: 'English', icon: '🇺🇸' },
+        { code: 'en-GB', name: 'English (UK)' },
+        { code: 'eo', name: 'Esperanto' },
+        { code: 'et', name: 'Estonian' },
+        { code: 'ee', name: 'Ewe' },
+        { code: 'fo', name: 'Faroese' },
+        { code: 'tl', name: 'Filipino' },
+        { code: 'fi', name: 'Finnish' },
+        { code: 'fr', name: 'French' },
+        { code: 'fr-CA', name: 'French (Canada)' },
+        { code: 'fy', name: 'Frisian' },
+        { code: 'gaa', name: 'Ga' },
+        { code: 'gl', name: 'Galician' },
+        { code: 'ka', name: 'Georgian' },
+        { code: 'de', name: 'German' },
+        { code: 'el', name: 'Greek' },
+        { code: 'gn', name: 'Guarani' },
+        { code: 'gu', name: 'Gujarati' },
+        { code: 'ht', name: 'Haitian Creole' },
+        { code: 'ha', name: 'Hausa' },
+        { code: 'haw', name: 'Hawaiian' },
+        { code: 'iw', name: 'Hebrew' },
+        { code: 'hi', name: 'Hindi' },
+        { code: 'hu', name: 'Hungarian' },
+        { code: 'is', name: 'Icelandic' },
+        { code: 'ig', name: 'Igbo' },
+        { code: 'id', name: 'Indonesian' },
+        { code: 'ia', name: 'Interlingua' },
+        { code: 'ga', name: 'Irish' },
+        { code: 'it', name: 'Italian' },
+        { code: 'ja', name: 'Japanese' },
+        { code: 'jw', name: 'Javanese' },
+        { code: 'kn', name: 'Kannada' },
+        { code: 'kk', name: 'Kazakh' },
+        { code: 'km', name: 'Khmer' },
+        { code: 'rw', name: 'Kinyarwanda' },
+        { code: 'rn', name: 'Kirundi' },
+        { code: 'kg', name: 'Kongo' },
+        { code: 'ko', name: 'Korean' },
+        { code: 'kri', name: 'Krio' },
+        { code: 'ku', name: 'Kurdish' },
+        { code: 'ckb', name: 'Kurdish (Sorani)' },
+        { code: 'ky', name: 'Kyrgyz' },
+        { code: 'lo', name: 'Lao' },
+        { code: 'la', name: 'Latin' },
+        { code: 'lv', name: 'Latvian' },
+        { code: 'ln', name: 'Lingala' },
+        { code: 'lt', name: 'Lithuanian' },
+        { code: 'loz', name: 'Lozi' },
+        { code: 'lg', name: 'Luganda' },
+        { code: 'ach', name: 'Luo' },
+        { code: 'lb', name: 'Luxembourgish' },
+        { code: 'mk', name: 'Macedonian' },
+        { code: 'mg', name: 'Malagasy' },
+        { code: 'ms', name: 'Malay' },
+        { code: 'ml', name: 'Malayalam' },
+        { code: 'mt', name: 'Maltese' },
+        { code: 'mi', name: 'Maori' },
+        { code: 'mr', name: 'Marathi' },
+        { code: 'mfe', name: 'Mauritian Creole' },
+        { code: 'mo', name: 'Moldavian' },
+        { code: 'mn', name: 'Mongolian' },
+        { code: 'sr-ME', name: 'Montenegrin' },
+        { code: 'my', name: 'Myanmar (Burmese)' },
+        { code: 'ne', name: 'Nepali' },
+        { code: 'pcm', name: 'Nigerian Pidgin' },
+        { code: 'nso', name: 'Northern Sotho' },
+        { code: 'no', name: 'Norwegian' },
+        { code: 'nn', name: 'Norwegian (Nynorsk)' },
+        { code: 'oc', name: 'Occitan' },
+        { code: 'or', name: 'Odia' },
+        { code: 'om', name: 'Oromo' },
+        { code: 'ps', name: 'Pashto' },
+        { code: 'fa', name: 'Persian' },
+        { code: 'pl', name: 'Polish' },
+        { code: 'pt-BR', name: 'Portuguese (Brazil)' },
+        { code: 'pt-PT', name: 'Portuguese (Portugal)' },
+        { code: 'pa', name: 'Punjabi' },
+        { code: 'qu', name: 'Quechua' },
+        { code: 'ro', name: 'Romanian' },
+        { code: 'rm', name: 'Romansh' },
+        { code: 'nyn', name: 'Runyakitara' },
+        { code: 'ru', name: 'Russian' },
+        { code: 'gd', name: 'Scots Gaelic' },
+        { code: 'sr', name: 'Serbian' },
+        { code: 'sh', name: 'Serbo-Croatian' },
+        { code: 'st', name: 'Sesotho' },
+        { code: 'tn', name: 'Setswana' },
+        { code: 'crs', name: 'Seychellois Creole' },
+        { code: 'sn', name: 'Shona' },
+        { code: 'sd', name: 'Sindhi' },
+        { code: 'si', name: 'Sinhala' },
+        { code: 'sk', name: 'Slovak' },
+        { code: 'sl', name: 'Slovenian' },
+        { code: 'so', name: 'Somali' },
+        { code: 'es', name: 'Spanish' },
+        { code: 'es-419', name: 'Spanish (Latin America)' },
+        { code: 'su', name: 'Sundanese' },
+        { code: 'sw', name: 'Swahili' },
+        { code: 'sv', name: 'Swedish' },
+        { code: 'tg', name: 'Tajik' },
+        { code: 'ta', name: 'Tamil' },
+        { code: 'tt', name: 'Tatar' },
+        { code: 'te', name: 'Telugu' },
+        { code: 'th', name: 'Thai' },
+        { code: 'ti', name: 'Tigrinya' },
+        { code: 'to', name: 'Tongan' },
+        { code: 'lua', name: 'Tshiluba' },
+        { code: 'tum', name: 'Tumbuka' },
+        { code: 'tr', name: 'Turkish', icon: '🇹🇷' },
+        { code: 'tk', name: 'Turkmen' },
+        { code: 'tw', name: 'Twi' },
+        { code: 'uk', name: 'Ukrainian' },
+        { code: 'ur', name: 'Urdu' },
+        { code: 'ug', name: 'Uyghur' },
+        { code: 'uz', name: 'Uzbek' },
+        { code: 'vi', name: 'Vietnamese' },
+        { code: 'cy', name: 'Welsh' },
+        { code: 'wo', name: 'Wolof' },
+        { code: 'xh', name: 'Xhosa' },
+        { code: 'yi', name: 'Yiddish' },
+        { code: 'yo', name: 'Yoruba' },
+        { code: 'zu', name: 'Zulu' }
+    ];
+
+    function buildInterfaceLangFilters() {
+        const interfaceLangFilters = {
+            'auto': { name: 'Auto Detect', short: 'AUTO', icon: 'globe', googleLang: null, description: 'Google automatically detects interface language' }
+        };
+
+        INTERFACE_LANGUAGES.forEach(({ code, name, icon }) => {
+            // Regional variants (pt-BR, zh-TW) get the flag of their region subtag
+            const regionSubtag = code.split('-')[1];
+            interfaceLangFilters[code.toLowerCase()] = {
+                name: `${name} UI`,
+                short: code.toUpperCase(),
+                icon: icon || (regionSubtag && /^[A-Z]{2}$/.test(regionSubtag) ? getFlagEmoji(regionSubtag) : ''),
+                googleLang: code,
+                description: `Display Google interface in ${name}`
+            };
+        });
+
+        return interfaceLangFilters;
+    }
+
+    function getFlagEmoji(countryCode) {
+        // Regional indicator symbols: 'A' maps to U+1F1E6
+        return countryCode.toUpperCase().split('').map(char => String.fromCodePoint(0x1F1E6 + char.charCodeAt(0) - 65)).join('');
+    }
+
+    function buildRegionFilters() {
+        const regionFilters = {
+            'auto': { name: 'Auto Detect', short: 'AUTO', icon: 'globe', googleRegion: null, description: 'Google automatically detects your location' }
+        };
+
+        COUNTRIES.forEach(({ code, name }) => {
+            regionFilters[code.toLowerCase()] = {
+                name,
+                short: code,
+                icon: getFlagEmoji(code),
+                googleRegion: code,
+                description: `Show ${name}-specific results and local content`
+            };
+        });
+
+        return regionFilters;
+    }
+
+    function buildSearchLangFilters() {
+        const searchLangFilters = {
+            'all': { name: 'All Languages', short: 'ALL', icon: 'globe', description: 'Search results in any language' }
+        };
+
+        SEARCH_LANGUAGES.forEach(({ code, name, native, icon }) => {
+            searchLangFilters[code] = {
+                name: `${name} Only`,
+                short: code.toUpperCase(),
+                icon: icon || '',
+                native,
+                description: `Only ${name} language search results`
+            };
+        });
+
+        return searchLangFilters;
+    }
+
+    // A fresh copy on every call: the userscript adds custom sites to the site catalog in place
+    function createFilterCatalog() {
+        return {
+            searchLang: buildSearchLangFilters(),
+            interfaceLang: buildInterfaceLangFilters(),
+            region: buildRegionFilters(),
+            time: {
+                'all': { name: 'All Time', short: 'ALL', param: '' },
+                'day': { name: 'Today', short: 'TODAY', param: 'd' },
+                'week': { name: 'This Week', short: 'WEEK', param: 'w' },
+                'month': { name: 'This Month', short: 'MONTH', param: 'm' },
+                'year': { name: 'This Year', short: 'YEAR', param: 'y' },
+                '2year': { name: 'Last 2 Years', short: '2 YEARS', param: 'custom:2y' }
+            },
+            verbatim: {
+                'off': { name: 'Standard Matching', short: 'OFF', param: '' },
+                'on': { name: 'Verbatim', short: 'VERBATIM', param: '1' }
+            },
+            safeSearch: {
+                'auto': { name: 'Account SafeSearch', short: 'DEFAULT', param: '' },
+                'active': { name: 'SafeSearch On', short: 'SAFE', param: 'active' },
+                'off': { name: 'SafeSearch Off', short: 'UNFILTERED', param: 'off' }
+            },
+            resultsPerPage: {
+                'auto': { name: 'Default Results Per Page', short: 'AUTO', param: '' },
+                '20': { name: '20 Results Per Page', short: '20', param: '20' },
+                '50': { name: '50 Results Per Page', short: '50', param: '50' },
+                '100': { name: '100 Results Per Page', short: '100', param: '100' }
+            },
+            omitted: {
+                'off': { name: 'Hide Similar Results', short: 'HIDE', param: '' },
+                'on': { name: 'Show Omitted Results', short: 'ALL RESULTS', param: '0' }
+            },
+            autocorrect: {
+                'on': { name: 'Auto-correction', short: 'ON', param: '' },
+                'off': { name: 'No Auto-correction', short: 'AS TYPED', param: '1' }
+            },
+            site: {
+                'reddit': { name: 'Reddit', short: 'REDDIT', query: 'site:reddit.com', domain: 'reddit.com', icon: 'https://reddit.com/favicon.ico' },
+                'github': { name: 'GitHub', short: 'GITHUB', query: 'site:github.com', domain: 'github.com', icon: 'https://github.com/favicon.ico' },
+                'eksisozluk': { name: 'Ekşi Sözlük', short: 'EKŞİ', query: 'site:eksisozluk.com', domain: 'eksisozluk.com', icon: 'https://eksisozluk.com/favicon.ico' },
+                'donanimhaber': { name: 'DONANIMHABER', short: 'DH', query: 'site:forum.donanimhaber.com', domain: 'forum.donanimhaber.com', icon: 'https://donanimhaber.com/favicon.ico' }
+            }
+        };
+    }
+
+    // filters: the filter catalog (searchLang, interfaceLang, region, time, site, verbatim and the behavior options)
+    // siteGroups: saved site groups keyed by id
+    // Both are read live, so sites and groups added later are picked up. now() is the clock the 2-year preset uses.
+    function createSearchUrlCodec({ filters, siteGroups = {}, maxRelativeTimeAmount = 100, now = () => new Date() }) {
+        // Site values are a single key, several keys joined with '|', or group:<id>; missing sites are skipped
+        function getSiteKeys(value) {
+            if (!isValidNonEmptyString(value) || value === 'all') return [];
+
+            const keys = value.startsWith('group:') ?
+                (siteGroups[value.slice('group:'.length)]?.sites || []) :
+                value.split('|');
+            return [...new Set(keys)].filter(key => filters.site[key]);
+        }
+
+        function compileSiteQuery(value) {
+            const siteQueries = getSiteKeys(value).map(key => filters.site[key].query);
+            if (siteQueries.length <= 1) return siteQueries[0] || '';
+            return `(${siteQueries.join(' OR ')})`;
+        }
+
+        // Maps the site operators in a query back to a site value, preferring a saved group with the same sites
+        function parseSiteValue(query) {
+            const domains = parseSiteDomains(query);
+            if (domains.length === 0) return null;
+
+            const siteKeys = domains.map(domain =>
+                Object.keys(filters.site).find(key => filters.site[key].query.toLowerCase() === `site:${domain}`));
+            if (siteKeys.some(key => !key)) return null;
+
+            if (siteKeys.length === 1) return siteKeys[0];
+
+            const groupEntry = Object.entries(siteGroups).find(([id]) => isSameSiteSelection(getSiteKeys(`group:${id}`), siteKeys));
+            return groupEntry ? `group:${groupEntry[0]}` : siteKeys.join('|');
+        }
+
+        // Rolling windows are stored as last:<amount><unit> and recompiled to qdr: on every search
+        function parseRelativeTimeValue(value) {
+            const match = /^last:(\d{1,3})([hdwmy])$/.exec(value || '');
+            if (!match) return null;
+
+            const amount = Number(match[1]);
+            if (amount < 1 || amount > maxRelativeTimeAmount) return null;
+
+            return { amount, unit: match[2] };
+        }
+
+        function createRelativeTimeValue(amount, unit) {
+            // Single-unit windows already exist as presets (last:1w -> week)
+            const preset = amount === 1 && Object.entries(filters.time).find(([, data]) => data.param === unit);
+            return preset ? preset[0] : `last:${amount}${unit}`;
+        }
+
+        function parseRelativeTimeParam(timeParam) {
+            const match = /^([hdwmy])(\d{1,3})?$/.exec(timeParam || '');
+            if (!match) return null;
+
+            const value = createRelativeTimeValue(match[2] ? Number(match[2]) : 1, match[1]);
+            return parseRelativeTimeValue(value) || filters.time[value] ? value : null;
+        }
+
+        function getTimeFilterParam(value) {
+            if (parseRelativeTimeValue(value) || parseDateRangeValue(value)) return value;
+            return filters.time[value]?.param ?? '';
+        }
+
+        // Search language values are a single catalog code or several joined with '|' (OR-combined)
+        function parseSearchLangValue(value) {
+            if (!isValidNonEmptyString(value) || value === 'all') return [];
+            const langCodes = value.split('|').filter(code => code !== 'all' && filters.searchLang[code]);
+            return langCodes.length === value.split('|').length ? langCodes : [];
+        }
+
+        function normalizeSearchLangCodes(langCodes) {
+            const order = Object.keys(filters.searchLang);
+            const unique = [...new Set(langCodes)].filter(code => code !== 'all' && filters.searchLang[code]);
+            unique.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+            return unique.length > 0 ? unique.join('|') : 'all';
+        }
+
+        function createLanguageRestrictValue(value) {
+            return parseSearchLangValue(value).map(code => `lang_${code}`).join('|');
+        }
+
+        function parseLanguageRestrictValue(lr) {
+            if (!isValidNonEmptyString(lr)) return null;
+            const langCodes = lr.split('|').map(part => part.trim().replace(/^lang_/, ''));
+            const known = langCodes.filter(code => filters.searchLang[code] && code !== 'all');
+            return known.length === langCodes.length ? normalizeSearchLangCodes(known) : null;
+        }
+
+        // Tabs without custom ranges only understand the qdr: presets
+        function isTimeValueSupported(value, vertical) {
+            if (!isFilterSupported('time', vertical)) return false;
+            return VERTICALS[vertical].timeRanges || createTimeFilterValue(getTimeFilterParam(value)).startsWith('qdr:');
+        }
+
+        // The tbs pairs this script owns on a tab: the time filter, verbatim and, on Images, the image options
+        function getFilterTbs(vertical, filterValues) {
+            const entries = new Map();
+            if (filterValues.verbatim !== 'off') {
+                entries.set('li', filters.verbatim[filterValues.verbatim].param);
+            }
+            if (filterValues.time !== 'all' && isTimeValueSupported(filterValues.time, vertical)) {
+                parseTbs(createTimeFilterValue(getTimeFilterParam(filterValues.time))).forEach((value, key) => entries.set(key, value));
+            }
+            if (filterValues.image !== 'all' && isFilterSupported('image', vertical)) {
+                parseTbs(filterValues.image).forEach((value, key) => entries.set(key, value));
+            }
+            return entries;
+        }
+
+        // Replaces the time/image/verbatim pairs in an existing tbs and leaves everything else Google put there alone
+        function mergeFilterTbs(tbs, vertical, filterValues) {
+            const entries = parseTbs(tbs);
+            if (isFilterSupported('time', vertical)) TIME_TBS_KEYS.forEach(key => entries.delete(key));
+            if (isFilterSupported('image', vertical)) IMAGE_TBS_KEYS.forEach(key => entries.delete(key));
+            entries.delete('li');
+            getFilterTbs(vertical, filterValues).forEach((value, key) => entries.set(key, value));
+            return composeTbs(entries);
+        }
+
+        // hl is matched case-insensitively, falling back to the base language for unknown variants (en-US -> en)
+        function getInterfaceLangKey(googleLang) {
+            if (!isValidNonEmptyString(googleLang)) return null;
+            const langKey = googleLang.trim().toLowerCase().replace(/_/g, '-');
+            if (langKey !== 'auto' && filters.interfaceLang[langKey]) return langKey;
+
+            const baseLangKey = langKey.split('-')[0];
+            return baseLangKey !== 'auto' && filters.interfaceLang[baseLangKey] ? baseLangKey : null;
+        }
+
+        // gl is case-insensitive on Google's side; region keys are the lowercase ISO code
+        function getRegionKey(googleRegion) {
+            if (!isValidNonEmptyString(googleRegion)) return null;
+            const regionKey = googleRegion.trim().toLowerCase();
+            return regionKey !== 'auto' && filters.region[regionKey] ? regionKey : null;
+        }
+
+        function getTwoYearRange() {
+            const today = now();
+            const year = today.getFullYear() - 2;
+            const month = today.getMonth();
+            // Feb 29 has no match two years back: use the last day of that month instead of rolling over to Mar 1
+            const lastDay = new Date(year, month + 1, 0).getDate();
+            const twoYearsAgo = new Date(year, month, Math.min(today.getDate(), lastDay));
+            return { start: toISODate(twoYearsAgo), end: toISODate(today) };
+        }
+
+        function createTimeFilterValue(timeParam) {
+            if (timeParam.startsWith('last:')) {
+                const relative = parseRelativeTimeValue(timeParam);
+                if (relative) {
+                    return `qdr:${relative.unit}${relative.amount === 1 ? '' : relative.amount}`;
+                }
+            }
+
+            if (timeParam.startsWith('range:')) {
+                const range = parseDateRangeValue(timeParam);
+                const startDate = range?.start ? formatSearchDate(parseISODate(range.start)) : '';
+                const endDate = range?.end ? formatSearchDate(parseISODate(range.end)) : '';
+                return `cdr:1,cd_min:${startDate},cd_max:${endDate}`;
+            }
+
+            if (timeParam.startsWith('custom:')) {
+                const customType = timeParam.split(':')[1];
+                if (customType === '2y') {
+                    const { start, end } = getTwoYearRange();
+                    return createTimeFilterValue(createDateRangeValue(start, end));
+                }
+            }
+            return `qdr:${timeParam}`;
+        }
+
+        // Values that select the same thing compare equal (reddit|github vs. a group of the same sites, lr order)
+        function isSameFilterValue(filterType, valueA, valueB) {
+            if (filterType === 'site') {
+                return isSameSiteSelection(getSiteKeys(valueA), getSiteKeys(valueB));
+            }
+            if (filterType === 'searchLang') {
+                return normalizeSearchLangCodes(parseSearchLangValue(valueA)) === normalizeSearchLangCodes(parseSearchLangValue(valueB));
+            }
+            return valueA === valueB;
+        }
+
+        // Returns the value for every parameter the filters own on this tab, null meaning "remove it";
+        // query/tbs are the current values, whose unrelated terms and options are kept
+        function compileSearchParams(state, {
+            query = '',
+            tbs = '',
+            vertical = 'web',
+            replaceSites = true,
+            removedBlockedSites = [],
+            removedOperatorTerms = []
+        } = {}) {
+            const filterValues = state.filters;
+            const searchParams = {};
+
+            if (isFilterSupported('site', vertical)) {
+                // Our own site:, -site: and operator terms are stripped first so re-applying never duplicates them
+                const siteFreeQuery = replaceSites || filterValues.site !== 'all' ? stripSiteOperators(query) : query;
+                const operatorTerms = compileOperatorTerms(state.operators);
+                const cleanQuery = stripOperatorTerms(
+                    stripBlocklistOperators(siteFreeQuery, [...state.blockedSites, ...removedBlockedSites]),
+                    [...operatorTerms, ...removedOperatorTerms]
+                );
+
+                searchParams.q = [
+                    cleanQuery,
+                    compileSiteQuery(filterValues.site),
+                    compileBlocklistQuery(state.blockedSites),
+                    operatorTerms.join(' ')
+                ].filter(Boolean).join(' ');
+            }
+
+            if (isFilterSupported('searchLang', vertical)) {
+                searchParams.lr = filterValues.searchLang !== 'all' ? createLanguageRestrictValue(filterValues.searchLang) : null;
+            }
+
+            searchParams.tbs = mergeFilterTbs(tbs, vertical, filterValues) || null;
+            searchParams.hl = filters.interfaceLang[filterValues.interfaceLang]?.googleLang || null;
+            searchParams.gl = filters.region[filterValues.region]?.googleRegion || null;
+
+            Object.entries(SEARCH_BEHAVIOR_PARAMS).forEach(([filterType, paramName]) => {
+                searchParams[paramName] = filters[filterType][filterValues[filterType]]?.param || null;
+            });
+
+            return searchParams;
+        }
+
+        // The filter values a search URL sets; anything it says nothing about is left out
+        function parseSearchParams(url) {
+            const params = url.searchParams;
+            const [query, lr, tbs, hl, gl] = ['q', 'lr', 'tbs', 'hl', 'gl'].map(name => params.get(name) || '');
+            const vertical = getSearchVertical(url);
+            const tbsEntries = parseTbs(tbs);
+            const urlFilters = {};
+
+            if (hl) urlFilters.interfaceLang = getInterfaceLangKey(hl) || 'auto';
+            if (gl) urlFilters.region = getRegionKey(gl) || 'auto';
+
+            // Single site, OR-combined sites or a saved group
+            const siteValue = isFilterSupported('site', vertical) ? parseSiteValue(query) : null;
+            if (siteValue) urlFilters.site = siteValue;
+
+            // Single or OR-combined language restriction (lang_de|lang_en)
+            const langValue = lr && isFilterSupported('searchLang', vertical) ? parseLanguageRestrictValue(lr) : null;
+            if (langValue) urlFilters.searchLang = langValue;
+
+            if (isFilterSupported('image', vertical) && IMAGE_TBS_KEYS.some(key => tbsEntries.has(key))) {
+                urlFilters.image = createImageFilterValue(getImageSelection(tbs));
+            }
+
+            const timeValue = isFilterSupported('time', vertical) ? parseTimeTbs(tbs) : null;
+            if (timeValue) urlFilters.time = timeValue;
+
+            if (tbsEntries.get('li') === filters.verbatim.on.param) urlFilters.verbatim = 'on';
+
+            Object.entries(SEARCH_BEHAVIOR_PARAMS).forEach(([filterType, paramName]) => {
+                const paramValue = params.get(paramName);
+                const behaviorEntry = paramValue && Object.entries(filters[filterType]).find(([, data]) => data.param === paramValue);
+                if (behaviorEntry) urlFilters[filterType] = behaviorEntry[0];
+            });
+
+            return urlFilters;
+        }
+
+        // qdr: presets and rolling windows, or a cdr: date range (today's 2-year range maps back to its preset)
+        function parseTimeTbs(tbs) {
+            const tbsEntries = parseTbs(tbs);
+
+            if (tbsEntries.has('cdr')) {
+                const range = parseCustomDateRange(tbs);
+                if (!range) return null;
+
+                const twoYearRange = getTwoYearRange();
+                const isTwoYearPreset = range.start === twoYearRange.start && range.end === twoYearRange.end;
+                return isTwoYearPreset ? '2year' : createDateRangeValue(range.start, range.end);
+            }
+
+            if (tbsEntries.has('qdr')) {
+                const timeParam = tbsEntries.get('qdr');
+                const timeEntry = Object.entries(filters.time).find(([, data]) => data?.param === timeParam);
+                return timeEntry ? timeEntry[0] : parseRelativeTimeParam(timeParam);
+            }
+
+            return null;
+        }
+
+        return {
+            getSiteKeys,
+            compileSiteQuery,
+            parseSiteValue,
+            parseRelativeTimeValue,
+            createRelativeTimeValue,
+            parseRelativeTimeParam,
+            getTimeFilterParam,
+            parseSearchLangValue,
+            normalizeSearchLangCodes,
+            createLanguageRestrictValue,
+            parseLanguageRestrictValue,
+            isTimeValueSupported,
+            getFilterTbs,
+            mergeFilterTbs,
+            getInterfaceLangKey,
+            getRegionKey,
+            getTwoYearRange,
+            createTimeFilterValue,
+            isSameFilterValue,
+            compileSearchParams,
+            parseSearchParams,
+            parseTimeTbs
+        };
+    }
+
+    return {
+        SEARCH_LANGUAGES,
+        COUNTRIES,
+        INTERFACE_LANGUAGES,
+        getFlagEmoji,
+        createFilterCatalog,
+        createSearchUrlCodec,
+        SITE_GROUP_PATTERN,
+        SITE_TOKEN_PATTERN,
+        RELATIVE_TIME_UNITS,
+        VERTICALS,
+        VERTICAL_FILTER_TYPES,
+        IMAGE_FILTER_OPTIONS,
+        TIME_TBS_KEYS,
+        IMAGE_TBS_KEYS,
+        SEARCH_BEHAVIOR_PARAMS,
+        stripSiteOperators,
+        compileBlocklistQuery,
+        stripBlocklistOperators,
+        quoteOperatorValue,
+        compileOperatorTerms,
+        stripOperatorTerms,
+        parseSiteDomains,
+        isSameSiteSelection,
+        parseDateRangeValue,
+        createDateRangeValue,
+        parseISODate,
+        toISODate,
+        formatSearchDate,
+        getSearchVertical,
+        isFilterSupported,
+        parseTbs,
+        composeTbs,
+        getImageSelection,
+        createImageFilterValue,
+        parseCustomDateRange,
+        writeSearchParams
+    };
+});
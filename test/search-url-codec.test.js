@@ -0,0 +1,353 @@
+'use strict';
+
+// Round-trip tests for search-url-codec.js: every filter value compiled into a search URL must parse back to the
+// same value. The codec is DOM-free, so Node's own URL stands in for the page's location.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createFilterCatalog,
+    createSearchUrlCodec,
+    writeSearchParams,
+    createImageFilterValue,
+    isFilterSupported
+} = require('../search-url-codec.js');
+
+// The userscript's own catalog, plus a custom site the way loadCustomSites() adds one
+const filters = createFilterCatalog();
+filters.site.mdn = { name: 'MDN', short: 'MDN', query: 'site:developer.mozilla.org', domain: 'developer.mozilla.org' };
+
+const siteGroups = {
+    code: { name: 'Code', sites: ['github', 'mdn'] }
+};
+
+const DEFAULTS = {
+    searchLang: 'all',
+    interfaceLang: 'auto',
+    region: 'auto',
+    site: 'all',
+    time: 'all',
+    image: 'all',
+    verbatim: 'off',
+    safeSearch: 'auto',
+    resultsPerPage: 'auto',
+    omitted: 'off',
+    autocorrect: 'on'
+};
+
+const NO_OPERATORS = { phrases: [], excludes: [], filetype: '', intitle: '', inurl: '', after: '', before: '' };
+
+// 19 October 2026, local time
+const today = new Date(2026, 9, 19);
+const codec = createSearchUrlCodec({ filters, siteGroups, now: () => today });
+
+const VERTICAL_PARAMS = { web: '', images: '&udm=2', news: '&tbm=nws' };
+
+function createState(filterValues = {}, { blockedSites = [], operators = NO_OPERATORS } = {}) {
+    return { filters: { ...DEFAULTS, ...filterValues }, blockedSites, operators };
+}
+
+function compileUrl(state, { query = 'hello world', tbs = '', vertical = 'web', ...options } = {}) {
+    const url = new URL(`https://www.google.com/search?q=${encodeURIComponent(query)}${VERTICAL_PARAMS[vertical]}`);
+    if (tbs) url.searchParams.set('tbs', tbs);
+    writeSearchParams(url.searchParams, codec.compileSearchParams(state, {
+        query,
+        tbs,
+        vertical,
+        ...options
+    }));
+    return url;
+}
+
+function assertRoundTrip(filterType, value, vertical = 'web') {
+    const url = compileUrl(createState({ [filterType]: value }), { vertical });
+    const parsed = codec.parseSearchParams(url);
+    const parsedValue = parsed[filterType] ?? DEFAULTS[filterType];
+    assert.ok(
+        codec.isSameFilterValue(filterType, value, parsedValue),
+        `${filterType} ${value} on ${vertical} came back as ${parsedValue} (${url.search})`
+    );
+}
+
+describe('filter catalog', () => {
+    it('returns a fresh copy on every call', () => {
+        const catalog = createFilterCatalog();
+        catalog.site.example = { name: 'Example', short: 'EX', query: 'site:example.com' };
+        catalog.time.day.param = 'h';
+        assert.equal(createFilterCatalog().site.example, undefined);
+        assert.equal(createFilterCatalog().time.day.param, 'd');
+    });
+});
+
+describe('search languages', () => {
+    it('round-trips every language, single and OR-combined', () => {
+        Object.keys(filters.searchLang).forEach(value => assertRoundTrip('searchLang', value));
+        ['de|en', 'en|tr|zh-TW'].forEach(value => assertRoundTrip('searchLang', value));
+    });
+
+    it('compiles OR-combined languages to lr', () => {
+        const url = compileUrl(createState({ searchLang: 'en|de' }));
+        assert.equal(url.searchParams.get('lr'), 'lang_en|lang_de');
+    });
+
+    it('normalizes the lr order back to catalog order', () => {
+        const url = new URL('https://www.google.com/search?q=test&lr=lang_tr|lang_de');
+        assert.equal(codec.parseSearchParams(url).searchLang, 'de|tr');
+    });
+
+    it('ignores lr values with unknown languages', () => {
+        const url = new URL('https://www.google.com/search?q=test&lr=lang_de|lang_xx');
+        assert.equal(codec.parseSearchParams(url).searchLang, undefined);
+    });
+
+    it('leaves lr alone on tabs without a language filter', () => {
+        const url = compileUrl(createState({ searchLang: 'de' }), { vertical: 'images' });
+        assert.equal(url.searchParams.get('lr'), null);
+    });
+});
+
+describe('region', () => {
+    it('round-trips every region', () => {
+        Object.keys(filters.region).forEach(value => assertRoundTrip('region', value));
+    });
+
+    it('reads gl case-insensitively', () => {
+        const url = new URL('https://www.google.com/search?q=test&gl=jp');
+        assert.equal(codec.parseSearchParams(url).region, 'jp');
+    });
+
+    it('maps unknown regions to auto', () => {
+        const url = new URL('https://www.google.com/search?q=test&gl=XX');
+        assert.equal(codec.parseSearchParams(url).region, 'auto');
+    });
+});
+
+describe('interface language', () => {
+    it('round-trips every interface language, including regional variants', () => {
+        Object.keys(filters.interfaceLang).forEach(value => assertRoundTrip('interfaceLang', value));
+    });
+
+    it('compiles regional variants with their region subtag', () => {
+        assert.equal(compileUrl(createState({ interfaceLang: 'pt-br' })).searchParams.get('hl'), 'pt-BR');
+    });
+
+    it('matches hl variants case-insensitively and falls back to the base language', () => {
+        const parse = hl => codec.parseSearchParams(new URL(`https://www.google.com/search?q=test&hl=${hl}`)).interfaceLang;
+        assert.equal(parse('PT_br'), 'pt-br');
+        assert.equal(parse('zh-TW'), 'zh-tw');
+        assert.equal(parse('en-US'), 'en');
+        assert.equal(parse('xx'), 'auto');
+    });
+});
+
+describe('sites', () => {
+    it('round-trips single sites, OR-combined sites and groups', () => {
+        ['all', 'reddit', 'reddit|github', 'group:code'].forEach(value => assertRoundTrip('site', value));
+    });
+
+    it('compiles several sites to one OR group', () => {
+        const url = compileUrl(createState({ site: 'reddit|github' }));
+        assert.equal(url.searchParams.get('q'), 'hello world (site:reddit.com OR site:github.com)');
+    });
+
+    it('parses the sites of a saved group back to the group', () => {
+        const url = compileUrl(createState({ site: 'mdn|github' }));
+        assert.equal(codec.parseSearchParams(url).site, 'group:code');
+    });
+
+    it('replaces existing site: operators instead of adding to them', () => {
+        const url = compileUrl(createState({ site: 'github' }), { query: 'hooks (site:reddit.com OR site:mdn.io)' });
+        assert.equal(url.searchParams.get('q'), 'hooks site:github.com');
+    });
+
+    it('ignores site: operators for domains that are not in the catalog', () => {
+        const url = new URL('https://www.google.com/search?q=test+site%3Aexample.com');
+        assert.equal(codec.parseSearchParams(url).site, undefined);
+    });
+
+    it('round-trips sites on the Images tab', () => {
+        ['reddit', 'group:code'].forEach(value => assertRoundTrip('site', value, 'images'));
+    });
+});
+
+describe('time', () => {
+    it('round-trips every preset', () => {
+        Object.keys(filters.time).forEach(value => assertRoundTrip('time', value));
+    });
+
+    it('round-trips rolling windows', () => {
+        ['last:3d', 'last:6m', 'last:12h', 'last:100y'].forEach(value => assertRoundTrip('time', value));
+    });
+
+    it('compiles rolling windows to qdr: and single units to their preset', () => {
+        assert.equal(compileUrl(createState({ time: 'last:6m' })).searchParams.get('tbs'), 'qdr:m6');
+        assert.equal(codec.parseSearchParams(new URL('https://www.google.com/search?q=test&tbs=qdr:w1')).time, 'week');
+    });
+
+    it('rejects rolling windows over the limit', () => {
+        assert.equal(codec.parseSearchParams(new URL('https://www.google.com/search?q=test&tbs=qdr:d101')).time, undefined);
+    });
+
+    it('round-trips closed and open date ranges', () => {
+        ['range:2024-01-01:2024-02-29', 'range:2024-01-01:', 'range::2024-02-01'].forEach(value => assertRoundTrip('time', value));
+    });
+
+    it('compiles date ranges to cdr: with US dates', () => {
+        const url = compileUrl(createState({ time: 'range:2024-01-05:2024-02-29' }));
+        assert.equal(url.searchParams.get('tbs'), 'cdr:1,cd_min:1/5/2024,cd_max:2/29/2024');
+    });
+
+    it('compiles the 2-year preset from the clock it was given', () => {
+        const url = compileUrl(createState({ time: '2year' }));
+        assert.equal(url.searchParams.get('tbs'), 'cdr:1,cd_min:10/19/2024,cd_max:10/19/2026');
+    });
+
+    it('starts the 2-year preset on Feb 28 when run on Feb 29', () => {
+        const leapDayCodec = createSearchUrlCodec({ filters, siteGroups, now: () => new Date(2028, 1, 29) });
+        const url = new URL('https://www.google.com/search?q=test');
+        writeSearchParams(url.searchParams, leapDayCodec.compileSearchParams(createState({ time: '2year' }), {
+            query: 'test',
+            tbs: '',
+            vertical: 'web'
+        }));
+        assert.equal(url.searchParams.get('tbs'), 'cdr:1,cd_min:2/28/2026,cd_max:2/29/2028');
+    });
+
+    it('reads a 2-year range from another day back as a plain range', () => {
+        const url = new URL('https://www.google.com/search?q=test&tbs=cdr:1,cd_min:10/18/2024,cd_max:10/18/2026');
+        assert.equal(codec.parseSearchParams(url).time, 'range:2024-10-18:2026-10-18');
+    });
+
+    it('ignores invalid and reversed date ranges', () => {
+        const parse = tbs => codec.parseTimeTbs(tbs);
+        assert.equal(parse('cdr:1,cd_min:2/30/2024,cd_max:'), null);
+        assert.equal(parse('cdr:1,cd_min:3/1/2024,cd_max:2/1/2024'), null);
+    });
+
+    it('keeps presets on tabs without custom ranges and drops ranges there', () => {
+        assertRoundTrip('time', 'week', 'images');
+        assert.equal(codec.isTimeValueSupported('range:2024-01-01:', 'images'), false);
+        assert.equal(compileUrl(createState({ time: 'range:2024-01-01:' }), { vertical: 'images' }).searchParams.get('tbs'), null);
+    });
+});
+
+describe('image filters', () => {
+    const values = [
+        createImageFilterValue({ size: 'l' }),
+        createImageFilterValue({ color: 'gray' }),
+        createImageFilterValue({ color: 'red', type: 'photo' }),
+        createImageFilterValue({ size: 'm', color: 'trans', type: 'animated', usage: 'cl' })
+    ];
+
+    it('round-trips every combination on the Images tab', () => {
+        ['all', ...values].forEach(value => assertRoundTrip('image', value, 'images'));
+    });
+
+    it('sends specific colors as ic:specific,isc:<color>', () => {
+        assert.equal(values[2], 'ic:specific,isc:red,itp:photo');
+    });
+
+    it('is neither compiled nor parsed on the web tab', () => {
+        const url = compileUrl(createState({ image: values[0] }));
+        assert.equal(url.searchParams.get('tbs'), null);
+        assert.equal(codec.parseSearchParams(new URL('https://www.google.com/search?q=test&tbs=isz:l')).image, undefined);
+    });
+});
+
+describe('search behavior', () => {
+    ['verbatim', 'safeSearch', 'resultsPerPage', 'omitted', 'autocorrect'].forEach(filterType => {
+        it(`round-trips every ${filterType} value`, () => {
+            Object.keys(filters[filterType]).forEach(value => assertRoundTrip(filterType, value));
+        });
+    });
+
+    it('compiles to li:1, safe, num, filter and nfpr', () => {
+        const url = compileUrl(createState({ verbatim: 'on', safeSearch: 'off', resultsPerPage: '100', omitted: 'on', autocorrect: 'off' }));
+        assert.equal(url.searchParams.get('tbs'), 'li:1');
+        assert.equal(url.searchParams.get('safe'), 'off');
+        assert.equal(url.searchParams.get('num'), '100');
+        assert.equal(url.searchParams.get('filter'), '0');
+        assert.equal(url.searchParams.get('nfpr'), '1');
+    });
+
+    it('removes the parameters when the defaults are selected', () => {
+        const url = new URL('https://www.google.com/search?q=test&safe=active&num=50&filter=0&nfpr=1&tbs=li:1');
+        writeSearchParams(url.searchParams, codec.compileSearchParams(createState(), { query: 'test', tbs: 'li:1' }));
+        ['safe', 'num', 'filter', 'nfpr', 'tbs'].forEach(name => assert.equal(url.searchParams.get(name), null));
+    });
+
+    it('keeps tbs options it does not own', () => {
+        const url = compileUrl(createState({ time: 'day', verbatim: 'on' }), { tbs: 'sbd:1,qdr:y' });
+        assert.equal(url.searchParams.get('tbs'), 'sbd:1,li:1,qdr:d');
+    });
+});
+
+describe('blocklist and query operators', () => {
+    const operators = {
+        phrases: ['exact phrase'],
+        excludes: ['spam', 'two words'],
+        filetype: 'pdf',
+        intitle: 'release notes',
+        inurl: 'docs',
+        after: '2024-01-01',
+        before: '2024-12-31'
+    };
+    const state = createState({ site: 'github' }, { blockedSites: ['pinterest.com'], operators });
+
+    it('appends the site, blocklist and operator terms to the query', () => {
+        assert.equal(
+            compileUrl(state, { query: 'hooks' }).searchParams.get('q'),
+            'hooks site:github.com -site:pinterest.com "exact phrase" -spam -"two words" filetype:pdf ' +
+                'intitle:"release notes" inurl:docs after:2024-01-01 before:2024-12-31'
+        );
+    });
+
+    it('does not duplicate terms when a compiled query is compiled again', () => {
+        const once = compileUrl(state, { query: 'hooks' });
+        const twice = compileUrl(state, { query: once.searchParams.get('q') });
+        assert.equal(twice.searchParams.get('q'), once.searchParams.get('q'));
+        assert.equal(codec.parseSearchParams(twice).site, 'github');
+    });
+
+    it('strips blocked sites and terms that were just removed, and keeps the user\'s own', () => {
+        const url = compileUrl(createState(), {
+            query: 'hooks -site:pinterest.com -site:example.com filetype:pdf -mine',
+            removedBlockedSites: ['pinterest.com'],
+            removedOperatorTerms: ['filetype:pdf']
+        });
+        assert.equal(url.searchParams.get('q'), 'hooks -site:example.com -mine');
+    });
+
+    it('leaves the query alone on tabs without a site filter', () => {
+        const url = new URL('https://www.google.com/search?q=hooks&udm=28');
+        writeSearchParams(url.searchParams, codec.compileSearchParams(state, { query: 'hooks', vertical: 'shopping' }));
+        assert.equal(url.searchParams.get('q'), 'hooks');
+    });
+});
+
+describe('every filter at once', () => {
+    it('round-trips a full state on each tab', () => {
+        const filterValues = {
+            searchLang: 'de|en',
+            interfaceLang: 'pt-br',
+            region: 'jp',
+            site: 'group:code',
+            time: 'last:3d',
+            image: createImageFilterValue({ size: 'l', color: 'blue' }),
+            verbatim: 'on',
+            safeSearch: 'active',
+            resultsPerPage: '50',
+            omitted: 'on',
+            autocorrect: 'off'
+        };
+
+        Object.keys(VERTICAL_PARAMS).forEach(vertical => {
+            const parsed = codec.parseSearchParams(compileUrl(createState(filterValues), { vertical }));
+            Object.entries(filterValues)
+                .filter(([filterType]) => isFilterSupported(filterType, vertical))
+                .forEach(([filterType, value]) => {
+                    assert.ok(codec.isSameFilterValue(filterType, value, parsed[filterType]), `${filterType} on ${vertical}`);
+                });
+        });
+    });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+// Checks on the userscript's metadata block. search-url-codec.js is loaded from a release tag with @require, and
+// userscript managers check it against the #sha256= hash, so a codec change that is not re-pinned would stop the
+// script from loading. The @match lines have to list the same domains as CONFIG.GOOGLE_DOMAINS.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const root = path.join(__dirname, '..');
+const script = fs.readFileSync(path.join(root, 'google-search-filters.user.js'), 'utf8');
+const header = script.slice(0, script.indexOf('// ==/UserScript=='));
+
+function getHeaderValues(key) {
+    return [...header.matchAll(new RegExp(`^// @${key}\\s+(.+)$`, 'gm'))].map(match => match[1].trim());
+}
+
+describe('userscript header', () => {
+    const [version] = getHeaderValues('version');
+    const codecUrl = new URL(getHeaderValues('require').find(url => url.includes('/search-url-codec.js')));
+
+    it('loads the codec from the tag of the current version', () => {
+        assert.match(codecUrl.pathname, new RegExp(`/v${version.replace(/\./g, '\\.')}/search-url-codec\\.js$`));
+    });
+
+    it('runs on exactly the Google domains the script recognizes', () => {
+        const domains = script.match(/GOOGLE_DOMAINS: \[([^\]]*)\]/)[1].match(/'[^']+'/g).map(domain => domain.slice(1, -1));
+        assert.deepEqual(getHeaderValues('match'), domains.map(domain => `https://www.${domain}/*`));
+    });
+
+    it('pins the codec to the sha256 of search-url-codec.js', () => {
+        const hash = crypto.createHash('sha256').update(fs.readFileSync(path.join(root, 'search-url-codec.js'))).digest('hex');
+        assert.equal(codecUrl.hash, `#sha256=${hash}`);
+    });
+});